@@ -13,10 +13,12 @@ import PlantDetailScreen from './src/screens/PlantDetailScreen';
 import MyGardenScreen from './src/screens/MyGardenScreen';
 import GardenAreaScreen from './src/screens/GardenAreaScreen';
 import SettingsScreen from './src/screens/SettingsScreen';
+import ForecastScreen from './src/screens/ForecastScreen';
 
 import { COLORS } from './src/theme';
 import { GardenProvider } from './src/hooks/GardenContext';
 import { SettingsProvider } from './src/hooks/SettingsContext';
+import SaveErrorBanner from './src/components/SaveErrorBanner';
 
 // Tab icon using emoji (no extra icon library needed)
 function TabIcon({ label, focused }) {
@@ -47,6 +49,7 @@ function HomeStackNav() {
   return (
     <HomeStack.Navigator screenOptions={{ headerShown: false }}>
       <HomeStack.Screen name="HomeMain" component={HomeScreen} />
+      <HomeStack.Screen name="Forecast" component={ForecastScreen} />
       <HomeStack.Screen name="PlantDetail" component={PlantDetailScreen} />
     </HomeStack.Navigator>
   );
@@ -94,6 +97,8 @@ export default function App() {
             <Tab.Screen name="My Garden" component={GardenStackNav} />
             <Tab.Screen name="Settings" component={SettingsScreen} />
           </Tab.Navigator>
+          {/* Floats above every screen when a change couldn't be saved */}
+          <SaveErrorBanner />
         </NavigationContainer>
       </SettingsProvider>
     </GardenProvider>
@@ -0,0 +1,32 @@
+/**
+ * jest.environment.js
+ * ─────────────────────────────────────────────
+ * React Native's Jest environment (the one jest-expo uses), plus
+ * setDeviceTimeZone(name) for tests of local-date handling.
+ *
+ * Tests only get a copy of process.env, so setting TZ there does nothing.
+ * This sets it on the real one, which moves the Date and Intl timezone for
+ * the whole test file — restore it afterwards (setDeviceTimeZone(undefined)
+ * puts back the zone Jest started in).
+ */
+
+const ReactNativeEnvironment = require('react-native/jest/react-native-env');
+
+const STARTING_TIME_ZONE = process.env.TZ;
+
+class Environment extends ReactNativeEnvironment {
+  constructor(config, context) {
+    super(config, context);
+    this.global.setDeviceTimeZone = (timeZone = STARTING_TIME_ZONE) => {
+      if (timeZone === undefined) delete process.env.TZ;
+      else process.env.TZ = timeZone;
+    };
+  }
+
+  async teardown() {
+    this.global.setDeviceTimeZone(undefined);
+    await super.teardown();
+  }
+}
+
+module.exports = Environment;
@@ -0,0 +1,13 @@
+/**
+ * jest.setup.js
+ * ─────────────────────────────────────────────
+ * Stands in for the native modules the app imports, which don't exist
+ * under Jest. Tests that need a real database open one themselves (see
+ * src/database/__tests__/sqlJsDatabase.js) and hand it to the code under test.
+ */
+
+jest.mock('expo-sqlite', () => ({ openDatabaseAsync: jest.fn() }));
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
@@ -0,0 +1,294 @@
+/**
+ * bench_load_areas.js
+ *
+ * Measures how long it takes to load the whole garden with:
+ *   - N+1:     one query per area, then one per plant for its journal
+ *              entries (the old loadAllAreas)
+ *   - BATCHED: one query per table, grouped in JavaScript (the current
+ *              loadAllAreas in src/database/db.js, query for query)
+ * Each is timed without and then with the indexes added in migration 2, so
+ * the report shows what batching and the indexes each bring on their own.
+ *
+ * node:sqlite queries are synchronous calls in the same process. On a phone
+ * each expo-sqlite query is an async trip to native code, so the per-query
+ * cost — and what N+1 loses to batching — is higher there than measured here.
+ *
+ * Seeds a synthetic garden into a throwaway SQLite file using Node's
+ * built-in node:sqlite module, so it runs without a phone or simulator.
+ * The schema below mirrors src/database/migrations.js at the latest version.
+ *
+ * Requires Node 22.13 or newer — node:sqlite doesn't exist in Node 20,
+ * which the app itself is built with. Run it with a newer Node alongside
+ * (e.g. `nvm exec 22 node scripts/bench_load_areas.js`); on an older one it
+ * stops with a message saying so.
+ *
+ * Run with:  node scripts/bench_load_areas.js
+ * Options:   --areas=20 --plants=600 --entries=40 --runs=5
+ *            (plants is the total across all areas; entries is per plant)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// node:sqlite arrived in Node 22.5 (behind --experimental-sqlite until 22.13)
+let DatabaseSync;
+try {
+  ({ DatabaseSync } = require('node:sqlite'));
+} catch (_) {
+  console.error(
+    `This benchmark needs Node's built-in node:sqlite module, which Node ${process.version} doesn't have.\n` +
+    'Run it with Node 22.13 or newer, e.g.:  nvm exec 22 node scripts/bench_load_areas.js'
+  );
+  process.exit(1);
+}
+
+// ─── OPTIONS ──────────────────────────────────────────────────────────────────
+function option(name, fallback) {
+  const arg = process.argv.find(a => a.startsWith(`--${name}=`));
+  return arg ? Number(arg.split('=')[1]) : fallback;
+}
+
+const AREA_COUNT        = option('areas', 20);
+const PLANT_COUNT       = option('plants', 600);
+const ENTRIES_PER_PLANT = option('entries', 40);
+const RUNS              = option('runs', 5);
+
+// ─── SCHEMA ───────────────────────────────────────────────────────────────────
+const SCHEMA = `
+  CREATE TABLE areas (
+    id         TEXT PRIMARY KEY NOT NULL,
+    name       TEXT NOT NULL,
+    emoji      TEXT NOT NULL DEFAULT '🪴',
+    created_at TEXT NOT NULL
+  );
+  CREATE TABLE plants (
+    id            TEXT PRIMARY KEY NOT NULL,
+    area_id       TEXT NOT NULL REFERENCES areas(id) ON DELETE CASCADE,
+    seed_id       TEXT,
+    seed_title    TEXT,
+    seed_category TEXT,
+    seed_image    TEXT,
+    planted_date  TEXT NOT NULL,
+    stage         TEXT,
+    variety_id    TEXT,
+    variety_title TEXT
+  );
+  CREATE TABLE journal_entries (
+    id       TEXT PRIMARY KEY NOT NULL,
+    plant_id TEXT NOT NULL REFERENCES plants(id) ON DELETE CASCADE,
+    date     TEXT NOT NULL,
+    text     TEXT NOT NULL,
+    type     TEXT NOT NULL DEFAULT 'note',
+    quantity REAL,
+    unit     TEXT
+  );
+  CREATE TABLE journal_photos (
+    id         TEXT PRIMARY KEY NOT NULL,
+    entry_id   TEXT NOT NULL REFERENCES journal_entries(id) ON DELETE CASCADE,
+    file_name  TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_journal_photos_entry_id ON journal_photos(entry_id);
+`;
+
+// Added by migration 2 — the part of the change being measured
+
+
+const INDEXES = `
+  CREATE INDEX IF NOT EXISTS idx_plants_area_id ON plants(area_id);
+  CREATE INDEX IF NOT EXISTS idx_journal_entries_plant_id ON journal_entries(plant_id);
+`;
+
+// ─── SEED DATA ────────────────────────────────────────────────────────────────
+const STAGES = [null, 'planted', 'sprouted', 'growing', 'harvesting', 'done'];
+
+function seed(db) {
+  const insertArea  = db.prepare('INSERT INTO areas (id, name, emoji, created_at) VALUES (?, ?, ?, ?)');
+  const insertPlant = db.prepare(
+    `INSERT INTO plants (id, area_id, seed_id, seed_title, seed_category, seed_image, planted_date, stage)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+  );
+  const insertEntry = db.prepare(
+    'INSERT INTO journal_entries (id, plant_id, date, text, type) VALUES (?, ?, ?, ?, ?)'
+  );
+  const insertPhoto = db.prepare(
+    'INSERT INTO journal_photos (id, entry_id, file_name, created_at) VALUES (?, ?, ?, ?)'
+  );
+
+  db.exec('BEGIN');
+  for (let a = 0; a < AREA_COUNT; a++) {
+    insertArea.run(`area${a}`, `Bed ${a + 1}`, '🪴', '2024-01-01');
+  }
+  // Plants are spread round-robin so every area's plants are interleaved
+  // on disk, the way a real garden built up over years would be
+  for (let p = 0; p < PLANT_COUNT; p++) {
+    insertPlant.run(
+      `plant${p}`, `area${p % AREA_COUNT}`, 'cherry-tomato', 'Cherry Tomato',
+      'Vegetable', null, '2024-09-01', STAGES[p % STAGES.length]
+    );
+  }
+  for (let e = 0; e < ENTRIES_PER_PLANT; e++) {
+    for (let p = 0; p < PLANT_COUNT; p++) {
+      insertEntry.run(`entry${p}_${e}`, `plant${p}`, '2024-09-01', `Note ${e} for plant ${p}`, e % 5 === 0 ? 'stage' : 'note');
+      // One note in ten has a photo
+      if (e % 10 === 9) insertPhoto.run(`photo${p}_${e}`, `entry${p}_${e}`, `photo${p}_${e}.jpg`, '2024-09-01');
+    }
+  }
+  db.exec('COMMIT');
+}
+
+// ─── LOADERS ──────────────────────────────────────────────────────────────────
+// Synchronous copies of the two loadAllAreas() implementations, query for
+// query: the old one from before migration 2, and the one in db.js now.
+
+function loadNPlusOne(db) {
+  const areas = db.prepare('SELECT * FROM areas ORDER BY rowid ASC').all();
+  const plantsQuery  = db.prepare('SELECT * FROM plants WHERE area_id = ? ORDER BY rowid ASC');
+  const entriesQuery = db.prepare('SELECT * FROM journal_entries WHERE plant_id = ? ORDER BY rowid ASC');
+  for (const area of areas) {
+    area.createdAt = area.created_at;
+    delete area.created_at;
+    const plants = plantsQuery.all(area.id);
+    for (const plant of plants) {
+      plant.seedId       = plant.seed_id;
+      plant.seedTitle    = plant.seed_title;
+      plant.seedCategory = plant.seed_category;
+      plant.seedImage    = plant.seed_image;
+      plant.plantedDate  = plant.planted_date;
+      delete plant.seed_id;
+      delete plant.seed_title;
+      delete plant.seed_category;
+      delete plant.seed_image;
+      delete plant.planted_date;
+      delete plant.area_id;
+      plant.journal = entriesQuery.all(plant.id).map((e) => ({
+        id:   e.id,
+        date: e.date,
+        text: e.text,
+        type: e.type,
+      }));
+    }
+    area.plants = plants;
+  }
+  return areas;
+}
+
+function loadBatched(db) {
+  const areaRows  = db.prepare('SELECT * FROM areas ORDER BY rowid ASC').all();
+  const plantRows = db.prepare('SELECT * FROM plants ORDER BY rowid ASC').all();
+  const entryRows = db.prepare('SELECT * FROM journal_entries ORDER BY date ASC, rowid ASC').all();
+  const photoRows = db.prepare('SELECT * FROM journal_photos ORDER BY rowid ASC').all();
+
+  const photosByEntry = new Map();
+  for (const ph of photoRows) {
+    if (!photosByEntry.has(ph.entry_id)) photosByEntry.set(ph.entry_id, []);
+    photosByEntry.get(ph.entry_id).push({ id: ph.id, fileName: ph.file_name });
+  }
+
+  const journalByPlant = new Map();
+  for (const e of entryRows) {
+    if (!journalByPlant.has(e.plant_id)) journalByPlant.set(e.plant_id, []);
+    journalByPlant.get(e.plant_id).push({
+      id:   e.id,
+      date: e.date,
+      text: e.text,
+      type: e.type,
+      quantity: e.quantity,
+      unit:     e.unit,
+      photos:   photosByEntry.get(e.id) || [],
+    });
+  }
+
+  const plantsByArea = new Map();
+  for (const p of plantRows) {
+    if (!plantsByArea.has(p.area_id)) plantsByArea.set(p.area_id, []);
+    plantsByArea.get(p.area_id).push({
+      id:           p.id,
+      seedId:       p.seed_id,
+      seedTitle:    p.seed_title,
+      seedCategory: p.seed_category,
+      seedImage:    p.seed_image,
+      varietyId:    p.variety_id,
+      varietyTitle: p.variety_title,
+      plantedDate:  p.planted_date,
+      stage:        p.stage,
+      journal:      journalByPlant.get(p.id) || [],
+    });
+  }
+
+  return areaRows.map((a) => ({
+    id:        a.id,
+    name:      a.name,
+    emoji:     a.emoji,
+    createdAt: a.created_at,
+    plants:    plantsByArea.get(a.id) || [],
+  }));
+}
+
+// ─── TIMING ───────────────────────────────────────────────────────────────────
+// Returns the median of RUNS timed calls, in milliseconds
+function time(fn) {
+  const times = [];
+  let result;
+  for (let i = 0; i < RUNS; i++) {
+    const start = process.hrtime.bigint();
+    result = fn();
+    times.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+  times.sort((a, b) => a - b);
+  return { ms: times[Math.floor(times.length / 2)], result };
+}
+
+// Total plants and journal entries in a loaded garden — used to check both
+// loaders returned the same data
+function count(areas) {
+  let plants = 0;
+  let entries = 0;
+  for (const a of areas) {
+    plants += a.plants.length;
+    for (const p of a.plants) entries += p.journal.length;
+  }
+  return { plants, entries };
+}
+
+// ─── MAIN ─────────────────────────────────────────────────────────────────────
+const dbPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'garden-bench-')), 'garden.db');
+const db = new DatabaseSync(dbPath);
+
+try {
+  db.exec('PRAGMA journal_mode = WAL;');
+  db.exec(SCHEMA);
+
+  console.log(`Seeding ${AREA_COUNT} areas, ${PLANT_COUNT} plants, ` +
+              `${PLANT_COUNT * ENTRIES_PER_PLANT} journal entries...`);
+  seed(db);
+
+  const nPlusOne = time(() => loadNPlusOne(db));
+  const batched = time(() => loadBatched(db));
+  db.exec(INDEXES);
+  const nPlusOneIndexed = time(() => loadNPlusOne(db));
+  const batchedIndexed = time(() => loadBatched(db));
+
+  const expected = count(batchedIndexed.result);
+  for (const run of [nPlusOne, batched, nPlusOneIndexed]) {
+    const got = count(run.result);
+    if (got.plants !== expected.plants || got.entries !== expected.entries) {
+      console.error('Loaders returned different data:', got, expected);
+      process.exitCode = 1;
+    }
+  }
+
+  const ms = (run) => `${run.ms.toFixed(1)} ms`.padStart(12);
+  const ratio = (from, to) => `${(from.ms / to.ms).toFixed(1)}×`;
+  console.log(`\nResults (median of ${RUNS} runs):`);
+  console.log(`                      no indexes  with indexes`);
+  console.log(`  N+1 (old loader)  ${ms(nPlusOne)}  ${ms(nPlusOneIndexed)}`);
+  console.log(`  Batched (db.js)   ${ms(batched)}  ${ms(batchedIndexed)}`);
+  console.log(`\n  Batching alone:  ${ratio(nPlusOne, batched)} without indexes, ${ratio(nPlusOneIndexed, batchedIndexed)} with them`);
+  console.log(`  Indexes alone:   ${ratio(nPlusOne, nPlusOneIndexed)} for N+1, ${ratio(batched, batchedIndexed)} for batched`);
+  console.log(`  Both together:   ${ratio(nPlusOne, batchedIndexed)}`);
+} finally {
+  db.close();
+  fs.rmSync(path.dirname(dbPath), { recursive: true, force: true });
+}
@@ -0,0 +1,162 @@
+/**
+ * link_varieties.js
+ *
+ * Links each retail seed packet in src/data/seeds.json to the growing
+ * guide in src/data/crops.json it's a variety of — "Beetroot Boltardy Seed
+ * Tape" → beetroot — and writes the result to src/data/crop_varieties.json,
+ * which the app's catalog reads (see src/catalog/seeds.js).
+ *
+ * Matching works like findMatch in enrich_seeds.js: the packet title
+ * (lowercased, with formats like "seed tape" and "bulk bag" stripped) is
+ * checked for keywords. Each crop's keywords are the words of its name
+ * ("cherry tomato" → cherry + tomato), plus any aliases in
+ * src/data/variety_overrides.json ("climbing bean" for runner-bean).
+ * Unlike enrich_seeds.js the order doesn't matter: the crop whose keywords
+ * match the most words wins, so "Tomato Cherry Sweet 100" goes to
+ * cherry-tomato rather than a plain "tomato" alias. A tie is reported and
+ * left unlinked.
+ *
+ * Reviewing: crop_varieties.json lists every packet with the crop it went
+ * to and why, so a diff shows exactly what changed. Wrong or missing links
+ * are fixed in variety_overrides.json under "links" (packet id → crop id,
+ * or null for "not a variety of anything"), never in the output file.
+ *
+ * Run with:  node scripts/link_varieties.js
+ * Dry run:   node scripts/link_varieties.js --dry-run
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const dataDir = path.join(__dirname, '..', 'src', 'data');
+const readJson = (name) => JSON.parse(fs.readFileSync(path.join(dataDir, name), 'utf8'));
+
+// ─── TITLES ───────────────────────────────────────────────────────────────────
+// crops.json has no flowers, so flower packets are left unlinked without
+// being reported
+const SKIP_CATEGORIES = ['Flower'];
+
+// Packet formats and labels that say nothing about which plant it is
+const FORMAT_WORDS = [
+  'seed tape', 'seed mat', 'bulk bag', 'sprouting', 'organic', 'heirloom', 'seeds', 'seed',
+];
+
+// "Bean, Climbing Blue Lake - BULK BAG" → ['bean', 'climbing', 'blue', 'lake']
+function titleWords(title) {
+  let lower = ` ${title.toLowerCase().replace(/[^a-z0-9]+/g, ' ')} `;
+  for (const format of FORMAT_WORDS) lower = lower.split(` ${format} `).join(' ');
+  return lower.trim().split(/\s+/).filter(Boolean);
+}
+
+// Plurals count: "beans" matches "bean", "sprout" matches "sprouts"
+function stem(word) {
+  return word.length > 3 ? word.replace(/(es|s)$/, '') : word;
+}
+
+function hasWord(words, keyword) {
+  return words.some((w) => stem(w) === stem(keyword));
+}
+
+// ─── RULES ────────────────────────────────────────────────────────────────────
+// One rule per keyword phrase: { cropId, keywords, source }
+function buildRules(crops, aliases) {
+  const rules = [];
+  for (const crop of crops) {
+    rules.push({ cropId: crop.id, keywords: titleWords(crop.name), source: 'name' });
+  }
+  for (const [cropId, phrases] of Object.entries(aliases)) {
+    for (const phrase of phrases) {
+      rules.push({ cropId, keywords: titleWords(phrase), source: `alias "${phrase}"` });
+    }
+  }
+  return rules;
+}
+
+// The best rule for a title, or { tie: [...] } / null
+function findCrop(title, rules) {
+  const words = titleWords(title);
+  const hits = rules.filter((r) => r.keywords.length > 0 && r.keywords.every((k) => hasWord(words, k)));
+  if (hits.length === 0) return null;
+  const best = Math.max(...hits.map((r) => r.keywords.length));
+  const top = hits.filter((r) => r.keywords.length === best);
+  const crops = [...new Set(top.map((r) => r.cropId))];
+  return crops.length === 1 ? top[0] : { tie: crops };
+}
+
+// ─── MAIN ─────────────────────────────────────────────────────────────────────
+const isDryRun = process.argv.includes('--dry-run');
+const outputPath = path.join(dataDir, 'crop_varieties.json');
+
+const crops = readJson('crops.json');
+const seeds = readJson('seeds.json');
+const overrides = readJson('variety_overrides.json');
+const cropIds = new Set(crops.map((c) => c.id));
+
+// Overrides that point at crops that don't exist are mistakes — stop early
+const badTargets = [
+  ...Object.keys(overrides.aliases || {}),
+  ...Object.values(overrides.links || {}).filter((id) => id !== null),
+].filter((id) => !cropIds.has(id));
+if (badTargets.length > 0) {
+  console.error(`variety_overrides.json names crops that aren't in crops.json: ${[...new Set(badTargets)].join(', ')}`);
+  process.exit(1);
+}
+
+const rules = buildRules(crops, overrides.aliases || {});
+const links = [];
+const ties = [];
+const unmatched = [];
+
+for (const seed of seeds) {
+  const id = String(seed.id);
+  let cropId = null;
+  let matchedBy = null;
+
+  if (SKIP_CATEGORIES.includes(seed.category)) {
+    // not a crop
+  } else if (Object.prototype.hasOwnProperty.call(overrides.links || {}, id)) {
+    cropId = overrides.links[id];
+    matchedBy = 'override';
+  } else {
+    const match = findCrop(seed.title, rules);
+    if (match?.tie) {
+      ties.push(`${seed.title} (${id}): ${match.tie.join(' / ')}`);
+    } else if (match) {
+      cropId = match.cropId;
+      matchedBy = match.source;
+    } else {
+      unmatched.push(`[${seed.category}] ${seed.title} (${id})`);
+    }
+  }
+
+  links.push({ seed_id: id, title: seed.title, crop_id: cropId, matched_by: matchedBy });
+}
+
+// Grouped by crop so a review reads crop by crop; unlinked packets last
+links.sort((a, b) =>
+  (a.crop_id === null) - (b.crop_id === null) ||
+  (a.crop_id || '').localeCompare(b.crop_id || '') ||
+  a.title.localeCompare(b.title)
+);
+
+const linked = links.filter((l) => l.crop_id !== null);
+console.log(`\nResults:`);
+console.log(`  Linked:    ${linked.length} packets to ${new Set(linked.map((l) => l.crop_id)).size} crops`);
+console.log(`  Ties:      ${ties.length}`);
+console.log(`  Unmatched: ${unmatched.length}`);
+
+if (ties.length > 0) {
+  console.log(`\nTies (left unlinked — pick one in variety_overrides.json):`);
+  ties.forEach((t) => console.log(`  - ${t}`));
+}
+if (unmatched.length > 0) {
+  console.log(`\nUnmatched packets (no crop found):`);
+  unmatched.forEach((t) => console.log(`  - ${t}`));
+}
+
+if (isDryRun) {
+  console.log('\n[DRY RUN] crop_varieties.json was NOT modified.');
+} else {
+  fs.writeFileSync(outputPath, JSON.stringify(links, null, 2) + '\n', 'utf8');
+  console.log(`\ncrop_varieties.json updated successfully.`);
+}
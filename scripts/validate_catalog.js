@@ -0,0 +1,478 @@
+/**
+ * validate_catalog.js
+ *
+ * Checks the catalog data files in src/data against a schema for each —
+ * crops.json, flowers_australia_temperate.json, seeds.json and
+ * crop_varieties.json — and prints every problem it finds:
+ *
+ *   - fields that are missing or the wrong type ("spacing_cm": "45")
+ *   - values outside a sensible range: a month of 13, a sowing depth of
+ *     250 mm (usually centimetres typed as millimetres), a negative spacing
+ *   - wording the app can't read: month names, "Mar – May" ranges, seasons
+ *   - companions / avoid names that aren't a plant in the catalog — as
+ *     warnings, since the sources also name groups ("Most vegetables") and
+ *     kitchen pairings ("Fish dishes"); each needs a look, not a data edit
+ *   - duplicate ids, within a file and across the catalog
+ *   - crop_varieties.json links to packets or crops that don't exist
+ *
+ * The app is forgiving about all of these (a bad field shows as "—" on the
+ * detail page), so this is where they get caught. Exits with code 1 if
+ * anything is wrong (warnings alone don't), so it can run before a commit
+ * or in CI.
+ *
+ * Run with:  node scripts/validate_catalog.js
+ * Or:        npm run lint:catalog
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const dataDir = path.join(__dirname, '..', 'src', 'data');
+const readJson = (name) => JSON.parse(fs.readFileSync(path.join(dataDir, name), 'utf8'));
+
+// ─── FIELD TYPES ──────────────────────────────────────────────────────────────
+// A field spec is { type, ...options }. Options:
+//   optional  – the field may be left out
+//   nullable  – the field may be null
+//   min, max  – range for numbers (and for measures, after unit conversion)
+//   integer   – whole numbers only
+//   oneOf     – allowed values
+//   noun      – what a number is, for the report ("a month" → "13 isn't a month (1–12)")
+//   items     – spec for each element of a list
+//   unique    – a list may not repeat a value
+
+const string  = (opts) => ({ type: 'string', ...opts });
+const number  = (opts) => ({ type: 'number', ...opts });
+const boolean = (opts) => ({ type: 'boolean', ...opts });
+const list    = (items, opts) => ({ type: 'list', items, ...opts });
+const nullable = (spec) => ({ ...spec, nullable: true });
+const optional = (spec) => ({ ...spec, optional: true });
+
+// A number, or text like "45-60cm" / "7–14 days" / "2–3 m", in `unit`
+// ('mm', 'cm' or 'days'). Text naming another length unit is converted.
+const measure = (unit, opts) => ({ type: 'measure', unit, ...opts });
+
+const month      = number({ integer: true, min: 1, max: 12, noun: 'a month' });
+const monthName  = { type: 'monthName' };        // "September" or "Sep"
+const monthRanges = { type: 'monthRanges' };     // "Mar – May, Sep – Oct" or "Any time"
+const url        = string({ pattern: /^https?:\/\// });
+
+const SEASONS = ['Spring', 'Summer', 'Autumn', 'Winter'];
+const PLANT_LIFE = ['Annual', 'Perennial', 'Biennial'];
+
+// ─── SCHEMAS ──────────────────────────────────────────────────────────────────
+// One per data file. id(row) names a row in the report; catalogId(row) is
+// the id the app gives it (see src/catalog), used for duplicate checks.
+
+const CROPS = {
+  file: 'crops.json',
+  id: (row) => row.id,
+  catalogId: (row) => row.id,
+  fields: {
+    id: string({ pattern: /^[a-z0-9]+(-[a-z0-9]+)*$/ }),
+    name: string(),
+    scientific_name: string(),
+    emoji: string(),
+    category: string({ oneOf: ['Vegetable', 'Herb', 'Legume', 'Fruit', 'Tree', 'Microgreen'] }),
+    tags: list(string(), { unique: true }),
+    description: string(),
+    difficulty: string({ oneOf: ['Beginner', 'Intermediate', 'Advanced'] }),
+    plant_life: string({ oneOf: PLANT_LIFE }),
+    sun: string({ oneOf: ['Full Sun', 'Full to Partial Sun', 'Partial Shade', 'Shade', 'Indirect Light', 'Indirect to Partial Sun'] }),
+    water: string(),
+    frost_tolerant: boolean(),
+    suitable_for_containers: boolean(),
+    min_pot_size_L: nullable(number({ min: 1, max: 500 })),
+    drought_tolerant: boolean(),
+    requires_trellis: boolean(),
+    spacing_cm: number({ min: 0, max: 1000 }),
+    height_cm: number({ min: 1, max: 3000 }),
+    sowing_depth_mm: number({ min: 0, max: 150 }),
+    days_to_germination: nullable(number({ integer: true, min: 1, max: 90 })),
+    weeks_to_harvest: nullable(number({ integer: true, min: 1, max: 104 })),
+    gdd_base_c: nullable(number({ min: 0, max: 15 })),
+    years_to_first_harvest: nullable(number({ min: 1, max: 15 })),
+    sow_months: list(month, { unique: true }),
+    plant_months: list(month, { unique: true }),
+    harvest_months: list(month, { unique: true }),
+    companions: list(string(), { unique: true, plantNames: true }),
+    avoid: list(string(), { unique: true, plantNames: true }),
+    tips: string(),
+    common_problems: list(string()),
+    image_url: nullable(url),
+  },
+};
+
+const FLOWERS = {
+  file: 'flowers_australia_temperate.json',
+  id: (row) => row.common_name,
+  catalogId: (row) => slugify(row.common_name || ''),
+  fields: {
+    common_name: string(),
+    scientific_name: string(),
+    category: string({ oneOf: ['Flower'] }),
+    plant_life: string(),
+    sun_requirements: string(),
+    planting_seasons: list(string({ oneOf: SEASONS }), { unique: true }),
+    best_months_to_sow: list(monthName, { unique: true }),
+    days_to_germination: measure('days', { min: 1, max: 90 }),
+    days_to_harvest: number({ integer: true, min: 1, max: 730 }),
+    days_to_first_flower_note: optional(string()),
+    sowing_depth: measure('mm', { min: 0, max: 150 }),
+    spacing: measure('cm', { min: 0, max: 1000 }),
+    plant_height: measure('cm', { min: 1, max: 3000 }),
+    frost_tolerance: string(),
+    watering: string(),
+    difficulty: string(),
+    companion_plants: list(string(), { unique: true, plantNames: true }),
+    companion_plant_note: optional(string()),
+    suitable_for_containers: boolean(),
+    drought_tolerant: boolean(),
+    requires_trellis_or_staking: boolean(),
+    staking_note: optional(string()),
+    good_companion_for_vegetables: boolean(),
+    notes: string(),
+  },
+};
+
+const SEEDS = {
+  file: 'seeds.json',
+  id: (row) => `${row.id} ${row.title}`,
+  catalogId: (row) => String(row.id),
+  fields: {
+    id: number({ integer: true, min: 1 }),
+    title: string(),
+    category: string({ oneOf: ['Vegetable', 'Herb', 'Microgreen', 'Sprout', 'Flower', 'Produce Bulb'] }),
+    scientific_name: nullable(string()),
+    description: string(),
+    image_url: url,
+    url,
+    price_aud: string({ pattern: /^\d+\.\d{2}$/ }),
+    available: boolean(),
+    planting_seasons: list(string({ oneOf: SEASONS }), { unique: true }),
+    sun_requirements: string(),
+    plant_life: string({ oneOf: PLANT_LIFE }),
+    // Packets give these as plain numbers unless they say otherwise
+    days_to_harvest: measure('days', { min: 1, max: 730 }),
+    days_to_germination: measure('days', { min: 0, max: 90 }),
+    sowing_depth: measure('mm', { min: 0, max: 150 }),
+    spacing: measure('cm', { min: 0, max: 1000 }),
+    plant_height: measure('cm', { min: 1, max: 3000 }),
+    frost_tolerance: string(),
+    suitable_for_containers: boolean(),
+    drought_tolerant: boolean(),
+    watering: string(),
+    best_months: monthRanges,
+  },
+};
+
+const VARIETIES = {
+  file: 'crop_varieties.json',
+  id: (row) => `${row.seed_id} ${row.title}`,
+  fields: {
+    seed_id: string({ pattern: /^\d+$/ }),
+    title: string(),
+    crop_id: nullable(string()),
+    matched_by: nullable(string()),
+  },
+};
+
+// ─── COMPANION NAMES ──────────────────────────────────────────────────────────
+// companions / avoid / companion_plants name plants loosely — "Tomatoes",
+// "Basil", "Marigold" — so a name is fine if it matches a crop or flower
+// by any of its words at either end ("Basil" → Sweet Basil). Beyond that,
+// these are accepted as they are; any other name is reported as a warning:
+
+// Names for several catalog plants at once
+const PLANT_GROUPS = [
+  'Brassicas', 'Legumes', 'Herbs', 'Vegetables', 'Squash', 'Pole beans',
+];
+
+// Real plants the catalog doesn't have a guide for
+const NOT_IN_CATALOG = [
+  'Rose', 'Rhododendron', 'Azalea', 'Walnut', 'Citrus', 'Horseradish', 'Hyssop',
+  'Tansy', 'Rue', 'Comfrey', 'Wheat', 'Ornamental grasses', 'Ferns', 'Hostas',
+  'Begonias', 'Tulips', 'Daffodils',
+];
+
+// "Tomatoes" → "tomato", "Strawberries" → "strawberry", "Poppy (Field)" → "poppy"
+function plainName(name) {
+  return name
+    .toLowerCase()
+    .replace(/\(.*?\)/g, '')
+    .replace(/[^a-z]+/g, ' ')
+    .trim()
+    .split(' ')
+    .map((w) => {
+      if (w.length <= 3 || w.endsWith('ss')) return w;
+      if (w.endsWith('ies')) return w.slice(0, -3) + 'y';
+      if (/(o|ch|sh|x)es$/.test(w)) return w.slice(0, -2);
+      return w.replace(/s$/, '');
+    })
+    .join(' ');
+}
+
+function buildNameCheck(crops, flowers) {
+  const names = [
+    ...crops.flatMap((c) => [c.name, c.id.replace(/-/g, ' ')]),
+    // "Cornflower / Bachelor's Button" is known by both names
+    ...flowers.flatMap((f) => (f.common_name || '').split('/')),
+  ].map(plainName);
+  const accepted = new Set([...PLANT_GROUPS, ...NOT_IN_CATALOG].map(plainName));
+
+  return (name) => {
+    const plain = plainName(name);
+    if (!plain) return false;
+    if (accepted.has(plain)) return true;
+    return names.some((n) => n === plain || n.endsWith(` ${plain}`) || n.startsWith(`${plain} `));
+  };
+}
+
+// ─── CHECKS ───────────────────────────────────────────────────────────────────
+
+const MONTHS = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december',
+];
+
+// Same as slugify() in src/catalog/normalise.js
+function slugify(text) {
+  return text.toLowerCase().replace(/['’]/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// "September" or "Sep" (as src/catalog reads them)
+function isMonthName(text) {
+  const t = String(text).trim().toLowerCase();
+  return MONTHS.some((m) => t === m || t === m.slice(0, 3));
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'list';
+  return typeof value;
+}
+
+// A measure in the spec's unit, or null if the text has no number in it
+function readMeasure(value, unit) {
+  if (typeof value === 'number') return value;
+  const numbers = String(value).match(/\d+(\.\d+)?/g);
+  if (!numbers) return null;
+  const [low, high = low] = numbers.slice(0, 2).map(Number);
+  const n = (low + high) / 2;
+  if (unit === 'days') return n;
+  // Convert everything to mm, then to the unit wanted
+  const mm = /\d\s*mm/i.test(value) ? n
+    : /\d\s*cm/i.test(value) ? n * 10
+    : /\d\s*m\b/i.test(value) ? n * 1000
+    : unit === 'cm' ? n * 10 : n;
+  return unit === 'cm' ? mm / 10 : mm;
+}
+
+function checkRange(n, spec, unitLabel) {
+  const unit = unitLabel ? ` ${unitLabel}` : '';
+  if (spec.noun && (n < spec.min || n > spec.max || (spec.integer && !Number.isInteger(n)))) {
+    return `${n} isn't ${spec.noun} (${spec.min}–${spec.max})`;
+  }
+  if (spec.integer && !Number.isInteger(n)) return `${n} should be a whole number`;
+  if (spec.min !== undefined && n < spec.min) return `${n}${unit} is below the minimum of ${spec.min}${unit}`;
+  if (spec.max !== undefined && n > spec.max) return `${n}${unit} is above the maximum of ${spec.max}${unit}`;
+  return null;
+}
+
+// Problems with one value, as messages ("sow_months[2]: 13 is above …")
+function checkValue(value, spec, at) {
+  if (value === null) return spec.nullable ? [] : [`${at}: is null`];
+
+  switch (spec.type) {
+    case 'string': {
+      if (typeof value !== 'string') return [`${at}: should be text, not ${typeOf(value)}`];
+      if (!value.trim()) return [`${at}: is empty`];
+      if (spec.oneOf && !spec.oneOf.includes(value)) {
+        return [`${at}: "${value}" isn't one of ${spec.oneOf.join(', ')}`];
+      }
+      if (spec.pattern && !spec.pattern.test(value)) return [`${at}: "${value}" isn't in the expected format`];
+      return [];
+    }
+    case 'number': {
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return [`${at}: should be a number, not ${typeOf(value)}${typeof value === 'string' ? ` ("${value}")` : ''}`];
+      }
+      const problem = checkRange(value, spec);
+      return problem ? [`${at}: ${problem}`] : [];
+    }
+    case 'boolean':
+      return typeof value === 'boolean' ? [] : [`${at}: should be true or false, not ${typeOf(value)}`];
+    case 'measure': {
+      if (typeof value !== 'number' && typeof value !== 'string') {
+        return [`${at}: should be a number or text, not ${typeOf(value)}`];
+      }
+      // Flowers say "Surface sow" for a depth of 0
+      if (typeof value === 'string' && /surface/i.test(value)) return [];
+      const n = readMeasure(value, spec.unit);
+      if (n === null) return [`${at}: "${value}" has no number in it`];
+      const problem = checkRange(Math.round(n * 10) / 10, { ...spec, integer: false }, spec.unit);
+      return problem ? [`${at}: ${typeof value === 'string' ? `"${value}" — ` : ''}${problem}`] : [];
+    }
+    case 'monthName':
+      return isMonthName(value) ? [] : [`${at}: "${value}" isn't a month`];
+    case 'monthRanges': {
+      if (typeof value !== 'string') return [`${at}: should be text, not ${typeOf(value)}`];
+      if (/^(any\s*time|all\s*year)$/i.test(value.trim())) return [];
+      const bad = value.split(',').flatMap((part) => part.split(/[–-]/)).filter((m) => !isMonthName(m));
+      return bad.length ? [`${at}: "${value}" isn't a list of month ranges like "Mar – May, Sep – Oct"`] : [];
+    }
+    case 'list': {
+      if (!Array.isArray(value)) return [`${at}: should be a list, not ${typeOf(value)}`];
+      const problems = value.flatMap((item, i) => checkValue(item, spec.items, `${at}[${i}]`));
+      if (spec.unique) {
+        const repeats = value.filter((v, i) => value.indexOf(v) !== i);
+        if (repeats.length) problems.push(`${at}: lists ${[...new Set(repeats)].join(', ')} more than once`);
+      }
+      return problems;
+    }
+    default:
+      return [`${at}: unknown field type ${spec.type}`];
+  }
+}
+
+// Problems with every row of a file: [{ row, message, warning? }]
+function checkFile(schema, rows, ctx) {
+  if (!Array.isArray(rows)) return [{ row: null, message: 'should be a list of entries' }];
+  const problems = [];
+  rows.forEach((row, i) => {
+    const name = (row && schema.id(row)) || `entry ${i + 1}`;
+    if (typeOf(row) !== 'object') {
+      problems.push({ row: name, message: `should be an object, not ${typeOf(row)}` });
+      return;
+    }
+    for (const [field, spec] of Object.entries(schema.fields)) {
+      if (!(field in row)) {
+        if (!spec.optional) problems.push({ row: name, message: `${field}: is missing` });
+        continue;
+      }
+      checkValue(row[field], spec, field).forEach((message) => problems.push({ row: name, message }));
+      if (spec.plantNames && Array.isArray(row[field])) {
+        row[field].filter((v) => typeof v === 'string' && !ctx.isPlantName(v)).forEach((v) => {
+          problems.push({ row: name, message: `${field}: "${v}" isn't a plant in the catalog`, warning: true });
+        });
+      }
+    }
+    Object.keys(row)
+      .filter((field) => !(field in schema.fields))
+      .forEach((field) => problems.push({ row: name, message: `${field}: isn't a known field (typo?)` }));
+  });
+  return problems;
+}
+
+// Rows sharing an id with an earlier row: [{ row, message }]
+function checkDuplicates(schema, rows, idField) {
+  const catalogId = schema.catalogId || schema.id;
+  const seen = new Map();
+  const problems = [];
+  rows.forEach((row, i) => {
+    const id = catalogId(row);
+    if (seen.has(id)) {
+      problems.push({ row: schema.id(row), message: `${idField}: same as entry ${seen.get(id) + 1}` });
+    } else {
+      seen.set(id, i);
+    }
+  });
+  return problems;
+}
+
+// ─── MAIN ─────────────────────────────────────────────────────────────────────
+
+const data = {
+  crops: readJson(CROPS.file),
+  flowers: readJson(FLOWERS.file),
+  seeds: readJson(SEEDS.file),
+  varieties: readJson(VARIETIES.file),
+};
+const ctx = { isPlantName: buildNameCheck(data.crops, data.flowers) };
+
+const report = [
+  { schema: CROPS, rows: data.crops, idField: 'id' },
+  { schema: FLOWERS, rows: data.flowers, idField: 'common_name' },
+  { schema: SEEDS, rows: data.seeds, idField: 'id' },
+  { schema: VARIETIES, rows: data.varieties, idField: 'seed_id' },
+].map(({ schema, rows, idField }) => ({
+  file: schema.file,
+  count: Array.isArray(rows) ? rows.length : 0,
+  problems: [
+    ...checkFile(schema, rows, ctx),
+    ...(Array.isArray(rows) ? checkDuplicates(schema, rows, idField) : []),
+  ],
+}));
+
+// Across files: the app looks every entry up by id, so crops, flowers and
+// seeds can't share one (the later one would be unreachable)
+const owners = new Map();
+for (const { schema, rows } of [
+  { schema: CROPS, rows: data.crops },
+  { schema: FLOWERS, rows: data.flowers },
+  { schema: SEEDS, rows: data.seeds },
+]) {
+  const entry = report.find((r) => r.file === schema.file);
+  for (const row of rows) {
+    const id = schema.catalogId(row);
+    const owner = owners.get(id);
+    if (owner && owner !== schema.file) {
+      entry.problems.push({ row: schema.id(row), message: `id "${id}" is already used in ${owner}` });
+    } else if (!owner) {
+      owners.set(id, schema.file);
+    }
+  }
+}
+
+// crop_varieties.json must point at packets and crops that exist
+const seedIds = new Set(data.seeds.map((s) => String(s.id)));
+const cropIds = new Set(data.crops.map((c) => c.id));
+const varietyReport = report.find((r) => r.file === VARIETIES.file);
+for (const link of data.varieties) {
+  const row = VARIETIES.id(link);
+  if (!seedIds.has(link.seed_id)) {
+    varietyReport.problems.push({ row, message: 'seed_id: no packet in seeds.json has this id' });
+  }
+  if (link.crop_id !== null && !cropIds.has(link.crop_id)) {
+    varietyReport.problems.push({ row, message: `crop_id: "${link.crop_id}" isn't a crop in crops.json` });
+  }
+}
+const linked = new Set(data.varieties.map((v) => v.seed_id));
+const missingLinks = [...seedIds].filter((id) => !linked.has(id));
+if (missingLinks.length > 0) {
+  varietyReport.problems.push({
+    row: null,
+    message: `${missingLinks.length} packet(s) in seeds.json aren't listed — re-run scripts/link_varieties.js`,
+  });
+}
+
+let total = 0;
+let totalWarnings = 0;
+for (const { file, count, problems } of report) {
+  const warnings = problems.filter((p) => p.warning).length;
+  const errors = problems.length - warnings;
+  total += errors;
+  totalWarnings += warnings;
+  const counts = [
+    errors > 0 ? `${errors} problem(s)` : 'OK',
+    ...(warnings > 0 ? [`${warnings} warning(s)`] : []),
+  ];
+  console.log(`\n${file} (${count} entries): ${counts.join(', ')}`);
+  // Grouped by row so each entry's problems read together
+  const byRow = new Map();
+  for (const p of problems) {
+    const key = p.row ?? '(file)';
+    if (!byRow.has(key)) byRow.set(key, []);
+    byRow.get(key).push(p.warning ? `warning: ${p.message}` : p.message);
+  }
+  for (const [row, messages] of byRow) {
+    console.log(`  ${row}`);
+    messages.forEach((m) => console.log(`    - ${m}`));
+  }
+}
+
+if (total > 0) {
+  console.log(`\n✗ ${total} problem(s) found.`);
+  process.exit(1);
+}
+console.log(`\n✓ All catalog files are valid${totalWarnings > 0 ? ` (${totalWarnings} warning(s) to check by hand)` : ''}.`);
@@ -0,0 +1,102 @@
+/**
+ * climate.js
+ * ─────────────────────────────────────────────
+ * Climate zones, and each catalog entry's sowing calendar in them.
+ *
+ * The data files give months for one climate — temperate SE Australia
+ * (Sydney / Melbourne / Adelaide), the "base calendar". Other zones are
+ * derived from it by shifting months: warm-season crops (frost tender)
+ * and cool-season crops move differently, e.g. in the tropics tomatoes go
+ * in at the start of the dry season (April) rather than in spring, while
+ * brassicas only move a month later. Northern-hemisphere zones are their
+ * southern counterpart six months on.
+ *
+ * Custom seeds are the exception: months the user typed in are already
+ * theirs, so they're left alone (local_calendar in the catalog schema).
+ *
+ * Usage:
+ *   import { calendarFor } from '../catalog/climate';
+ *   calendarFor(entry, settings.climateZone).sow_months.includes(month);
+ */
+
+// ── Zones ────────────────────────────────────────────────────
+// warmShift / coolShift: months added to the base calendar for
+// warm-season and cool-season plants
+const CLIMATES = [
+  { climate: 'tropical',    label: 'Tropical',    warmShift: -5, coolShift: 1,
+    examples: { south: 'Darwin, Cairns', north: 'Southeast Asia, the Caribbean' } },
+  { climate: 'subtropical', label: 'Subtropical', warmShift: -1, coolShift: 1,
+    examples: { south: 'Brisbane, Coffs Harbour', north: 'Florida, southern China' } },
+  { climate: 'temperate',   label: 'Temperate',   warmShift: 0,  coolShift: 0,
+    examples: { south: 'Sydney, Melbourne, Adelaide, Perth', north: 'much of Europe, the US and Japan' } },
+  { climate: 'cool',        label: 'Cool',        warmShift: 1,  coolShift: -1,
+    examples: { south: 'Hobart, Canberra, the highlands', north: 'Scandinavia, Canada, Scotland' } },
+  { climate: 'arid',        label: 'Arid',        warmShift: -1, coolShift: 1,
+    examples: { south: 'Alice Springs, inland Australia', north: 'the Middle East, the US Southwest' } },
+];
+
+// Every zone, southern then northern: { key, climate, hemisphere, label, examples, ... }
+// Southern keys are the climate name ('temperate'); northern add '-north'.
+export const CLIMATE_ZONES = ['south', 'north'].flatMap((hemisphere) =>
+  CLIMATES.map((c) => ({
+    ...c,
+    key: hemisphere === 'south' ? c.climate : `${c.climate}-north`,
+    hemisphere,
+    examples: c.examples[hemisphere],
+  }))
+);
+
+// The zone the data files are written for
+export const DEFAULT_ZONE = 'temperate';
+
+// A zone by key, falling back to the default for unknown keys
+export function climateZone(key) {
+  return CLIMATE_ZONES.find((z) => z.key === key)
+    || CLIMATE_ZONES.find((z) => z.key === DEFAULT_ZONE);
+}
+
+// The zone with the same climate in the given hemisphere
+export function zoneIn(climate, hemisphere) {
+  return CLIMATE_ZONES.find((z) => z.climate === climate && z.hemisphere === hemisphere);
+}
+
+// "Temperate · southern hemisphere"
+export function zoneLabel(key) {
+  const zone = climateZone(key);
+  return `${zone.label} · ${zone.hemisphere === 'south' ? 'southern' : 'northern'} hemisphere`;
+}
+
+// ── Calendars ────────────────────────────────────────────────
+
+// [9, 10] shifted by 6 → [3, 4]. Order is kept, so a range that wraps the
+// new year still reads in season order.
+function shiftMonths(months, by) {
+  if (by === 0 || months.length === 12) return months;
+  return months.map((m) => ((((m - 1 + by) % 12) + 12) % 12) + 1);
+}
+
+// How far an entry's months move in a zone
+function monthShift(entry, zone) {
+  const seasonal = entry.frost_tolerant === false ? zone.warmShift : zone.coolShift;
+  return seasonal + (zone.hemisphere === 'north' ? 6 : 0);
+}
+
+/**
+ * An entry's sow_months, plant_months and harvest_months in a climate
+ * zone, as { sow_months, plant_months, harvest_months }.
+ */
+export function calendarFor(entry, zoneKey) {
+  const zone = climateZone(zoneKey);
+  const by = entry.local_calendar ? 0 : monthShift(entry, zone);
+  return {
+    sow_months: shiftMonths(entry.sow_months, by),
+    plant_months: shiftMonths(entry.plant_months, by),
+    harvest_months: shiftMonths(entry.harvest_months, by),
+  };
+}
+
+// The month of the southern-hemisphere year that `month` (1–12) in a zone
+// matches by season — for text written for the southern zones
+export function southernMonth(month, zoneKey) {
+  return climateZone(zoneKey).hemisphere === 'north' ? shiftMonths([month], 6)[0] : month;
+}
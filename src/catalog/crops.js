@@ -0,0 +1,19 @@
+/**
+ * crops.js
+ * ─────────────────────────────────────────────
+ * Loader for crops.json — the hand-written growing guides for vegetables,
+ * herbs, fruit, legumes, trees and microgreens. Its fields are already the
+ * catalog schema, so this only fills in the fields it doesn't have.
+ */
+
+import CROPS from '../data/crops.json';
+import { EMPTY_ENTRY } from './normalise';
+
+export function loadCrops() {
+  return CROPS.map((crop) => ({
+    ...EMPTY_ENTRY,
+    ...crop,
+    id: String(crop.id),
+    source: 'crop',
+  }));
+}
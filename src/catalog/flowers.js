@@ -0,0 +1,65 @@
+/**
+ * flowers.js
+ * ─────────────────────────────────────────────
+ * Loader for flowers_australia_temperate.json — growing guides for garden
+ * flowers. Its wording is looser than crops.json ("7-14 days", "45-60cm",
+ * "Full sun — needs at least 6 hours daily"), so each field is parsed into
+ * the catalog schema, and the notes that don't fit a field are kept as tips.
+ */
+
+import FLOWERS from '../data/flowers_australia_temperate.json';
+import {
+  EMPTY_ENTRY, slugify, firstClause, parseMonthNames, parseNumber, parseLength,
+  parseFrostTolerant, parseSun, parseDifficulty, parsePlantLife, daysToWeeks, parseList,
+} from './normalise';
+
+// Emoji for the flowers that have their own; the rest get the category's
+const FLOWER_EMOJI = [
+  [/sunflower/i, '🌻'],
+  [/lavender|salvia|delphinium|foxglove/i, '🪻'],
+  [/poppy|hollyhock|impatiens|petunia/i, '🌺'],
+  [/marigold|calendula|rudbeckia|gerbera|echinacea|daisy/i, '🌼'],
+];
+
+function flowerEmoji(name) {
+  const match = FLOWER_EMOJI.find(([pattern]) => pattern.test(name));
+  return match ? match[1] : '🌸';
+}
+
+function toEntry(flower) {
+  const tips = [flower.notes, flower.days_to_first_flower_note, flower.staking_note, flower.companion_plant_note]
+    .filter(Boolean)
+    .map((note) => (/[.!?]$/.test(note) ? note : `${note}.`))
+    .join(' ');
+  return {
+    ...EMPTY_ENTRY,
+    id: slugify(flower.common_name),
+    source: 'flower',
+    name: flower.common_name,
+    scientific_name: flower.scientific_name || null,
+    emoji: flowerEmoji(flower.common_name),
+    category: 'Flower',
+    tags: flower.good_companion_for_vegetables ? ['companion'] : [],
+    difficulty: parseDifficulty(flower.difficulty),
+    plant_life: parsePlantLife(flower.plant_life),
+    sun: parseSun(flower.sun_requirements),
+    water: firstClause(flower.watering),
+    frost_tolerant: parseFrostTolerant(flower.frost_tolerance),
+    frost_note: flower.frost_tolerance || null,
+    suitable_for_containers: flower.suitable_for_containers ?? null,
+    drought_tolerant: flower.drought_tolerant ?? null,
+    requires_trellis: flower.requires_trellis_or_staking ?? null,
+    spacing_cm: parseLength(flower.spacing, 'cm'),
+    height_cm: parseLength(flower.plant_height, 'cm'),
+    sowing_depth_mm: parseLength(flower.sowing_depth, 'mm'),
+    days_to_germination: parseNumber(flower.days_to_germination),
+    weeks_to_harvest: daysToWeeks(flower.days_to_harvest),
+    sow_months: parseMonthNames(flower.best_months_to_sow),
+    companions: parseList(flower.companion_plants),
+    tips: tips || null,
+  };
+}
+
+export function loadFlowers() {
+  return FLOWERS.map(toEntry);
+}
@@ -0,0 +1,114 @@
+/**
+ * index.js
+ * ─────────────────────────────────────────────
+ * The plant catalog: everything the app knows about plants, from three
+ * data files with three different schemas, in one shape (EMPTY_ENTRY in
+ * catalog/normalise.js) behind one lookup API.
+ *
+ *   crops.json                        → source 'crop'    (catalog/crops.js)
+ *   flowers_australia_temperate.json  → source 'flower'  (catalog/flowers.js)
+ *   seeds.json                        → source 'seed'    (catalog/seeds.js)
+ *
+ * Crops and flowers are growing guides, one per kind of plant — they're
+ * what Home and Browse list (getPlants). Seeds are retail packets, often
+ * several of the same plant; they can be looked up by id (getEntry) and
+ * are listed as the varieties of the crop they're linked to (getVarieties),
+ * but aren't listed on their own. Seeds the user adds in Browse become
+ * entries with source 'custom' (customSeedEntry).
+ *
+ * Months in every entry are for temperate SE Australia; calendarFor
+ * (catalog/climate.js) converts them to the user's climate zone.
+ *
+ * The files are only read and converted the first time they're needed.
+ *
+ * Usage:
+ *   import { getPlants, getEntry, calendarFor, CATEGORIES } from '../catalog';
+ *   getPlants().filter((p) => calendarFor(p, zone).sow_months.includes(9));
+ *   getEntry('cherry-tomato');   // a crop, flower or seed packet, or null
+ */
+
+import { loadCrops } from './crops';
+import { loadFlowers } from './flowers';
+import { loadSeeds, customSeedEntry } from './seeds';
+
+export { customSeedEntry };
+export {
+  CLIMATE_ZONES, DEFAULT_ZONE, climateZone, zoneIn, zoneLabel, calendarFor, southernMonth,
+} from './climate';
+
+// ── Categories ───────────────────────────────────────────────
+// In the order Home and Browse show them
+export const CATEGORIES = [
+  { key: 'Vegetable',  label: 'Vegetables',  emoji: '🥦', color: '#d4edda' },
+  { key: 'Herb',       label: 'Herbs',       emoji: '🌿', color: '#d4f0e8' },
+  { key: 'Legume',     label: 'Legumes',     emoji: '🫘', color: '#f5f0d4' },
+  { key: 'Fruit',      label: 'Fruit',       emoji: '🍓', color: '#fde4ec' },
+  { key: 'Tree',       label: 'Trees',       emoji: '🌳', color: '#e8f5d4' },
+  { key: 'Microgreen', label: 'Microgreens', emoji: '🥗', color: '#fffbd4' },
+  { key: 'Flower',     label: 'Flowers',     emoji: '🌸', color: '#f3e5f5' },
+];
+
+// { key, label, emoji, color } for a category, or null for one the catalog
+// doesn't have (custom seeds can be 'Other')
+export function categoryInfo(key) {
+  return CATEGORIES.find((c) => c.key === key) || null;
+}
+
+// ── Lookup ───────────────────────────────────────────────────
+
+let catalog = null;
+
+function load() {
+  if (!catalog) {
+    const plants = [...loadCrops(), ...loadFlowers()];
+    const seeds = loadSeeds();
+    const byId = new Map();
+    // If two sources ever share an id, the first keeps it — crops, then flowers
+    for (const entry of [...plants, ...seeds]) {
+      if (!byId.has(entry.id)) byId.set(entry.id, entry);
+    }
+    const varieties = new Map();
+    for (const seed of seeds) {
+      if (!seed.crop_id) continue;
+      if (!varieties.has(seed.crop_id)) varieties.set(seed.crop_id, []);
+      varieties.get(seed.crop_id).push(seed);
+    }
+    catalog = { plants, seeds, byId, varieties };
+  }
+  return catalog;
+}
+
+// The growing guides — crops then flowers
+export function getPlants() {
+  return load().plants;
+}
+
+// The retail seed packets
+export function getSeedPackets() {
+  return load().seeds;
+}
+
+// Any built-in entry by id (a plant's seedId), or null
+export function getEntry(id) {
+  if (id === null || id === undefined) return null;
+  return load().byId.get(String(id)) || null;
+}
+
+// The seed packets that are varieties of a crop, in stock first then by name
+export function getVarieties(cropId) {
+  const list = load().varieties.get(cropId) || [];
+  return [...list].sort((a, b) =>
+    (b.available === true) - (a.available === true) || a.name.localeCompare(b.name)
+  );
+}
+
+// Entries whose name, scientific name or description contains the query
+export function searchCatalog(entries, query) {
+  const q = query.trim().toLowerCase();
+  if (!q) return entries;
+  return entries.filter((e) =>
+    (e.name || '').toLowerCase().includes(q) ||
+    (e.scientific_name || '').toLowerCase().includes(q) ||
+    (e.description || '').toLowerCase().includes(q)
+  );
+}
@@ -0,0 +1,175 @@
+/**
+ * normalise.js
+ * ─────────────────────────────────────────────
+ * The catalog schema (EMPTY_ENTRY), and the helpers the loaders share for
+ * turning each data file's wording into it: month names and ranges
+ * into month numbers, "45-60cm" into a number, "Frost sensitive — sow
+ * after last frost" into false, and so on.
+ *
+ * Everything here is forgiving — text it can't read comes back as null
+ * (or []), so a detail page shows "—" rather than something wrong.
+ */
+
+// ── The catalog schema ───────────────────────────────────────
+// Every entry has all of these fields, whichever file it came from. Field
+// names and units follow crops.json, the most complete of the sources.
+export const EMPTY_ENTRY = {
+  id: null,                      // string, unique across the catalog
+  source: null,                  // 'crop' | 'flower' | 'seed' | 'custom'
+  name: null,
+  scientific_name: null,
+  emoji: null,
+  category: null,                // a key of CATEGORIES in catalog/index.js
+  tags: [],
+  description: null,
+  difficulty: null,              // 'Beginner' | 'Intermediate' | 'Advanced'
+  plant_life: null,              // 'Annual' | 'Perennial' | 'Biennial'
+  sun: null,                     // 'Full Sun' | 'Full to Partial Sun' | 'Partial Shade' | …
+  water: null,                   // 'Low' | 'Moderate' | 'High' | …
+  frost_tolerant: null,          // true | false | null (unknown)
+  frost_note: null,              // the source's own words, if it had more to say
+  suitable_for_containers: null,
+  min_pot_size_L: null,
+  drought_tolerant: null,
+  requires_trellis: null,
+  spacing_cm: null,
+  height_cm: null,
+  sowing_depth_mm: null,
+  days_to_germination: null,
+  weeks_to_harvest: null,        // to first harvest, or first flowers
+  gdd_base_c: null,              // see utils/degreeDays.js
+  years_to_first_harvest: null,
+  sow_months: [],                // 1–12, SE Australia — see catalog/climate.js for other zones
+  plant_months: [],
+  harvest_months: [],
+  companions: [],
+  avoid: [],
+  tips: null,
+  common_problems: [],
+  image_url: null,
+  url: null,                     // retail seeds only, from here down
+  price_aud: null,
+  available: null,
+  crop_id: null,                 // the crop it's a variety of (scripts/link_varieties.js)
+  local_calendar: false,         // months are the user's own, not converted per zone
+};
+
+// ── Parsing ──────────────────────────────────────────────────
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const ALL_MONTHS = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12];
+
+// "Sunflower (Tall/Giant)" → "sunflower-tall-giant"
+export function slugify(text) {
+  return text.toLowerCase().replace(/['’]/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// The part before any " — explanation": "Low — drought tolerant" → "Low"
+export function firstClause(text) {
+  if (typeof text !== 'string' || !text.trim()) return null;
+  return text.split(/\s+[—–]\s+/)[0].trim();
+}
+
+// "September" / "Sep" → 9, or null
+function monthNumber(name) {
+  const index = MONTHS.indexOf(String(name).trim().slice(0, 3).toLowerCase());
+  return index === -1 ? null : index + 1;
+}
+
+// ['September', 'October'] → [9, 10]
+export function parseMonthNames(names) {
+  if (!Array.isArray(names)) return [];
+  return names.map(monthNumber).filter((m) => m !== null);
+}
+
+// "Mar – May, Sep – Oct" → [3, 4, 5, 9, 10]; "Any time" → every month.
+// Ranges may wrap the new year ("Nov – Feb").
+export function parseMonthRanges(text) {
+  if (typeof text !== 'string') return [];
+  if (/any\s*time|all\s*year/i.test(text)) return [...ALL_MONTHS];
+  const months = [];
+  for (const part of text.split(',')) {
+    const [from, to] = part.split(/[–-]/).map(monthNumber);
+    if (from === null || from === undefined) continue;
+    const end = to ?? from;
+    for (let m = from; ; m = (m % 12) + 1) {
+      if (!months.includes(m)) months.push(m);
+      if (m === end) break;
+    }
+  }
+  return months;
+}
+
+// A number, or the middle of a range: 14 → 14, "7-14 days" → 11, "25mm" → 25
+export function parseNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+  const numbers = value.match(/\d+(\.\d+)?/g);
+  if (!numbers) return null;
+  const [low, high = low] = numbers.slice(0, 2).map(Number);
+  return Math.round((low + high) / 2);
+}
+
+// A length in the given unit ('mm' or 'cm'). Text naming the other unit is
+// converted ("10–13 cm" → 120 mm); bare numbers are taken as already in
+// `unit`. "Surface sow" is a depth of 0.
+export function parseLength(value, unit) {
+  if (typeof value === 'string' && /surface/i.test(value)) return 0;
+  const n = parseNumber(value);
+  if (n === null || typeof value !== 'string') return n;
+  if (unit === 'mm' && /\d\s*cm/i.test(value)) return n * 10;
+  if (unit === 'cm' && /\d\s*mm/i.test(value)) return Math.round(n / 10);
+  return n;
+}
+
+// true, false or null (unknown / not relevant, e.g. "Grown indoors")
+export function parseFrostTolerant(text) {
+  if (typeof text !== 'string') return null;
+  if (/tender|sensitive/i.test(firstClause(text))) return false;
+  if (/hardy|tolera/i.test(text)) return true;
+  return null;
+}
+
+// Sun wording in crops.json's terms: Full Sun, Full to Partial Sun,
+// Partial Shade, Shade or Indirect Light
+export function parseSun(text) {
+  const clause = firstClause(text);
+  if (!clause) return null;
+  const t = clause.toLowerCase();
+  if (/indirect|windowsill/.test(t)) return 'Indirect Light';
+  if (/full sun/.test(t) && /shade/.test(t)) return 'Full to Partial Sun';
+  if (/full sun/.test(t)) return 'Full Sun';
+  if (/part/.test(t)) return 'Partial Shade';
+  if (/shade/.test(t)) return 'Shade';
+  return clause;
+}
+
+// "Easy (but finicky…)" → Beginner, "Moderate" → Intermediate,
+// "Difficult — …" → Advanced, as in crops.json
+export function parseDifficulty(text) {
+  const clause = firstClause(text);
+  if (!clause) return null;
+  if (/^(easy|beginner)/i.test(clause)) return 'Beginner';
+  if (/^(moderate|intermediate)/i.test(clause)) return 'Intermediate';
+  if (/^(difficult|hard|advanced)/i.test(clause)) return 'Advanced';
+  return clause;
+}
+
+// "Annual (half-hardy)" → "Annual"
+export function parsePlantLife(text) {
+  const clause = firstClause(text);
+  return clause ? clause.replace(/\s*\(.*\)$/, '') : null;
+}
+
+// Days → whole weeks, or null
+export function daysToWeeks(days) {
+  const n = parseNumber(days);
+  return n ? Math.max(1, Math.round(n / 7)) : null;
+}
+
+// A comma-separated string or a list → a list of trimmed names
+export function parseList(value) {
+  if (Array.isArray(value)) return value.map((v) => String(v).trim()).filter(Boolean);
+  if (typeof value !== 'string') return [];
+  return value.split(',').map((v) => v.trim()).filter(Boolean);
+}
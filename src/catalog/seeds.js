@@ -0,0 +1,112 @@
+/**
+ * seeds.js
+ * ─────────────────────────────────────────────
+ * Loader for seeds.json — retail seed packets (scraped from a seed shop's
+ * catalogue and filled out by scripts/enrich_seeds.js). Each packet keeps
+ * its shop details (url, price_aud, available, image_url) alongside the
+ * growing data, parsed into the catalog schema.
+ *
+ * Packets are linked to the crop they're a variety of by
+ * scripts/link_varieties.js, which writes crop_varieties.json.
+ *
+ * The custom seeds users add in Browse are stored in the same shape as
+ * these, so they're converted here too (customSeedEntry).
+ */
+
+import SEEDS from '../data/seeds.json';
+import VARIETIES from '../data/crop_varieties.json';
+import {
+  EMPTY_ENTRY, firstClause, parseMonthRanges, parseNumber, parseLength,
+  parseFrostTolerant, parseSun, parseDifficulty, parsePlantLife, daysToWeeks, parseList,
+} from './normalise';
+
+// The shop's categories that the catalog files elsewhere
+const CATEGORY_MAP = {
+  'Produce Bulb': 'Vegetable',
+  Sprout: 'Microgreen',
+};
+
+// Months of each season, for packets that only give seasons
+const SEASON_MONTHS = {
+  Spring: [9, 10, 11],
+  Summer: [12, 1, 2],
+  Autumn: [3, 4, 5],
+  Winter: [6, 7, 8],
+};
+
+// The shop's scientific_name field is often something else entirely
+// ("Online exclusive", "Crowns") — only keep what looks like a binomial
+function scientificName(text) {
+  if (typeof text !== 'string' || /exclusive/i.test(text)) return null;
+  return /^[A-Z][a-z]+ [a-z]+/.test(text) ? text : null;
+}
+
+function sowMonths(seed) {
+  const months = parseMonthRanges(seed.best_months);
+  if (months.length > 0) return months;
+  return (seed.planting_seasons || []).flatMap((s) => SEASON_MONTHS[s] || []);
+}
+
+// Fields seeds.json and custom_seeds rows share
+function growingFields(seed) {
+  return {
+    name: (seed.title || '').replace(/\s+seeds?$/i, ''),
+    scientific_name: scientificName(seed.scientific_name),
+    category: CATEGORY_MAP[seed.category] || seed.category || 'Vegetable',
+    description: seed.description || null,
+    difficulty: parseDifficulty(seed.difficulty),
+    plant_life: parsePlantLife(seed.plant_life),
+    sun: parseSun(seed.sun_requirements),
+    water: firstClause(seed.watering),
+    frost_tolerant: parseFrostTolerant(seed.frost_tolerance),
+    frost_note: seed.frost_tolerance || null,
+    suitable_for_containers: seed.suitable_for_containers ?? null,
+    drought_tolerant: seed.drought_tolerant ?? null,
+    requires_trellis: seed.requires_trellis ?? null,
+    // Packets give spacing and height in cm and depth in mm, unless they say otherwise
+    spacing_cm: parseLength(seed.spacing, 'cm') || null,
+    height_cm: parseLength(seed.plant_height, 'cm') || null,
+    sowing_depth_mm: parseLength(seed.sowing_depth, 'mm'),
+    days_to_germination: parseNumber(seed.days_to_germination) || null,
+    weeks_to_harvest: daysToWeeks(seed.days_to_harvest),
+    sow_months: sowMonths(seed),
+    companions: parseList(seed.companion_plants),
+    image_url: seed.image_url || null,
+  };
+}
+
+// packet id → crop id, for the packets that are linked
+const CROP_BY_SEED = new Map(
+  VARIETIES.filter((v) => v.crop_id !== null).map((v) => [v.seed_id, v.crop_id])
+);
+
+function toEntry(seed) {
+  const price = Number(seed.price_aud);   // "8.00" in the file
+  return {
+    ...EMPTY_ENTRY,
+    ...growingFields(seed),
+    id: String(seed.id),
+    source: 'seed',
+    url: seed.url || null,
+    price_aud: seed.price_aud != null && Number.isFinite(price) ? price : null,
+    available: seed.available ?? null,
+    crop_id: CROP_BY_SEED.get(String(seed.id)) || null,
+  };
+}
+
+export function loadSeeds() {
+  return SEEDS.map(toEntry);
+}
+
+// A seed the user added to the catalog in Browse (see addCustomSeedToCatalog)
+export function customSeedEntry(seed) {
+  return {
+    ...EMPTY_ENTRY,
+    ...growingFields(seed),
+    id: String(seed.id),
+    source: 'custom',
+    // Months typed into the form are already for the user's climate;
+    // seasons are read on the base calendar and converted like the rest
+    local_calendar: parseMonthRanges(seed.best_months).length > 0,
+  };
+}
@@ -0,0 +1,152 @@
+/**
+ * DatePickerModal.js
+ * ─────────────────────────────────────────────
+ * Asks the user for a calendar date, using the native picker on each platform:
+ *   - Android: the system date dialog (it's already a popup, so no sheet)
+ *   - iOS:     an inline calendar in a bottom sheet with Cancel / Done
+ *   - Web:     @react-native-community/datetimepicker has no web version,
+ *              so the sheet shows a plain YYYY-MM-DD text field instead
+ *
+ * Props:
+ *   visible     — show or hide the picker
+ *   title       — heading shown in the sheet (iOS / web)
+ *   value       — the Date to start on
+ *   maximumDate — latest pickable date (optional, e.g. today)
+ *   onConfirm   — called with the chosen Date
+ *   onCancel    — called when the user backs out
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  View, Text, TouchableOpacity, Modal, TextInput, StyleSheet, Platform,
+} from 'react-native';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import { COLORS } from '../theme';
+import { toLocalISODate, parseISODate } from '../utils/dates';
+
+export default function DatePickerModal({ visible, title, value, maximumDate, onConfirm, onCancel }) {
+  // The date being chosen — only handed back when the user taps Done
+  const [draft, setDraft] = useState(value);
+  const [webText, setWebText] = useState(toLocalISODate(value));
+
+  // Start from the caller's value every time the picker opens
+  useEffect(() => {
+    if (visible) {
+      setDraft(value);
+      setWebText(toLocalISODate(value));
+    }
+  }, [visible]);
+
+  if (!visible) return null;
+
+  // Android's picker is its own dialog — render it directly and report back once
+  if (Platform.OS === 'android') {
+    return (
+      <DateTimePicker
+        value={value}
+        mode="date"
+        maximumDate={maximumDate}
+        onChange={(event, selected) => {
+          if (event.type === 'set' && selected) onConfirm(selected);
+          else onCancel();
+        }}
+      />
+    );
+  }
+
+  const webDate = parseISODate(webText);
+  const webValid = !!webDate && (!maximumDate || webDate <= maximumDate);
+
+  function handleDone() {
+    if (Platform.OS === 'web') {
+      if (webValid) onConfirm(webDate);
+    } else {
+      onConfirm(draft);
+    }
+  }
+
+  return (
+    <Modal visible transparent animationType="slide" onRequestClose={onCancel}>
+      <View style={styles.overlay}>
+        <TouchableOpacity style={StyleSheet.absoluteFill} activeOpacity={1} onPress={onCancel} />
+        <View style={styles.sheet}>
+          <Text style={styles.title}>{title}</Text>
+
+          {Platform.OS === 'web' ? (
+            <TextInput
+              style={[styles.webInput, !webValid && styles.webInputInvalid]}
+              value={webText}
+              onChangeText={setWebText}
+              placeholder="YYYY-MM-DD"
+              placeholderTextColor={COLORS.textLight}
+              autoFocus
+            />
+          ) : (
+            <DateTimePicker
+              value={draft}
+              mode="date"
+              display="inline"
+              maximumDate={maximumDate}
+              onChange={(event, selected) => { if (selected) setDraft(selected); }}
+              accentColor={COLORS.primary}
+            />
+          )}
+
+          <View style={styles.buttons}>
+            <TouchableOpacity style={styles.cancelBtn} onPress={onCancel}>
+              <Text style={styles.cancelText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.doneBtn, Platform.OS === 'web' && !webValid && { opacity: 0.4 }]}
+              onPress={handleDone}
+              disabled={Platform.OS === 'web' && !webValid}
+            >
+              <Text style={styles.doneText}>Done</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.4)',
+    justifyContent: 'flex-end',
+  },
+  sheet: {
+    backgroundColor: COLORS.card,
+    borderTopLeftRadius: 24,
+    borderTopRightRadius: 24,
+    padding: 24,
+    paddingBottom: 40,
+  },
+  title: { fontSize: 20, fontWeight: '800', color: COLORS.text, marginBottom: 12 },
+  webInput: {
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    borderRadius: 12,
+    padding: 13,
+    fontSize: 15,
+    color: COLORS.text,
+    marginBottom: 16,
+  },
+  webInputInvalid: { borderColor: '#e05252' },
+  buttons: { flexDirection: 'row', justifyContent: 'flex-end', gap: 10, marginTop: 12 },
+  cancelBtn: {
+    paddingHorizontal: 18,
+    paddingVertical: 10,
+    borderRadius: 10,
+    backgroundColor: '#eee',
+  },
+  cancelText: { fontSize: 14, color: COLORS.text, fontWeight: '600' },
+  doneBtn: {
+    paddingHorizontal: 18,
+    paddingVertical: 10,
+    borderRadius: 10,
+    backgroundColor: COLORS.primary,
+  },
+  doneText: { fontSize: 14, color: '#fff', fontWeight: '700' },
+});
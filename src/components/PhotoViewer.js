@@ -0,0 +1,79 @@
+/**
+ * PhotoViewer.js
+ * ─────────────────────────────────────────────
+ * Full-screen view of a journal entry's photos. Swipe sideways to move
+ * between them; tap ✕ (or the back button on Android) to close.
+ *
+ * Props:
+ *   photos     — [{ id, fileName }] from a journal entry, or null when closed
+ *   startIndex — which photo to open on
+ *   onClose    — called when the user closes the viewer
+ */
+
+import React, { useState, useRef } from 'react';
+import {
+  View, Text, Image, Modal, ScrollView, TouchableOpacity, StyleSheet,
+  SafeAreaView, useWindowDimensions,
+} from 'react-native';
+import { photoUri } from '../database/photos';
+
+export default function PhotoViewer({ photos, startIndex = 0, onClose }) {
+  const { width, height } = useWindowDimensions();
+  const [index, setIndex] = useState(startIndex);
+  const scrollRef = useRef(null);
+
+  if (!photos || photos.length === 0) return null;
+
+  return (
+    <Modal visible animationType="fade" onRequestClose={onClose} onShow={() => setIndex(startIndex)}>
+      <View style={styles.backdrop}>
+        <ScrollView
+          ref={scrollRef}
+          horizontal
+          pagingEnabled
+          showsHorizontalScrollIndicator={false}
+          // contentOffset is iOS-only, so jump to the starting photo once laid out
+          onLayout={() => scrollRef.current?.scrollTo({ x: startIndex * width, animated: false })}
+          onMomentumScrollEnd={(e) => setIndex(Math.round(e.nativeEvent.contentOffset.x / width))}
+        >
+          {photos.map((photo) => (
+            <Image
+              key={photo.id}
+              source={{ uri: photoUri(photo.fileName) }}
+              style={{ width, height }}
+              resizeMode="contain"
+            />
+          ))}
+        </ScrollView>
+
+        <SafeAreaView style={styles.topBar} pointerEvents="box-none">
+          <View style={styles.topBarInner}>
+            <Text style={styles.counter}>
+              {photos.length > 1 ? `${index + 1} / ${photos.length}` : ''}
+            </Text>
+            <TouchableOpacity
+              onPress={onClose}
+              hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+            >
+              <Text style={styles.close}>✕</Text>
+            </TouchableOpacity>
+          </View>
+        </SafeAreaView>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: { flex: 1, backgroundColor: '#000' },
+  topBar: { position: 'absolute', top: 0, left: 0, right: 0 },
+  topBarInner: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+  },
+  counter: { fontSize: 14, color: '#fff', fontWeight: '600' },
+  close: { fontSize: 22, color: '#fff', paddingHorizontal: 4 },
+});
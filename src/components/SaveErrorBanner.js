@@ -0,0 +1,61 @@
+/**
+ * SaveErrorBanner.js
+ * ─────────────────────────────────────────────
+ * A red bar across the top of the app, shown when a change couldn't be
+ * saved to the database even after retrying. GardenContext has already
+ * rolled the change back by then — this just tells the user it happened.
+ *
+ * Rendered once in App.js so it appears on whichever screen is open.
+ */
+
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, SafeAreaView } from 'react-native';
+import { useGarden } from '../hooks/GardenContext';
+
+export default function SaveErrorBanner() {
+  const { saveError, dismissSaveError } = useGarden();
+
+  if (!saveError) return null;
+
+  return (
+    // box-none lets taps pass through the empty safe-area padding to the screen below
+    <SafeAreaView style={styles.wrap} pointerEvents="box-none">
+      <View style={styles.banner}>
+        <Text style={styles.icon}>⚠️</Text>
+        <Text style={styles.message}>{saveError.message}</Text>
+        <TouchableOpacity
+          onPress={dismissSaveError}
+          hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+        >
+          <Text style={styles.dismiss}>✕</Text>
+        </TouchableOpacity>
+      </View>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  wrap: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+  },
+  banner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+    marginHorizontal: 12,
+    marginTop: 8,
+    paddingHorizontal: 14,
+    paddingVertical: 10,
+    borderRadius: 12,
+    backgroundColor: '#fff5f5',
+    borderWidth: 1,
+    borderColor: '#e05252',
+    elevation: 4,
+  },
+  icon: { fontSize: 16 },
+  message: { flex: 1, fontSize: 13, color: '#c00', fontWeight: '600', lineHeight: 18 },
+  dismiss: { fontSize: 16, color: '#c00', paddingHorizontal: 4 },
+});
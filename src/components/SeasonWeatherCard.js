@@ -0,0 +1,64 @@
+/**
+ * SeasonWeatherCard.js
+ * ─────────────────────────────────────────────
+ * This season's weather so far next to the same stretch of last season —
+ * rain, average high, frosty nights and hot days — on MyGardenScreen.
+ * Takes the result of compareSeasons() (weather/history.js) and shows
+ * nothing when there isn't a year of weather logged to compare with.
+ */
+
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { COLORS } from '../theme';
+import { seasonLabel } from '../utils/harvest';
+
+export default function SeasonWeatherCard({ comparison }) {
+  if (!comparison) return null;
+  const { season, thisSeason, lastSeason } = comparison;
+
+  const rows = [
+    { label: 'Rain',           format: (s) => `${s.rainMm} mm` },
+    { label: 'Rainy days',     format: (s) => `${s.rainyDays}` },
+    { label: 'Average high',   format: (s) => (s.averageHigh !== null ? `${s.averageHigh}°C` : '—') },
+    { label: 'Frosty nights',  format: (s) => `${s.frostNights}` },
+    { label: 'Days over 35°C', format: (s) => `${s.hotDays}` },
+  ];
+
+  return (
+    <View style={styles.card}>
+      <Text style={styles.title}>🌦️ Weather {seasonLabel(season)} so far</Text>
+      <View style={styles.row}>
+        <Text style={styles.label} />
+        <Text style={styles.columnHead}>This season</Text>
+        <Text style={styles.columnHead}>Last season</Text>
+      </View>
+      {rows.map((row) => (
+        <View key={row.label} style={[styles.row, styles.rowDivider]}>
+          <Text style={styles.label}>{row.label}</Text>
+          <Text style={styles.value}>{row.format(thisSeason)}</Text>
+          <Text style={[styles.value, styles.valueLast]}>{row.format(lastSeason)}</Text>
+        </View>
+      ))}
+      <Text style={styles.note}>Last season is counted up to the same date, from 1 July.</Text>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  card: {
+    backgroundColor: COLORS.card,
+    borderRadius: 16,
+    marginBottom: 12,
+    padding: 16,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  title: { fontSize: 15, fontWeight: '800', color: COLORS.text, marginBottom: 8 },
+  row: { flexDirection: 'row', alignItems: 'center', paddingVertical: 5, gap: 10 },
+  rowDivider: { borderTopWidth: 1, borderTopColor: '#f0f0f0' },
+  label: { flex: 1.3, fontSize: 13, color: COLORS.text, fontWeight: '600' },
+  columnHead: { flex: 1, fontSize: 11, color: COLORS.textLight, textAlign: 'right' },
+  value: { flex: 1, fontSize: 13, color: COLORS.text, fontWeight: '700', textAlign: 'right' },
+  valueLast: { color: COLORS.textLight, fontWeight: '500' },
+  note: { fontSize: 11, color: COLORS.textLight, marginTop: 8 },
+});
@@ -0,0 +1,52 @@
+/**
+ * UndoSnackbar.js
+ * ─────────────────────────────────────────────
+ * A small bar pinned to the bottom of the screen after something is deleted,
+ * with an "Undo" button. It reads the most recent undoable delete straight
+ * from GardenContext, so a screen only needs to render <UndoSnackbar />.
+ *
+ * GardenContext removes the entry after UNDO_TIMEOUT_MS, which hides the bar.
+ */
+
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { COLORS } from '../theme';
+import { useGarden } from '../hooks/GardenContext';
+
+export default function UndoSnackbar() {
+  const { pendingUndo, undo } = useGarden();
+
+  if (!pendingUndo) return null;
+
+  return (
+    <View style={styles.bar}>
+      <Text style={styles.label} numberOfLines={1}>{pendingUndo.label}</Text>
+      <TouchableOpacity
+        onPress={undo}
+        hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+      >
+        <Text style={styles.undo}>Undo</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  bar: {
+    position: 'absolute',
+    left: 16,
+    right: 16,
+    bottom: 16,
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: COLORS.text,
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    gap: 12,
+    // Lift it above the list on Android
+    elevation: 4,
+  },
+  label: { flex: 1, fontSize: 14, color: '#fff' },
+  undo: { fontSize: 14, fontWeight: '800', color: COLORS.accent },
+});
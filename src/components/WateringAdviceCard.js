@@ -0,0 +1,60 @@
+/**
+ * WateringAdviceCard.js
+ * ─────────────────────────────────────────────
+ * Today's watering tip on HomeScreen, under the weather card — whether to
+ * skip watering after rain, check the soil first, or water (pots first on
+ * hot days). The advice itself comes from useWeather (see utils/watering.js).
+ *
+ * Shows nothing until there's a forecast for today.
+ */
+
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { COLORS } from '../theme';
+
+// Card colours per advice level
+const LEVEL_STYLES = {
+  skip:  { backgroundColor: '#eaf3fb', color: '#2b5d8a' },
+  check: { backgroundColor: '#eaf5eb', color: COLORS.primary },
+  water: { backgroundColor: '#fff8e8', color: '#a06a00' },
+};
+
+export default function WateringAdviceCard({ advice }) {
+  if (!advice) return null;
+  const level = LEVEL_STYLES[advice.level] || LEVEL_STYLES.check;
+
+  return (
+    <View style={[styles.card, { backgroundColor: level.backgroundColor }]}>
+      <Text style={styles.emoji}>{advice.emoji}</Text>
+      <View style={styles.body}>
+        <Text style={[styles.title, { color: level.color }]}>Watering today</Text>
+        <Text style={styles.message}>{advice.message}</Text>
+        <Text style={styles.detail}>
+          Last 3 days: {advice.moistureMm >= 0 ? '+' : ''}{advice.moistureMm} mm of rain
+          after evaporation
+        </Text>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  card: {
+    flexDirection: 'row',
+    gap: 12,
+    marginHorizontal: 20,
+    marginBottom: 16,
+    padding: 16,
+    borderRadius: 14,
+  },
+  emoji: { fontSize: 26 },
+  body: { flex: 1 },
+  title: {
+    fontSize: 11,
+    fontWeight: '700',
+    textTransform: 'uppercase',
+    letterSpacing: 0.8,
+  },
+  message: { fontSize: 14, color: COLORS.text, lineHeight: 20, marginTop: 4 },
+  detail: { fontSize: 11, color: COLORS.textLight, marginTop: 6 },
+});
@@ -0,0 +1,175 @@
+/**
+ * WeatherCard.js
+ * ─────────────────────────────────────────────
+ * Today's weather at the top of HomeScreen: city, current temperature,
+ * condition and chance of rain, plus a heads-up when tomorrow is hot or
+ * tonight could bring frost.
+ *
+ * Takes the object returned by useWeather(), which HomeScreen calls — that
+ * hook is also what schedules the Hot Day Alerts described in Settings.
+ * Tapping the card calls onOpenForecast (the week ahead); onSetLocation
+ * opens Settings, where the user can pick a location by hand.
+ *
+ * States:
+ *   - loading with nothing saved yet → a short "Checking the weather…" line
+ *   - showing saved weather          → the card, with "Updated 2 h ago"
+ *                                      (or tap-to-retry if a refresh failed)
+ *   - permission_denied / fetch_failed with no weather to show
+ *                                    → an explanation and tap-to-retry
+ *   - location_needed (web, no location picked yet)
+ *                                    → a prompt to pick one in Settings
+ */
+
+import React from 'react';
+import { View, Text, TouchableOpacity, ActivityIndicator, StyleSheet } from 'react-native';
+import { COLORS } from '../theme';
+
+const ERROR_MESSAGES = {
+  permission_denied: 'Location is turned off for this app, so we can\'t show local weather.',
+  fetch_failed:      'Couldn\'t get the weather — check your connection.',
+  location_needed:   'Choose your suburb or town to see local weather here.',
+};
+
+// "just now", "25 min ago", "3 h ago", "2 days ago"
+function timeAgo(iso) {
+  const minutes = Math.round((Date.now() - new Date(iso).getTime()) / 60000);
+  if (!(minutes >= 1)) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) return `${hours} h ago`;
+  const days = Math.round(hours / 24);
+  return `${days} day${days !== 1 ? 's' : ''} ago`;
+}
+
+export default function WeatherCard({ weather, onSetLocation, onOpenForecast }) {
+  const { loading, error, retry } = weather;
+  const hasWeather = weather.currentTemp !== null;
+
+  // Nothing to show yet
+  if (!hasWeather) {
+    if (loading) {
+      return (
+        <View style={[styles.card, styles.row]}>
+          <ActivityIndicator color={COLORS.primary} />
+          <Text style={styles.muted}>Checking the weather…</Text>
+        </View>
+      );
+    }
+    if (!error) return null;
+    return (
+      <View style={styles.card}>
+        <Text style={styles.errorText}>{ERROR_MESSAGES[error]}</Text>
+        <View style={styles.actions}>
+          {error !== 'location_needed' && (
+            <TouchableOpacity onPress={retry}>
+              <Text style={styles.retry}>Try again</Text>
+            </TouchableOpacity>
+          )}
+          {/* Picking a location by hand fixes both a refused permission and web */}
+          {error !== 'fetch_failed' && (
+            <TouchableOpacity onPress={onSetLocation}>
+              <Text style={styles.retry}>Set location</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+    );
+  }
+
+  return (
+    <TouchableOpacity style={styles.card} onPress={onOpenForecast} activeOpacity={0.75}>
+      <View style={styles.row}>
+        <Text style={styles.emoji}>{weather.condition?.emoji}</Text>
+        <View style={styles.main}>
+          <Text style={styles.city} numberOfLines={1}>{weather.cityName}</Text>
+          <Text style={styles.condition}>
+            {weather.condition?.label}  ·  High {weather.todayHigh}°
+          </Text>
+        </View>
+        <View style={styles.tempWrap}>
+          <Text style={styles.temp}>{weather.currentTemp}°</Text>
+          <Text style={styles.rain}>💧 {weather.rainProbability}%</Text>
+        </View>
+      </View>
+
+      {weather.isFrostTonight && (
+        <Text style={styles.frostNote}>
+          ❄️ Low of {weather.tonightMin}°C tonight
+          {weather.frostTenderPlants.length > 0
+            ? ` — protect ${weather.frostTenderPlants.join(', ')}.`
+            : '.'}
+        </Text>
+      )}
+
+      {weather.isHotTomorrow && (
+        <Text style={styles.hotNote}>
+          ☀️ {weather.tomorrowMax}°C tomorrow — water your plants tonight.
+        </Text>
+      )}
+
+      {/* Status line: refreshing, out of date, or a failed refresh */}
+      <View style={[styles.row, styles.statusRow]}>
+        {loading && <ActivityIndicator size="small" color={COLORS.textLight} />}
+        {error ? (
+          <TouchableOpacity style={styles.statusErrorWrap} onPress={retry} disabled={loading}>
+            <Text style={styles.statusError}>{ERROR_MESSAGES[error]} Tap to try again.</Text>
+          </TouchableOpacity>
+        ) : (
+          <Text style={styles.status}>
+            {weather.isCached ? 'Saved weather · ' : ''}Updated {timeAgo(weather.updatedAt)}
+          </Text>
+        )}
+        <Text style={styles.forecastLink}>7 days ›</Text>
+      </View>
+    </TouchableOpacity>
+  );
+}
+
+const styles = StyleSheet.create({
+  card: {
+    backgroundColor: COLORS.card,
+    marginHorizontal: 20,
+    marginBottom: 16,
+    padding: 16,
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  row: { flexDirection: 'row', alignItems: 'center', gap: 10 },
+  muted: { fontSize: 13, color: COLORS.textLight },
+  errorText: { fontSize: 13, color: COLORS.text, lineHeight: 19 },
+  actions: { flexDirection: 'row', gap: 20, marginTop: 6 },
+  retry: { fontSize: 13, color: COLORS.primary, fontWeight: '700' },
+
+  emoji: { fontSize: 34 },
+  main: { flex: 1 },
+  city: { fontSize: 16, fontWeight: '700', color: COLORS.text },
+  condition: { fontSize: 12, color: COLORS.textLight, marginTop: 2 },
+  tempWrap: { alignItems: 'flex-end' },
+  temp: { fontSize: 28, fontWeight: '800', color: COLORS.text },
+  rain: { fontSize: 12, color: COLORS.textLight },
+
+  hotNote: {
+    fontSize: 12,
+    color: '#a06a00',
+    fontWeight: '600',
+    backgroundColor: '#fff8e8',
+    borderRadius: 8,
+    padding: 8,
+    marginTop: 10,
+  },
+  frostNote: {
+    fontSize: 12,
+    color: '#2b5d8a',
+    fontWeight: '600',
+    backgroundColor: '#eaf3fb',
+    borderRadius: 8,
+    padding: 8,
+    marginTop: 10,
+  },
+  statusRow: { marginTop: 10, gap: 6 },
+  status: { flex: 1, fontSize: 11, color: COLORS.textLight },
+  statusErrorWrap: { flex: 1 },
+  statusError: { fontSize: 11, color: '#c00' },
+  forecastLink: { fontSize: 12, color: COLORS.primary, fontWeight: '700' },
+});
@@ -0,0 +1,68 @@
+-- A garden.db from before schema migrations existed (user_version 0):
+-- the tables the app created on first launch, with some data in them.
+-- Journal dates are display strings, as older versions wrote them.
+
+CREATE TABLE IF NOT EXISTS areas (
+  id         TEXT PRIMARY KEY NOT NULL,
+  name       TEXT NOT NULL,
+  emoji      TEXT NOT NULL DEFAULT '🪴',
+  created_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS plants (
+  id            TEXT PRIMARY KEY NOT NULL,
+  area_id       TEXT NOT NULL REFERENCES areas(id) ON DELETE CASCADE,
+  seed_id       TEXT,
+  seed_title    TEXT,
+  seed_category TEXT,
+  seed_image    TEXT,
+  planted_date  TEXT NOT NULL,
+  stage         TEXT
+);
+
+CREATE TABLE IF NOT EXISTS journal_entries (
+  id       TEXT PRIMARY KEY NOT NULL,
+  plant_id TEXT NOT NULL REFERENCES plants(id) ON DELETE CASCADE,
+  date     TEXT NOT NULL,
+  text     TEXT NOT NULL,
+  type     TEXT NOT NULL DEFAULT 'note'
+);
+
+CREATE TABLE IF NOT EXISTS custom_seeds (
+  id                      TEXT PRIMARY KEY NOT NULL,
+  title                   TEXT NOT NULL,
+  category                TEXT NOT NULL DEFAULT 'Vegetable',
+  scientific_name         TEXT,
+  description             TEXT,
+  image_url               TEXT,
+  planting_seasons        TEXT,
+  best_months             TEXT,
+  sun_requirements        TEXT,
+  watering                TEXT,
+  frost_tolerance         TEXT,
+  difficulty              TEXT,
+  plant_life              TEXT,
+  suitable_for_containers INTEGER NOT NULL DEFAULT 0,
+  requires_trellis        INTEGER NOT NULL DEFAULT 0,
+  days_to_germination     TEXT,
+  days_to_harvest         TEXT,
+  sowing_depth            TEXT,
+  spacing                 TEXT,
+  companion_plants        TEXT,
+  plant_height            TEXT,
+  drought_tolerant        INTEGER NOT NULL DEFAULT 0,
+  is_custom               INTEGER NOT NULL DEFAULT 1
+);
+
+CREATE TABLE IF NOT EXISTS kv_store (
+  key   TEXT PRIMARY KEY NOT NULL,
+  value TEXT
+);
+
+INSERT INTO areas VALUES ('area1', 'Back bed', '🏡', '2025-09-01T08:00:00.000Z');
+INSERT INTO plants VALUES ('plant1', 'area1', 'cherry-tomato', 'Cherry Tomato', 'Vegetable', NULL, '2025-10-04', 'growing');
+INSERT INTO journal_entries VALUES ('entry1', 'plant1', '4 Oct 2025', 'Planted out', 'note');
+INSERT INTO journal_entries VALUES ('entry2', 'plant1', '3 Sept 2025', 'Sowed in trays', 'note');
+INSERT INTO journal_entries VALUES ('entry3', 'plant1', 'sometime in spring', 'Not a date', 'note');
+INSERT INTO kv_store VALUES ('temperature_history', '[{"date":"2025-10-01","max":24,"min":11}]');
+INSERT INTO kv_store VALUES ('garden_settings', '{"remindersEnabled":true}');
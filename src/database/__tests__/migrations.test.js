@@ -0,0 +1,142 @@
+/**
+ * migrations.test.js
+ * ─────────────────────────────────────────────
+ * Upgrades a pre-migration database (fixtures/v0.sql) through every step
+ * in MIGRATIONS, and checks that a failing step leaves the database on the
+ * version it was on.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { runMigrations, getSchemaVersion } from '../db';
+import { MIGRATIONS, LATEST_VERSION } from '../migrations';
+import { openTestDatabase } from './sqlJsDatabase';
+
+const V0_SQL = fs.readFileSync(path.join(__dirname, 'fixtures', 'v0.sql'), 'utf8');
+
+// Column names of a table, in order
+async function columns(db, table) {
+  const rows = await db.getAllAsync(`PRAGMA table_info(${table})`);
+  return rows.map((r) => r.name);
+}
+
+// Names of the tables and indexes in the database
+async function schemaNames(db, type) {
+  const rows = await db.getAllAsync(
+    "SELECT name FROM sqlite_master WHERE type = ? AND name NOT LIKE 'sqlite_%' ORDER BY name",
+    [type]
+  );
+  return rows.map((r) => r.name);
+}
+
+// A step that does some work, then throws
+const failingStep = (version) => ({
+  version,
+  description: 'Fails halfway',
+  async up(db) {
+    await db.execAsync('CREATE TABLE half_done (id TEXT)');
+    await db.runAsync("INSERT INTO kv_store (key, value) VALUES ('half_done', 'yes')");
+    throw new Error('boom');
+  },
+});
+
+describe('runMigrations', () => {
+  it('numbers the migrations 1 to LATEST_VERSION with no gaps', () => {
+    expect(MIGRATIONS.map((m) => m.version)).toEqual(
+      Array.from({ length: LATEST_VERSION }, (_, i) => i + 1)
+    );
+    expect(LATEST_VERSION).toBe(7);
+  });
+
+  it('upgrades a v0 database to the latest version', async () => {
+    const db = await openTestDatabase(V0_SQL);
+    expect(await getSchemaVersion(db)).toBe(0);
+
+    expect(await runMigrations(db)).toBe(LATEST_VERSION);
+    expect(await getSchemaVersion(db)).toBe(LATEST_VERSION);
+
+    expect(await schemaNames(db, 'table')).toEqual([
+      'areas', 'custom_seeds', 'journal_entries', 'journal_photos', 'kv_store', 'plants', 'weather_daily',
+    ]);
+    expect(await schemaNames(db, 'index')).toEqual([
+      'idx_journal_entries_plant_id', 'idx_journal_photos_entry_id', 'idx_plants_area_id',
+    ]);
+    expect(await columns(db, 'plants')).toEqual([
+      'id', 'area_id', 'seed_id', 'seed_title', 'seed_category', 'seed_image',
+      'planted_date', 'stage', 'variety_id', 'variety_title',
+    ]);
+    expect(await columns(db, 'journal_entries')).toEqual([
+      'id', 'plant_id', 'date', 'text', 'type', 'quantity', 'unit',
+    ]);
+    expect(await columns(db, 'journal_photos')).toEqual(['id', 'entry_id', 'file_name', 'created_at']);
+    expect(await columns(db, 'weather_daily')).toEqual([
+      'date', 'latitude', 'longitude', 'max_temp', 'min_temp', 'rain_mm', 'weather_code', 'fetched_at',
+    ]);
+  });
+
+  it('keeps existing data and converts it on the way', async () => {
+    const db = await openTestDatabase(V0_SQL);
+    await runMigrations(db);
+
+    const plant = await db.getFirstAsync('SELECT * FROM plants WHERE id = ?', ['plant1']);
+    expect(plant).toMatchObject({ area_id: 'area1', planted_date: '2025-10-04', variety_id: null });
+
+    // Migration 3 rewrites display dates as ISO and leaves anything else alone
+    const entries = await db.getAllAsync('SELECT id, date, quantity FROM journal_entries ORDER BY id');
+    expect(entries).toEqual([
+      { id: 'entry1', date: '2025-10-04', quantity: null },
+      { id: 'entry2', date: '2025-09-03', quantity: null },
+      { id: 'entry3', date: 'sometime in spring', quantity: null },
+    ]);
+
+    // Migration 6 drops the old temperature history; settings stay
+    const keys = await db.getAllAsync('SELECT key FROM kv_store ORDER BY key');
+    expect(keys.map((k) => k.key)).toEqual(['garden_settings']);
+  });
+
+  it('does nothing on a database that is already up to date', async () => {
+    const db = await openTestDatabase(V0_SQL);
+    await runMigrations(db);
+    const up = jest.fn();
+    const migrations = MIGRATIONS.map((m) => ({ ...m, up }));
+
+    expect(await runMigrations(db, migrations)).toBe(LATEST_VERSION);
+    expect(up).not.toHaveBeenCalled();
+  });
+
+  it('rolls back a failing step and stays on the version before it', async () => {
+    const db = await openTestDatabase(V0_SQL);
+    const migrations = [...MIGRATIONS.slice(0, 2), failingStep(3), ...MIGRATIONS.slice(3)];
+
+    await expect(runMigrations(db, migrations)).rejects.toThrow('Migration 3 (Fails halfway) failed: boom');
+
+    expect(await getSchemaVersion(db)).toBe(2);
+    expect(await schemaNames(db, 'table')).not.toContain('half_done');
+    expect(await db.getFirstAsync("SELECT * FROM kv_store WHERE key = 'half_done'")).toBeNull();
+    // Steps after the failed one never ran
+    expect(await columns(db, 'journal_entries')).not.toContain('quantity');
+    const entry = await db.getFirstAsync("SELECT date FROM journal_entries WHERE id = 'entry1'");
+    expect(entry.date).toBe('4 Oct 2025');
+  });
+
+  it('picks up from the failed step on the next run', async () => {
+    const db = await openTestDatabase(V0_SQL);
+    const broken = [...MIGRATIONS.slice(0, 2), failingStep(3), ...MIGRATIONS.slice(3)];
+    await expect(runMigrations(db, broken)).rejects.toThrow();
+
+    expect(await runMigrations(db)).toBe(LATEST_VERSION);
+    const entry = await db.getFirstAsync("SELECT date FROM journal_entries WHERE id = 'entry1'");
+    expect(entry.date).toBe('2025-10-04');
+  });
+
+  it('leaves an up-to-date database on the latest version if a new step fails', async () => {
+    const db = await openTestDatabase(V0_SQL);
+    await runMigrations(db);
+
+    await expect(runMigrations(db, [...MIGRATIONS, failingStep(LATEST_VERSION + 1)])).rejects.toThrow(
+      `Migration ${LATEST_VERSION + 1} (Fails halfway) failed: boom`
+    );
+    expect(await getSchemaVersion(db)).toBe(LATEST_VERSION);
+    expect(await schemaNames(db, 'table')).not.toContain('half_done');
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * sqlJsDatabase.js
+ * ─────────────────────────────────────────────
+ * An in-memory SQLite database for tests, with the part of expo-sqlite's
+ * async API that db.js and migrations.js use (execAsync, runAsync,
+ * getFirstAsync, getAllAsync, withTransactionAsync).
+ *
+ * expo-sqlite needs the native app to run, so tests use sql.js — the real
+ * SQLite compiled to JavaScript — behind the same method names. (Its asm.js
+ * build: the WebAssembly one can't find its .wasm file under jest-expo.)
+ *
+ * Usage:
+ *   const db = await openTestDatabase(V0_SCHEMA);
+ *   await runMigrations(db);
+ */
+
+import initSqlJs from 'sql.js/dist/sql-asm';
+
+let SQL = null;
+
+// Rows from a statement as plain objects: [{ column: value }]
+function allRows(raw, sql, params) {
+  const statement = raw.prepare(sql);
+  try {
+    statement.bind(params);
+    const rows = [];
+    while (statement.step()) rows.push(statement.getAsObject());
+    return rows;
+  } finally {
+    statement.free();
+  }
+}
+
+// Wraps a sql.js database in expo-sqlite's method names
+function wrap(raw) {
+  const db = {
+    raw,
+
+    async execAsync(sql) {
+      raw.exec(sql);
+    },
+
+    async runAsync(sql, params = []) {
+      raw.run(sql, params);
+      return { changes: raw.getRowsModified(), lastInsertRowId: null };
+    },
+
+    async getFirstAsync(sql, params = []) {
+      return allRows(raw, sql, params)[0] || null;
+    },
+
+    async getAllAsync(sql, params = []) {
+      return allRows(raw, sql, params);
+    },
+
+    // The same steps as expo-sqlite's withTransactionAsync
+    async withTransactionAsync(task) {
+      try {
+        await db.execAsync('BEGIN');
+        await task();
+        await db.execAsync('COMMIT');
+      } catch (err) {
+        await db.execAsync('ROLLBACK');
+        throw err;
+      }
+    },
+  };
+  return db;
+}
+
+/**
+ * Opens an empty in-memory database, runs `setupSql` in it (a fixture's
+ * tables and rows) and returns it wrapped in the expo-sqlite API.
+ */
+export async function openTestDatabase(setupSql = '') {
+  if (!SQL) SQL = await initSqlJs();
+  const raw = new SQL.Database();
+  raw.exec('PRAGMA foreign_keys = ON;');
+  if (setupSql) raw.exec(setupSql);
+  return wrap(raw);
+}
@@ -0,0 +1,350 @@
+/**
+ * backup.js
+ * ─────────────────────────────────────────────
+ * Full garden backup and restore as a portable JSON document.
+ *
+ * A backup looks like:
+ *   {
+ *     format: 'garden-planner-backup',
+ *     version: 2,
+ *     exportedAt: '2026-03-03T09:15:00.000Z',
+ *     schemaVersion: 5,               ← PRAGMA user_version of the exporting app
+ *     tables: {
+ *       areas: [...], plants: [...], journal_entries: [...],
+ *       journal_photos: [...], custom_seeds: [...], kv_store: [...]
+ *     },
+ *     photos: { 'abc123.jpg': '<base64>', ... }   ← the journal photo files
+ *   }
+ *
+ * Rows are stored exactly as they are in SQLite (snake_case columns), so
+ * restoring is a straight copy. Only the columns listed in TABLE_COLUMNS are
+ * read from or written to a backup — anything else in the file is ignored.
+ *
+ * Restore has two modes, both run inside a single transaction:
+ *   - 'merge'   → rows are matched by id; existing rows are updated, new ones added
+ *   - 'replace' → the garden, custom seeds and backed-up settings are wiped first
+ */
+
+import { Platform } from 'react-native';
+import { initDatabase, getSchemaVersion } from './db';
+import { PHOTOS_SUPPORTED, isSafeFileName, readPhotosBase64, writePhotosBase64 } from './photos';
+import { legacyDateToISO } from '../utils/dates';
+// expo-file-system, expo-sharing and expo-document-picker are required
+// dynamically inside the file helpers below — none of them work on web
+
+export const BACKUP_FORMAT  = 'garden-planner-backup';
+// Version 2 added photos. Version 1 backups (no photos) can still be restored.
+export const BACKUP_VERSION = 2;
+
+// The columns copied for each table, in insert order. Parents come before
+// children so foreign keys are satisfied when restoring.
+// When a migration adds a column, add it here too or it won't be backed up.
+const TABLE_COLUMNS = {
+  areas:           ['id', 'name', 'emoji', 'created_at'],
+  plants: [
+    'id', 'area_id', 'seed_id', 'seed_title', 'seed_category', 'seed_image', 'planted_date', 'stage',
+    'variety_id', 'variety_title',
+  ],
+  journal_entries: ['id', 'plant_id', 'date', 'text', 'type', 'quantity', 'unit'],
+  journal_photos:  ['id', 'entry_id', 'file_name', 'created_at'],
+  custom_seeds: [
+    'id', 'title', 'category', 'scientific_name', 'description', 'image_url',
+    'planting_seasons', 'best_months', 'sun_requirements', 'watering',
+    'frost_tolerance', 'difficulty', 'plant_life',
+    'suitable_for_containers', 'requires_trellis',
+    'days_to_germination', 'days_to_harvest', 'sowing_depth', 'spacing',
+    'companion_plants', 'plant_height', 'drought_tolerant', 'is_custom',
+  ],
+};
+
+// kv_store holds a mix of user settings and device-specific state (weather
+// cache, scheduled notification ids). Only the user's settings are portable.
+const BACKUP_KV_KEYS = ['garden_settings'];
+
+// Human-readable names for the dry-run summary
+const TABLE_LABELS = {
+  areas:           'Garden areas',
+  plants:          'Plants',
+  journal_entries: 'Journal entries',
+  journal_photos:  'Photos',
+  custom_seeds:    'Custom seeds',
+  kv_store:        'Settings',
+};
+
+// ── Export ────────────────────────────────────────────────────
+
+/**
+ * Reads every backed-up table and returns the backup document (a plain object),
+ * with the journal photo files embedded as base64.
+ */
+export async function exportBackup() {
+  const db = await initDatabase();
+  const tables = {};
+
+  for (const [table, columns] of Object.entries(TABLE_COLUMNS)) {
+    tables[table] = await db.getAllAsync(
+      `SELECT ${columns.join(', ')} FROM ${table} ORDER BY rowid ASC`
+    );
+  }
+
+  const placeholders = BACKUP_KV_KEYS.map(() => '?').join(', ');
+  tables.kv_store = await db.getAllAsync(
+    `SELECT key, value FROM kv_store WHERE key IN (${placeholders})`,
+    BACKUP_KV_KEYS
+  );
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    schemaVersion: await getSchemaVersion(db),
+    tables,
+    photos: PHOTOS_SUPPORTED
+      ? await readPhotosBase64(tables.journal_photos.map((r) => r.file_name))
+      : {},
+  };
+}
+
+// ── Validation ────────────────────────────────────────────────
+
+/**
+ * Checks that a parsed document is a backup this app can restore.
+ * Returns an array of problems — empty means the backup is valid.
+ */
+export function validateBackup(doc) {
+  const errors = [];
+
+  if (!doc || typeof doc !== 'object') {
+    return ['This file is not a garden backup.'];
+  }
+  if (doc.format !== BACKUP_FORMAT) {
+    errors.push('This file is not a garden backup.');
+    return errors;
+  }
+  if (typeof doc.version !== 'number' || doc.version > BACKUP_VERSION) {
+    errors.push('This backup was made by a newer version of the app — please update first.');
+    return errors;
+  }
+  if (!doc.tables || typeof doc.tables !== 'object') {
+    errors.push('The backup has no data in it.');
+    return errors;
+  }
+
+  // Every table must be an array of rows with an id
+  for (const table of Object.keys(TABLE_COLUMNS)) {
+    const rows = doc.tables[table] ?? [];
+    if (!Array.isArray(rows)) {
+      errors.push(`${TABLE_LABELS[table]} are not a list.`);
+      continue;
+    }
+    rows.forEach((row, i) => {
+      if (!row || typeof row !== 'object' || row.id === undefined || row.id === null) {
+        errors.push(`${TABLE_LABELS[table]} #${i + 1} has no id.`);
+      }
+    });
+  }
+
+  const kvRows = doc.tables.kv_store ?? [];
+  if (!Array.isArray(kvRows)) {
+    errors.push('Settings are not a list.');
+  }
+
+  const photos = doc.photos ?? {};
+  if (typeof photos !== 'object' || Array.isArray(photos)) {
+    errors.push('Photos are not in the expected format.');
+  }
+
+  // Children must point at a parent that's in the backup — otherwise the
+  // restore would hit a foreign key error halfway through
+  if (errors.length === 0) {
+    const areaIds  = new Set((doc.tables.areas ?? []).map((r) => String(r.id)));
+    const plantIds = new Set((doc.tables.plants ?? []).map((r) => String(r.id)));
+    for (const p of doc.tables.plants ?? []) {
+      if (!areaIds.has(String(p.area_id))) {
+        errors.push(`Plant "${p.seed_title || p.id}" belongs to an area that isn't in the backup.`);
+      }
+    }
+    for (const e of doc.tables.journal_entries ?? []) {
+      if (!plantIds.has(String(e.plant_id))) {
+        errors.push(`A journal entry (${e.id}) belongs to a plant that isn't in the backup.`);
+      }
+    }
+    const entryIds = new Set((doc.tables.journal_entries ?? []).map((r) => String(r.id)));
+    for (const ph of doc.tables.journal_photos ?? []) {
+      if (!entryIds.has(String(ph.entry_id))) {
+        errors.push(`A photo (${ph.id}) belongs to a journal entry that isn't in the backup.`);
+      } else if (!isSafeFileName(ph.file_name) || typeof photos[ph.file_name] !== 'string') {
+        errors.push(`A photo (${ph.id}) is missing its image.`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+// ── Dry run ───────────────────────────────────────────────────
+
+/**
+ * Describes what restoreBackup(doc, mode) would do, without changing anything.
+ * Returns one line per table:
+ *   [{ table, label, inBackup, added, updated, removed }]
+ *
+ * 'removed' is only non-zero in replace mode — it counts current rows that
+ * aren't in the backup and would be lost.
+ */
+export async function summariseRestore(doc, mode) {
+  const db = await initDatabase();
+  const summary = [];
+
+  const tables = [...Object.keys(TABLE_COLUMNS), 'kv_store'];
+  for (const table of tables) {
+    const isKv = table === 'kv_store';
+    const idCol = isKv ? 'key' : 'id';
+    const incoming = (doc.tables[table] ?? []).map((r) => String(r[idCol]));
+
+    let existing;
+    if (isKv) {
+      const placeholders = BACKUP_KV_KEYS.map(() => '?').join(', ');
+      existing = await db.getAllAsync(
+        `SELECT key FROM kv_store WHERE key IN (${placeholders})`,
+        BACKUP_KV_KEYS
+      );
+    } else {
+      existing = await db.getAllAsync(`SELECT id FROM ${table}`);
+    }
+    const existingIds = new Set(existing.map((r) => String(r[idCol])));
+    const incomingIds = new Set(incoming);
+
+    const updated = incoming.filter((id) => existingIds.has(id)).length;
+    summary.push({
+      table,
+      label: TABLE_LABELS[table],
+      inBackup: incoming.length,
+      added: incoming.length - updated,
+      updated,
+      removed: mode === 'replace'
+        ? [...existingIds].filter((id) => !incomingIds.has(id)).length
+        : 0,
+    });
+  }
+
+  return summary;
+}
+
+// ── Restore ───────────────────────────────────────────────────
+
+// Builds an UPSERT for one table. We use ON CONFLICT ... DO UPDATE rather than
+// INSERT OR REPLACE because REPLACE deletes the old row first, which would
+// cascade-delete an area's plants and journal entries.
+function upsertSql(table, columns) {
+  const updates = columns
+    .filter((c) => c !== 'id')
+    .map((c) => `${c} = excluded.${c}`)
+    .join(', ');
+  return (
+    `INSERT INTO ${table} (${columns.join(', ')}) ` +
+    `VALUES (${columns.map(() => '?').join(', ')}) ` +
+    `ON CONFLICT(id) DO UPDATE SET ${updates}`
+  );
+}
+
+/**
+ * Restores a validated backup. mode is 'merge' or 'replace'.
+ * Runs in one transaction — if anything fails, the database is left exactly
+ * as it was and the error is thrown to the caller.
+ *
+ * Screens call it through useGarden().restoreBackup, which queues it behind
+ * pending garden saves so none of them runs inside this transaction.
+ */
+export async function restoreBackup(doc, mode) {
+  const errors = validateBackup(doc);
+  if (errors.length > 0) throw new Error(errors[0]);
+
+  // Photo files go in first — if the database part then fails they're just
+  // unreferenced files, which cleanUpOrphanPhotos() removes on next launch
+  if (PHOTOS_SUPPORTED && doc.photos) writePhotosBase64(doc.photos);
+
+  const db = await initDatabase();
+  await db.withTransactionAsync(async () => {
+    if (mode === 'replace') {
+      // Deleting areas cascades to plants, journal entries and their photos
+      await db.runAsync('DELETE FROM areas');
+      await db.runAsync('DELETE FROM custom_seeds');
+      const placeholders = BACKUP_KV_KEYS.map(() => '?').join(', ');
+      await db.runAsync(`DELETE FROM kv_store WHERE key IN (${placeholders})`, BACKUP_KV_KEYS);
+    }
+
+    for (const [table, columns] of Object.entries(TABLE_COLUMNS)) {
+      const sql = upsertSql(table, columns);
+      for (let row of doc.tables[table] ?? []) {
+        // Backups made before migration 3 hold journal dates like "3 Mar 2026"
+        if (table === 'journal_entries') {
+          row = { ...row, date: legacyDateToISO(row.date) ?? row.date };
+        }
+        // Missing columns become NULL; the schema's NOT NULL / DEFAULTs still apply
+        await db.runAsync(sql, columns.map((c) => row[c] ?? null));
+      }
+    }
+
+    for (const row of doc.tables.kv_store ?? []) {
+      // Never restore device-specific keys, even if a hand-edited file includes them
+      if (!BACKUP_KV_KEYS.includes(row.key)) continue;
+      await db.runAsync(
+        `INSERT INTO kv_store (key, value) VALUES (?, ?)
+         ON CONFLICT(key) DO UPDATE SET value = excluded.value`,
+        [row.key, row.value ?? null]
+      );
+    }
+  });
+}
+
+// ── Files ─────────────────────────────────────────────────────
+
+/**
+ * Writes the backup to a temporary JSON file and opens the OS share sheet,
+ * so the user can save it to Files, email it, AirDrop it, etc.
+ */
+export async function shareBackup() {
+  if (Platform.OS === 'web') throw new Error('Backups are only available on iOS and Android.');
+
+  const { File, Paths } = require('expo-file-system');
+  const Sharing = require('expo-sharing');
+
+  const doc = await exportBackup();
+  const stamp = doc.exportedAt.slice(0, 10);
+  const file = new File(Paths.cache, `garden-backup-${stamp}.json`);
+  if (file.exists) file.delete();
+  file.create();
+  file.write(JSON.stringify(doc, null, 2));
+
+  await Sharing.shareAsync(file.uri, {
+    mimeType: 'application/json',
+    dialogTitle: 'Save garden backup',
+    UTI: 'public.json',
+  });
+  return doc;
+}
+
+/**
+ * Lets the user pick a backup file and returns the parsed document,
+ * or null if they cancelled. Throws if the file isn't valid JSON.
+ */
+export async function pickBackup() {
+  if (Platform.OS === 'web') throw new Error('Backups are only available on iOS and Android.');
+
+  const DocumentPicker = require('expo-document-picker');
+  const { File } = require('expo-file-system');
+
+  const result = await DocumentPicker.getDocumentAsync({
+    type: ['application/json', 'text/plain', '*/*'],
+    copyToCacheDirectory: true,
+  });
+  if (result.canceled || !result.assets?.length) return null;
+
+  const text = await new File(result.assets[0].uri).text();
+  try {
+    return JSON.parse(text);
+  } catch (_) {
+    throw new Error('That file is not a garden backup.');
+  }
+}
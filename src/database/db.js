@@ -8,97 +8,101 @@
  *   - One shared database connection (_db), opened once and reused
  *   - initDatabase() is safe to call many times — it only opens on first call
  *   - All functions are async (return Promises)
- *   - Data is stored in 5 tables: areas, plants, journal_entries,
- *     custom_seeds, and kv_store (a simple key-value table for
+ *   - The schema is versioned: migrations.js holds numbered steps that
+ *     run once each, tracked with SQLite's PRAGMA user_version
+ *   - Data is stored in 7 tables: areas, plants, journal_entries,
+ *     journal_photos, custom_seeds, weather_daily (a log of each day's
+ *     weather at the garden), and kv_store (a simple key-value table for
  *     settings, weather cache, and notification IDs)
  */
 
 import * as SQLite from 'expo-sqlite';
+import { Platform } from 'react-native';
+import { MIGRATIONS } from './migrations';
 
 // The single database connection — shared across the whole app
 let _db = null;
+// The in-flight open (if any), so concurrent first calls share one connection
+let _opening = null;
 
 // ── Database setup ────────────────────────────────────────────
 
 /**
- * Opens the database and creates all tables if they don't exist yet.
+ * Opens the database and runs any pending schema migrations.
  * Safe to call on every operation — returns the cached connection after first open.
  */
 export async function initDatabase() {
   if (_db) return _db;  // already open — return the cached connection
 
-  _db = await SQLite.openDatabaseAsync('garden.db');
+  // If another caller is already opening the database, wait for that
+  // instead of opening a second connection and migrating twice
+  if (!_opening) {
+    _opening = openAndMigrate().finally(() => { _opening = null; });
+  }
+  return _opening;
+}
+
+async function openAndMigrate() {
+  const db = await SQLite.openDatabaseAsync('garden.db');
 
   // WAL mode = Write-Ahead Logging. Faster writes, and the database
   // won't get corrupted if the app crashes mid-save.
-  await _db.execAsync('PRAGMA journal_mode = WAL;');
+  await db.execAsync('PRAGMA journal_mode = WAL;');
 
   // Without this, SQLite ignores foreign keys — meaning cascade deletes
   // (delete area → auto-delete its plants) wouldn't work.
-  await _db.execAsync('PRAGMA foreign_keys = ON;');
-
-  // Create all tables. IF NOT EXISTS means this is safe to run every time —
-  // it won't wipe your data if the tables already exist.
-  await _db.execAsync(`
-    CREATE TABLE IF NOT EXISTS areas (
-      id         TEXT PRIMARY KEY NOT NULL,
-      name       TEXT NOT NULL,
-      emoji      TEXT NOT NULL DEFAULT '🪴',
-      created_at TEXT NOT NULL
-    );
+  await db.execAsync('PRAGMA foreign_keys = ON;');
 
-    CREATE TABLE IF NOT EXISTS plants (
-      id            TEXT PRIMARY KEY NOT NULL,
-      area_id       TEXT NOT NULL REFERENCES areas(id) ON DELETE CASCADE,
-      seed_id       TEXT,
-      seed_title    TEXT,
-      seed_category TEXT,
-      seed_image    TEXT,
-      planted_date  TEXT NOT NULL,
-      stage         TEXT
-    );
+  // Bring the schema up to date — see migrations.js for the list of steps
+  await runMigrations(db);
 
-    CREATE TABLE IF NOT EXISTS journal_entries (
-      id       TEXT PRIMARY KEY NOT NULL,
-      plant_id TEXT NOT NULL REFERENCES plants(id) ON DELETE CASCADE,
-      date     TEXT NOT NULL,
-      text     TEXT NOT NULL,
-      type     TEXT NOT NULL DEFAULT 'note'
-    );
+  _db = db;
+  return _db;
+}
 
-    CREATE TABLE IF NOT EXISTS custom_seeds (
-      id                      TEXT PRIMARY KEY NOT NULL,
-      title                   TEXT NOT NULL,
-      category                TEXT NOT NULL DEFAULT 'Vegetable',
-      scientific_name         TEXT,
-      description             TEXT,
-      image_url               TEXT,
-      planting_seasons        TEXT,
-      best_months             TEXT,
-      sun_requirements        TEXT,
-      watering                TEXT,
-      frost_tolerance         TEXT,
-      difficulty              TEXT,
-      plant_life              TEXT,
-      suitable_for_containers INTEGER NOT NULL DEFAULT 0,
-      requires_trellis        INTEGER NOT NULL DEFAULT 0,
-      days_to_germination     TEXT,
-      days_to_harvest         TEXT,
-      sowing_depth            TEXT,
-      spacing                 TEXT,
-      companion_plants        TEXT,
-      plant_height            TEXT,
-      drought_tolerant        INTEGER NOT NULL DEFAULT 0,
-      is_custom               INTEGER NOT NULL DEFAULT 1
-    );
+// ── Migrations ────────────────────────────────────────────────
 
-    CREATE TABLE IF NOT EXISTS kv_store (
-      key   TEXT PRIMARY KEY NOT NULL,
-      value TEXT
-    );
-  `);
+/**
+ * Reads the schema version stored in the database file header.
+ * A brand-new (or pre-migration) database reports 0.
+ */
+export async function getSchemaVersion(db) {
+  const row = await db.getFirstAsync('PRAGMA user_version');
+  return row ? row.user_version : 0;
+}
 
-  return _db;
+/**
+ * Runs every migration newer than the database's current version, oldest first.
+ *
+ * Each step and its user_version bump share one transaction, so if a step
+ * throws, SQLite rolls both back and the database stays on the last good
+ * version. The error is re-thrown so initDatabase() fails loudly instead of
+ * handing out a half-migrated connection.
+ *
+ * Takes the migration list as a parameter so a fixture database can be
+ * upgraded with a custom list; the app always uses the default.
+ */
+export async function runMigrations(db, migrations = MIGRATIONS) {
+  const current = await getSchemaVersion(db);
+  const pending = migrations
+    .filter((m) => m.version > current)
+    .sort((a, b) => a.version - b.version);
+
+  for (const migration of pending) {
+    try {
+      await db.withTransactionAsync(async () => {
+        await migration.up(db);
+        // PRAGMA doesn't accept bound parameters — version is always an integer we control
+        await db.execAsync(`PRAGMA user_version = ${Number(migration.version)}`);
+      });
+    } catch (err) {
+      throw new Error(
+        `Migration ${migration.version} (${migration.description}) failed: ${err.message}`
+      );
+    }
+  }
+
+  return getSchemaVersion(db);
 }
 
 // ── Area functions ────────────────────────────────────────────
@@ -106,60 +110,74 @@ export async function initDatabase() {
 /**
  * Loads all areas from the database and reconstructs the nested JS structure
  * that the rest of the app expects:
- *   [{ id, name, emoji, createdAt, plants: [{ id, seedId, ..., journal: [...] }] }]
+ *   [{ id, name, emoji, createdAt, plants: [{ id, seedId, ..., journal: [{ ..., photos }] }] }]
  *
- * We do this with three separate queries (areas → plants → journal entries)
- * rather than a JOIN, because a JOIN would return one flat row per journal entry,
- * duplicating area and plant data. Three queries + JavaScript nesting is simpler.
+ * Each table is read with ONE query, then the rows are grouped in JavaScript.
+ * (Querying plants per area and journal entries per plant meant hundreds of
+ * round trips on a big garden.) We don't use a JOIN because it would return
+ * one flat row per journal entry, duplicating area and plant data.
+ *
+ * Every query is ordered by rowid, i.e. insertion order, so grouping keeps
+ * plants and journal entries in the order they were added.
+ * Run scripts/bench_load_areas.js to measure this against the old approach.
  */
 export async function loadAllAreas() {
   const db = await initDatabase();
 
-  // Fetch all areas, oldest first
-  const areas = await db.getAllAsync('SELECT * FROM areas ORDER BY rowid ASC');
-
-  for (const area of areas) {
-    // Rename DB column (snake_case) to JS field (camelCase)
-    area.createdAt = area.created_at;
-    delete area.created_at;
-
-    // Fetch all plants in this area
-    const plants = await db.getAllAsync(
-      'SELECT * FROM plants WHERE area_id = ? ORDER BY rowid ASC',
-      [area.id]
-    );
+  const areaRows  = await db.getAllAsync('SELECT * FROM areas ORDER BY rowid ASC');
+  const plantRows = await db.getAllAsync('SELECT * FROM plants ORDER BY rowid ASC');
+  // Oldest first; rowid keeps same-day entries in the order they were written
+  const entryRows = await db.getAllAsync('SELECT * FROM journal_entries ORDER BY date ASC, rowid ASC');
+  const photoRows = await db.getAllAsync('SELECT * FROM journal_photos ORDER BY rowid ASC');
+
+  // Group photos by journal entry id
+  const photosByEntry = new Map();
+  for (const ph of photoRows) {
+    if (!photosByEntry.has(ph.entry_id)) photosByEntry.set(ph.entry_id, []);
+    photosByEntry.get(ph.entry_id).push({ id: ph.id, fileName: ph.file_name });
+  }
 
-    for (const plant of plants) {
-      // Rename snake_case columns to camelCase (matching what screens expect)
-      plant.seedId       = plant.seed_id;
-      plant.seedTitle    = plant.seed_title;
-      plant.seedCategory = plant.seed_category;
-      plant.seedImage    = plant.seed_image;
-      plant.plantedDate  = plant.planted_date;
-      delete plant.seed_id;
-      delete plant.seed_title;
-      delete plant.seed_category;
-      delete plant.seed_image;
-      delete plant.planted_date;
-      delete plant.area_id;
-
-      // Fetch all journal entries for this plant
-      const entries = await db.getAllAsync(
-        'SELECT * FROM journal_entries WHERE plant_id = ? ORDER BY rowid ASC',
-        [plant.id]
-      );
-      plant.journal = entries.map((e) => ({
-        id:   e.id,
-        date: e.date,
-        text: e.text,
-        type: e.type,
-      }));
-    }
+  // Group journal entries by plant id
+  const journalByPlant = new Map();
+  for (const e of entryRows) {
+    if (!journalByPlant.has(e.plant_id)) journalByPlant.set(e.plant_id, []);
+    journalByPlant.get(e.plant_id).push({
+      id:   e.id,
+      date: e.date,
+      text: e.text,
+      type: e.type,
+      quantity: e.quantity,
+      unit:     e.unit,
+      photos:   photosByEntry.get(e.id) || [],
+    });
+  }
 
-    area.plants = plants;
+  // Group plants by area id, renaming snake_case columns to camelCase
+  // (matching what screens expect)
+  const plantsByArea = new Map();
+  for (const p of plantRows) {
+    if (!plantsByArea.has(p.area_id)) plantsByArea.set(p.area_id, []);
+    plantsByArea.get(p.area_id).push({
+      id:           p.id,
+      seedId:       p.seed_id,
+      seedTitle:    p.seed_title,
+      seedCategory: p.seed_category,
+      seedImage:    p.seed_image,
+      varietyId:    p.variety_id,
+      varietyTitle: p.variety_title,
+      plantedDate:  p.planted_date,
+      stage:        p.stage,
+      journal:      journalByPlant.get(p.id) || [],
+    });
   }
 
-  return areas;
+  return areaRows.map((a) => ({
+    id:        a.id,
+    name:      a.name,
+    emoji:     a.emoji,
+    createdAt: a.created_at,
+    plants:    plantsByArea.get(a.id) || [],
+  }));
 }
 
 export async function insertArea(id, name, emoji, createdAt) {
@@ -170,6 +188,23 @@ export async function insertArea(id, name, emoji, createdAt) {
   );
 }
 
+/**
+ * Inserts a new area together with its first plant, in one transaction.
+ * plant uses the same camelCase shape GardenContext keeps in state.
+ */
+export async function insertAreaWithPlant(area, plant) {
+  const db = await initDatabase();
+  await db.withTransactionAsync(async () => {
+    await insertArea(area.id, area.name, area.emoji, area.createdAt);
+    await insertPlant(
+      plant.id, area.id, plant.seedId, plant.seedTitle,
+      plant.seedCategory, plant.seedImage,
+      plant.plantedDate, plant.stage,
+      plant.varietyId, plant.varietyTitle
+    );
+  });
+}
+
 export async function updateArea(id, name, emoji) {
   const db = await initDatabase();
   await db.runAsync(
@@ -178,70 +213,235 @@ export async function updateArea(id, name, emoji) {
   );
 }
 
+/**
+ * Deletes an area and returns a snapshot of everything that was removed
+ * (see restoreSnapshot), so the delete can be undone.
+ */
 export async function deleteArea(id) {
   const db = await initDatabase();
-  // CASCADE in the schema auto-deletes all plants and journal entries for this area
-  await db.runAsync('DELETE FROM areas WHERE id = ?', [id]);
+  let snapshot;
+  // Snapshot and delete in one transaction so nothing can change in between
+  await db.withTransactionAsync(async () => {
+    snapshot = {
+      areas: await db.getAllAsync(
+        'SELECT rowid AS _rowid, * FROM areas WHERE id = ?', [id]
+      ),
+      plants: await db.getAllAsync(
+        'SELECT rowid AS _rowid, * FROM plants WHERE area_id = ?', [id]
+      ),
+      journal_entries: await db.getAllAsync(
+        `SELECT rowid AS _rowid, * FROM journal_entries
+         WHERE plant_id IN (SELECT id FROM plants WHERE area_id = ?)`,
+        [id]
+      ),
+      journal_photos: await db.getAllAsync(
+        `SELECT rowid AS _rowid, * FROM journal_photos
+         WHERE entry_id IN (
+           SELECT id FROM journal_entries
+           WHERE plant_id IN (SELECT id FROM plants WHERE area_id = ?)
+         )`,
+        [id]
+      ),
+    };
+    // CASCADE in the schema auto-deletes all plants and journal entries for this area
+    await db.runAsync('DELETE FROM areas WHERE id = ?', [id]);
+  });
+  return snapshot;
 }
 
 // ── Plant functions ───────────────────────────────────────────
 
-export async function insertPlant(id, areaId, seedId, seedTitle, seedCategory, seedImage, plantedDate, stage) {
+export async function insertPlant(
+  id, areaId, seedId, seedTitle, seedCategory, seedImage, plantedDate, stage, varietyId, varietyTitle
+) {
   const db = await initDatabase();
   await db.runAsync(
     `INSERT INTO plants
-       (id, area_id, seed_id, seed_title, seed_category, seed_image, planted_date, stage)
-     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-    [id, areaId, seedId ?? null, seedTitle ?? null, seedCategory ?? null, seedImage ?? null, plantedDate, stage ?? null]
+       (id, area_id, seed_id, seed_title, seed_category, seed_image, planted_date, stage,
+        variety_id, variety_title)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      id, areaId, seedId ?? null, seedTitle ?? null, seedCategory ?? null, seedImage ?? null,
+      plantedDate, stage ?? null, varietyId ?? null, varietyTitle ?? null,
+    ]
   );
 }
 
-export async function updatePlantStage(plantId, stage) {
+export async function updatePlantedDate(plantId, plantedDate) {
   const db = await initDatabase();
   await db.runAsync(
-    'UPDATE plants SET stage = ? WHERE id = ?',
-    [stage ?? null, plantId]
+    'UPDATE plants SET planted_date = ? WHERE id = ?',
+    [plantedDate, plantId]
   );
 }
 
+/**
+ * Sets a plant's stage and, if given, logs the matching journal entry.
+ * Both writes share one transaction so the stage and the journal can never
+ * disagree — either both are saved or neither is.
+ */
+export async function updatePlantStage(plantId, stage, entry) {
+  const db = await initDatabase();
+  await db.withTransactionAsync(async () => {
+    await db.runAsync(
+      'UPDATE plants SET stage = ? WHERE id = ?',
+      [stage ?? null, plantId]
+    );
+    if (entry) {
+      await insertJournalEntry(entry.id, plantId, entry.date, entry.text, entry.type);
+    }
+  });
+}
+
+/**
+ * Moves a plant back to an earlier stage and removes the stage entry that
+ * was logged when it advanced (entryId, or null if there isn't one) — in one
+ * transaction, like updatePlantStage.
+ */
+export async function rollbackPlantStage(plantId, stage, entryId) {
+  const db = await initDatabase();
+  await db.withTransactionAsync(async () => {
+    await db.runAsync(
+      'UPDATE plants SET stage = ? WHERE id = ?',
+      [stage ?? null, plantId]
+    );
+    if (entryId) {
+      await db.runAsync(
+        `DELETE FROM journal_entries WHERE id = ? AND plant_id = ? AND type = 'stage'`,
+        [entryId, plantId]
+      );
+    }
+  });
+}
+
+/**
+ * Deletes a plant and returns a snapshot of the plant, its journal and the
+ * journal's photo rows, so the delete can be undone.
+ */
 export async function deletePlant(id) {
   const db = await initDatabase();
-  // CASCADE auto-deletes all journal entries for this plant
-  await db.runAsync('DELETE FROM plants WHERE id = ?', [id]);
+  let snapshot;
+  await db.withTransactionAsync(async () => {
+    snapshot = {
+      plants: await db.getAllAsync(
+        'SELECT rowid AS _rowid, * FROM plants WHERE id = ?', [id]
+      ),
+      journal_entries: await db.getAllAsync(
+        'SELECT rowid AS _rowid, * FROM journal_entries WHERE plant_id = ?', [id]
+      ),
+      journal_photos: await db.getAllAsync(
+        `SELECT rowid AS _rowid, * FROM journal_photos
+         WHERE entry_id IN (SELECT id FROM journal_entries WHERE plant_id = ?)`,
+        [id]
+      ),
+    };
+    // CASCADE auto-deletes all journal entries for this plant
+    await db.runAsync('DELETE FROM plants WHERE id = ?', [id]);
+  });
+  return snapshot;
 }
 
 // ── Journal entry functions ───────────────────────────────────
 
-export async function insertJournalEntry(id, plantId, date, text, type) {
+// quantity and unit are only set for harvest entries
+export async function insertJournalEntry(id, plantId, date, text, type, quantity = null, unit = null) {
   const db = await initDatabase();
   await db.runAsync(
-    'INSERT INTO journal_entries (id, plant_id, date, text, type) VALUES (?, ?, ?, ?, ?)',
-    [id, plantId, date, text, type]
+    `INSERT INTO journal_entries (id, plant_id, date, text, type, quantity, unit)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [id, plantId, date, text, type, quantity, unit]
   );
 }
 
+/**
+ * Inserts a note together with its photos, in one transaction.
+ * entry uses the camelCase shape GardenContext keeps in state;
+ * photos are [{ id, fileName }] already copied into the photo folder.
+ */
+export async function insertJournalEntryWithPhotos(plantId, entry, photos) {
+  const db = await initDatabase();
+  await db.withTransactionAsync(async () => {
+    await insertJournalEntry(entry.id, plantId, entry.date, entry.text, entry.type);
+    for (const photo of photos) {
+      await db.runAsync(
+        'INSERT INTO journal_photos (id, entry_id, file_name, created_at) VALUES (?, ?, ?, ?)',
+        [photo.id, entry.id, photo.fileName, new Date().toISOString()]
+      );
+    }
+  });
+}
+
+/**
+ * Every photo file name the database still refers to — used to find
+ * files left behind after their journal entry was deleted.
+ */
+export async function loadPhotoFileNames() {
+  const db = await initDatabase();
+  const rows = await db.getAllAsync('SELECT file_name FROM journal_photos');
+  return rows.map((r) => r.file_name);
+}
+
+/**
+ * Deletes a journal entry and returns a snapshot of it and its photo rows,
+ * so the delete can be undone.
+ */
 export async function deleteJournalEntry(id) {
   const db = await initDatabase();
-  await db.runAsync('DELETE FROM journal_entries WHERE id = ?', [id]);
+  let snapshot;
+  await db.withTransactionAsync(async () => {
+    snapshot = {
+      journal_entries: await db.getAllAsync(
+        'SELECT rowid AS _rowid, * FROM journal_entries WHERE id = ?', [id]
+      ),
+      journal_photos: await db.getAllAsync(
+        'SELECT rowid AS _rowid, * FROM journal_photos WHERE entry_id = ?', [id]
+      ),
+    };
+    await db.runAsync('DELETE FROM journal_entries WHERE id = ?', [id]);
+  });
+  return snapshot;
 }
 
+// ── Undo ──────────────────────────────────────────────────────
+
 /**
- * Deletes the most recent "stage" type journal entry for a plant.
- * Used when rolling back a plant's stage — we remove the auto-generated
- * stage entry that was added when the stage was advanced.
+ * Puts back rows captured by deleteArea / deletePlant / deleteJournalEntry.
+ *
+ * A snapshot is { areas?, plants?, journal_entries?, journal_photos? }, each a list of raw rows
+ * with an extra _rowid field. Rows go back with their original ids AND their
+ * original rowid — loadAllAreas() orders by rowid, so this is what puts an
+ * undone area or plant back in the same position in the list.
+ *
+ * If something new has since taken that rowid (SQLite reuses the highest one),
+ * the row is inserted normally instead and will appear at the end.
+ * Parents are restored before children, all in one transaction.
  */
-export async function deleteLastStageEntry(plantId) {
+export async function restoreSnapshot(snapshot) {
   const db = await initDatabase();
-  await db.runAsync(
-    `DELETE FROM journal_entries
-     WHERE id = (
-       SELECT id FROM journal_entries
-       WHERE plant_id = ? AND type = 'stage'
-       ORDER BY rowid DESC
-       LIMIT 1
-     )`,
-    [plantId]
-  );
+  await db.withTransactionAsync(async () => {
+    for (const table of ['areas', 'plants', 'journal_entries', 'journal_photos']) {
+      for (const row of snapshot[table] || []) {
+        const { _rowid, ...data } = row;
+        const columns = Object.keys(data);
+        const values = columns.map((c) => data[c]);
+
+        const taken = await db.getFirstAsync(
+          `SELECT 1 AS taken FROM ${table} WHERE rowid = ?`, [_rowid]
+        );
+        if (taken) {
+          await db.runAsync(
+            `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+            values
+          );
+        } else {
+          await db.runAsync(
+            `INSERT INTO ${table} (rowid, ${columns.join(', ')}) VALUES (?, ${columns.map(() => '?').join(', ')})`,
+            [_rowid, ...values]
+          );
+        }
+      }
+    }
+  });
 }
 
 // ── Custom seed functions ─────────────────────────────────────
@@ -328,6 +528,79 @@ export async function insertCustomSeed(seed) {
   );
 }
 
+// ── Weather history ───────────────────────────────────────────
+// One row per date for the garden's current location — see weather/history.js.
+
+/**
+ * Saves days in the weather provider's day shape, overwriting any already
+ * stored for the same date (a later fetch knows more about a day).
+ *
+ * Runs in an exclusive transaction on its own connection. The weather log
+ * is written in the background, so with a plain transaction on the shared
+ * connection a garden save made meanwhile would run inside it — and be
+ * committed or rolled back along with the weather. A save that finds the
+ * database locked instead fails and is retried by GardenContext. Web has no
+ * exclusive transactions, so there it falls back to a plain one.
+ */
+export async function upsertWeatherDays(location, days) {
+  const db = await initDatabase();
+  const fetchedAt = new Date().toISOString();
+  const write = async (txn) => {
+    for (const day of days) {
+      await txn.runAsync(
+        `INSERT INTO weather_daily
+           (date, latitude, longitude, max_temp, min_temp, rain_mm, weather_code, fetched_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT(date) DO UPDATE SET
+           latitude = excluded.latitude, longitude = excluded.longitude,
+           max_temp = excluded.max_temp, min_temp = excluded.min_temp,
+           rain_mm = excluded.rain_mm, weather_code = excluded.weather_code,
+           fetched_at = excluded.fetched_at`,
+        [
+          day.date, location.latitude, location.longitude,
+          day.maxTemp ?? null, day.minTemp ?? null, day.rainMm ?? null, day.weatherCode ?? null,
+          fetchedAt,
+        ]
+      );
+    }
+  };
+  if (Platform.OS === 'web') {
+    await db.withTransactionAsync(() => write(db));
+  } else {
+    await db.withExclusiveTransactionAsync(write);
+  }
+}
+
+// Stored days from startDate to endDate inclusive ("YYYY-MM-DD"), oldest first:
+// [{ date, maxTemp, minTemp, rainMm, weatherCode }]
+export async function loadWeatherDays(startDate, endDate) {
+  const db = await initDatabase();
+  const rows = await db.getAllAsync(
+    'SELECT * FROM weather_daily WHERE date >= ? AND date <= ? ORDER BY date ASC',
+    [startDate, endDate]
+  );
+  return rows.map((r) => ({
+    date:        r.date,
+    maxTemp:     r.max_temp,
+    minTemp:     r.min_temp,
+    rainMm:      r.rain_mm,
+    weatherCode: r.weather_code,
+  }));
+}
+
+// The location the stored weather is for, or null if there's none yet
+export async function loadWeatherLocation() {
+  const db = await initDatabase();
+  return db.getFirstAsync('SELECT latitude, longitude FROM weather_daily LIMIT 1');
+}
+
+// Deletes stored weather — everything, or only days before `beforeDate`
+export async function deleteWeatherDays(beforeDate = null) {
+  const db = await initDatabase();
+  if (beforeDate) await db.runAsync('DELETE FROM weather_daily WHERE date < ?', [beforeDate]);
+  else await db.runAsync('DELETE FROM weather_daily');
+}
+
 // ── Key-value store ───────────────────────────────────────────
 // A simple table used for settings, weather cache, and notification IDs.
 // Replaces the various AsyncStorage keys that weren't part of the main data model.
@@ -0,0 +1,112 @@
+/**
+ * legacyImport.js
+ * ─────────────────────────────────────────────
+ * One-time import of garden data saved by the old AsyncStorage build.
+ *
+ * Before SQLite, the whole garden was one JSON blob under the
+ * '@garden_data_v1' key:
+ *   [{ id, name, emoji, createdAt, plants: [{ id, seedId, seedTitle,
+ *      seedCategory, seedImage, plantedDate, stage, notes }] }]
+ *
+ * importLegacyGarden() copies that blob into the areas / plants /
+ * journal_entries tables (a plant's notes string becomes a 'note'
+ * journal entry) and records completion in kv_store so it only ever
+ * runs once. The old blob is left in place as a safety net.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { initDatabase, kvGet, kvSet } from './db';
+import { toLocalISODate, parseISODate } from '../utils/dates';
+
+const LEGACY_STORAGE_KEY = '@garden_data_v1';
+const IMPORT_DONE_KEY    = 'legacy_import_done';
+
+// Legacy notes had no date of their own, so we use the day the plant went in
+// (falling back to today if that wasn't a valid date)
+function journalDate(isoDate) {
+  return toLocalISODate(parseISODate(isoDate) || new Date());
+}
+
+/**
+ * Imports the legacy AsyncStorage garden into SQLite if it hasn't been done yet.
+ * Returns the number of areas imported (0 if there was nothing to do).
+ *
+ * Everything, completion flag included, is written in one transaction — if
+ * any row fails, nothing is saved and the import retries next launch.
+ * INSERT OR IGNORE means rows that already exist (same id) are left untouched;
+ * note ids come from the plant's id, so a rerun can't duplicate notes either.
+ */
+export async function importLegacyGarden() {
+  if (await kvGet(IMPORT_DONE_KEY)) return 0;
+
+  const raw = await AsyncStorage.getItem(LEGACY_STORAGE_KEY);
+  let areas = [];
+  if (raw) {
+    try {
+      const parsed = JSON.parse(raw);
+      if (Array.isArray(parsed)) areas = parsed;
+    } catch (err) {
+      console.error('Legacy garden data is not valid JSON — skipping import:', err);
+    }
+  }
+
+  if (areas.length > 0) {
+    const db = await initDatabase();
+    await db.withTransactionAsync(async () => {
+      for (const area of areas) {
+        if (!area?.id) continue;
+        await db.runAsync(
+          'INSERT OR IGNORE INTO areas (id, name, emoji, created_at) VALUES (?, ?, ?, ?)',
+          [
+            String(area.id),
+            area.name || 'My garden',
+            area.emoji || '🪴',
+            area.createdAt || toLocalISODate(new Date()),
+          ]
+        );
+
+        for (const plant of area.plants || []) {
+          if (!plant?.id) continue;
+          const plantedDate = plant.plantedDate || area.createdAt || toLocalISODate(new Date());
+          await db.runAsync(
+            `INSERT OR IGNORE INTO plants
+               (id, area_id, seed_id, seed_title, seed_category, seed_image, planted_date, stage)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+              String(plant.id),
+              String(area.id),
+              plant.seedId != null ? String(plant.seedId) : null,
+              plant.seedTitle ?? null,
+              plant.seedCategory ?? null,
+              plant.seedImage ?? null,
+              plantedDate,
+              plant.stage ?? null,
+            ]
+          );
+
+          // The old build had one free-text notes field per plant
+          const notes = (plant.notes || '').trim();
+          if (notes) {
+            await db.runAsync(
+              'INSERT OR IGNORE INTO journal_entries (id, plant_id, date, text, type) VALUES (?, ?, ?, ?, ?)',
+              [`legacy-note-${plant.id}`, String(plant.id), journalDate(plantedDate), notes, 'note']
+            );
+          }
+        }
+      }
+
+      // In the same transaction, so the import can't be saved without the
+      // flag (and run again) if the app is killed just after
+      await db.runAsync(
+        `INSERT INTO kv_store (key, value) VALUES (?, ?)
+         ON CONFLICT(key) DO UPDATE SET value = excluded.value`,
+        [IMPORT_DONE_KEY, new Date().toISOString()]
+      );
+    });
+    return areas.length;
+  }
+
+  // Mark as done even when there was no legacy data, so we never check again
+  await kvSet(IMPORT_DONE_KEY, new Date().toISOString());
+  return 0;
+}
@@ -0,0 +1,196 @@
+/**
+ * migrations.js
+ * ─────────────────────────────────────────────
+ * The numbered list of schema changes for garden.db.
+ *
+ * How it works:
+ *   - SQLite keeps a spare integer in the file header called user_version.
+ *     We use it to remember which migrations have already run.
+ *   - On every launch, db.js runs each migration whose version is higher
+ *     than the stored user_version, in order, then bumps user_version.
+ *   - Each migration runs inside its own transaction, so a failed step
+ *     rolls back completely and the database stays on the previous version.
+ *
+ * Adding a migration:
+ *   Append a new entry with the next version number. Never edit or
+ *   reorder an entry that has already shipped — existing installs have
+ *   already run it and won't run it again. Then run `npm test`: it upgrades
+ *   a pre-migration database (__tests__/fixtures/v0.sql) through the whole
+ *   list.
+ *
+ * Each entry's up(db) receives the open expo-sqlite connection. Use that
+ * connection directly — calling initDatabase() or any other db.js helper
+ * from inside a migration would wait on itself and never finish.
+ */
+
+import { legacyDateToISO } from '../utils/dates';
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Initial schema',
+    // IF NOT EXISTS so installs created before migrations existed
+    // (which already have these tables at user_version 0) upgrade cleanly
+    async up(db) {
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS areas (
+          id         TEXT PRIMARY KEY NOT NULL,
+          name       TEXT NOT NULL,
+          emoji      TEXT NOT NULL DEFAULT '🪴',
+          created_at TEXT NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS plants (
+          id            TEXT PRIMARY KEY NOT NULL,
+          area_id       TEXT NOT NULL REFERENCES areas(id) ON DELETE CASCADE,
+          seed_id       TEXT,
+          seed_title    TEXT,
+          seed_category TEXT,
+          seed_image    TEXT,
+          planted_date  TEXT NOT NULL,
+          stage         TEXT
+        );
+
+        CREATE TABLE IF NOT EXISTS journal_entries (
+          id       TEXT PRIMARY KEY NOT NULL,
+          plant_id TEXT NOT NULL REFERENCES plants(id) ON DELETE CASCADE,
+          date     TEXT NOT NULL,
+          text     TEXT NOT NULL,
+          type     TEXT NOT NULL DEFAULT 'note'
+        );
+
+        CREATE TABLE IF NOT EXISTS custom_seeds (
+          id                      TEXT PRIMARY KEY NOT NULL,
+          title                   TEXT NOT NULL,
+          category                TEXT NOT NULL DEFAULT 'Vegetable',
+          scientific_name         TEXT,
+          description             TEXT,
+          image_url               TEXT,
+          planting_seasons        TEXT,
+          best_months             TEXT,
+          sun_requirements        TEXT,
+          watering                TEXT,
+          frost_tolerance         TEXT,
+          difficulty              TEXT,
+          plant_life              TEXT,
+          suitable_for_containers INTEGER NOT NULL DEFAULT 0,
+          requires_trellis        INTEGER NOT NULL DEFAULT 0,
+          days_to_germination     TEXT,
+          days_to_harvest         TEXT,
+          sowing_depth            TEXT,
+          spacing                 TEXT,
+          companion_plants        TEXT,
+          plant_height            TEXT,
+          drought_tolerant        INTEGER NOT NULL DEFAULT 0,
+          is_custom               INTEGER NOT NULL DEFAULT 1
+        );
+
+        CREATE TABLE IF NOT EXISTS kv_store (
+          key   TEXT PRIMARY KEY NOT NULL,
+          value TEXT
+        );
+      `);
+    },
+  },
+  {
+    version: 2,
+    description: 'Index plants by area and journal entries by plant',
+    // Speeds up cascade deletes and every per-plant / per-area lookup
+    async up(db) {
+      await db.execAsync(`
+        CREATE INDEX IF NOT EXISTS idx_plants_area_id
+          ON plants(area_id);
+        CREATE INDEX IF NOT EXISTS idx_journal_entries_plant_id
+          ON journal_entries(plant_id);
+      `);
+    },
+  },
+  {
+    version: 3,
+    description: 'Convert journal dates to ISO-8601',
+    // Journal dates used to be display strings like "3 Mar 2026", which can't
+    // be sorted or compared. Rewrite them as "2026-03-03" (the same format as
+    // plants.planted_date). Anything unparseable is left as it was.
+    async up(db) {
+      const rows = await db.getAllAsync('SELECT id, date FROM journal_entries');
+      for (const row of rows) {
+        const iso = legacyDateToISO(row.date);
+        if (iso && iso !== row.date) {
+          await db.runAsync('UPDATE journal_entries SET date = ? WHERE id = ?', [iso, row.id]);
+        }
+      }
+    },
+  },
+  {
+    version: 4,
+    description: 'Add harvest quantity and unit to journal entries',
+    // Harvests are journal entries with type 'harvest'. quantity is a number
+    // and unit one of the keys in utils/harvest.js (g, kg, count, bunch).
+    // Both stay NULL for notes and stage entries.
+    async up(db) {
+      await db.execAsync(`
+        ALTER TABLE journal_entries ADD COLUMN quantity REAL;
+        ALTER TABLE journal_entries ADD COLUMN unit TEXT;
+      `);
+    },
+  },
+  {
+    version: 5,
+    description: 'Add journal_photos',
+    // Photos attached to journal entries. Only the file name is stored — the
+    // image itself lives in the app's document directory (see photos.js).
+    // Deleting an entry cascades to its rows here; the files are cleaned up
+    // on the next launch, so an undo in the meantime still finds them.
+    async up(db) {
+      await db.execAsync(`
+        CREATE TABLE journal_photos (
+          id         TEXT PRIMARY KEY NOT NULL,
+          entry_id   TEXT NOT NULL REFERENCES journal_entries(id) ON DELETE CASCADE,
+          file_name  TEXT NOT NULL,
+          created_at TEXT NOT NULL
+        );
+        CREATE INDEX idx_journal_photos_entry_id ON journal_photos(entry_id);
+      `);
+    },
+  },
+  {
+    version: 6,
+    description: 'Add weather_daily',
+    // One row per day of weather at the garden's location, from each forecast
+    // fetch and from the weather provider's history. Replaces the
+    // 'temperature_history' kv entry, which held only highs and lows.
+    async up(db) {
+      await db.execAsync(`
+        CREATE TABLE weather_daily (
+          date         TEXT PRIMARY KEY NOT NULL,
+          latitude     REAL NOT NULL,
+          longitude    REAL NOT NULL,
+          max_temp     REAL,
+          min_temp     REAL,
+          rain_mm      REAL,
+          weather_code INTEGER,
+          fetched_at   TEXT NOT NULL
+        );
+        DELETE FROM kv_store WHERE key = 'temperature_history';
+      `);
+    },
+  },
+  {
+    version: 7,
+    description: 'Add variety to plants',
+    // The seed packet (a 'seed' catalog entry) a plant was sown from, when
+    // the user picked one on the plant's detail page. The title is kept
+    // alongside the id, like seed_title, in case the packet leaves the shop.
+    async up(db) {
+      await db.execAsync(`
+        ALTER TABLE plants ADD COLUMN variety_id TEXT;
+        ALTER TABLE plants ADD COLUMN variety_title TEXT;
+      `);
+    },
+  },
+];
+
+// The version a fully up-to-date database should be on
+export const LATEST_VERSION = MIGRATIONS.length
+  ? MIGRATIONS[MIGRATIONS.length - 1].version
+  : 0;
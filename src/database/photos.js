@@ -0,0 +1,153 @@
+/**
+ * photos.js
+ * ─────────────────────────────────────────────
+ * Photo files attached to journal entries.
+ *
+ * The journal_photos table only stores a file name; the image itself is
+ * copied into a "journal-photos" folder in the app's document directory,
+ * which the OS keeps until the app is uninstalled (unlike the cache, which
+ * it may clear at any time).
+ *
+ * Deleting a journal entry, plant or area cascades to its journal_photos
+ * rows but leaves the files — the delete can still be undone for a few
+ * seconds. cleanUpOrphanPhotos() removes files nothing refers to any more;
+ * GardenContext calls it once on launch.
+ *
+ * Photos aren't available on web: expo-file-system has no web version.
+ */
+
+import { Platform } from 'react-native';
+import { loadPhotoFileNames } from './db';
+// expo-file-system and expo-image-picker are required dynamically inside the
+// functions below — neither works on web
+
+const PHOTO_DIR_NAME = 'journal-photos';
+
+export const PHOTOS_SUPPORTED = Platform.OS !== 'web';
+
+function makeId() {
+  return Math.random().toString(36).slice(2) + Date.now().toString(36);
+}
+
+// The photo folder, created on first use
+function photoDir() {
+  const { Directory, Paths } = require('expo-file-system');
+  const dir = new Directory(Paths.document, PHOTO_DIR_NAME);
+  if (!dir.exists) dir.create({ intermediates: true, idempotent: true });
+  return dir;
+}
+
+// File names come from the database or a backup — never let one reach
+// outside the photo folder
+export function isSafeFileName(name) {
+  return typeof name === 'string' && /^[A-Za-z0-9._-]+$/.test(name) && !name.startsWith('.');
+}
+
+/**
+ * The URI to show a stored photo with <Image source={{ uri }} />.
+ */
+export function photoUri(fileName) {
+  const { File } = require('expo-file-system');
+  return new File(photoDir(), fileName).uri;
+}
+
+/**
+ * Asks the user for photos, from the camera ('camera') or their photo
+ * library ('library'). Returns a list of temporary URIs — empty if they
+ * cancelled. Throws if camera permission is refused.
+ */
+export async function pickPhotos(source) {
+  const ImagePicker = require('expo-image-picker');
+  const options = { mediaTypes: ['images'], quality: 0.7 };
+
+  let result;
+  if (source === 'camera') {
+    const { granted } = await ImagePicker.requestCameraPermissionsAsync();
+    if (!granted) throw new Error('Camera access is turned off for this app in your phone settings.');
+    result = await ImagePicker.launchCameraAsync(options);
+  } else {
+    result = await ImagePicker.launchImageLibraryAsync({
+      ...options,
+      allowsMultipleSelection: true,
+      selectionLimit: 10,
+    });
+  }
+  if (result.canceled || !result.assets) return [];
+  return result.assets.map((a) => a.uri);
+}
+
+/**
+ * Copies picked images into the photo folder.
+ * Returns [{ id, fileName }] ready for insertJournalEntryWithPhotos().
+ */
+export function savePhotos(uris) {
+  const { File } = require('expo-file-system');
+  const dir = photoDir();
+  return uris.map((uri) => {
+    const id = makeId();
+    const ext = (/\.(jpe?g|png|heic|webp)$/i.exec(uri)?.[1] || 'jpg').toLowerCase();
+    const fileName = `${id}.${ext}`;
+    new File(uri).copy(new File(dir, fileName));
+    return { id, fileName };
+  });
+}
+
+/**
+ * Deletes files in the photo folder that no journal_photos row refers to.
+ * Returns how many were removed.
+ */
+export async function cleanUpOrphanPhotos() {
+  if (!PHOTOS_SUPPORTED) return 0;
+  const { File } = require('expo-file-system');
+
+  const inUse = new Set(await loadPhotoFileNames());
+  let removed = 0;
+  for (const item of photoDir().list()) {
+    if (item instanceof File && !inUse.has(item.name)) {
+      item.delete();
+      removed += 1;
+    }
+  }
+  return removed;
+}
+
+// ── Backups ───────────────────────────────────────────────────
+
+/**
+ * Reads stored photos as base64 strings, for embedding in a backup.
+ * Returns { [fileName]: base64 }, skipping any file that has gone missing.
+ */
+export async function readPhotosBase64(fileNames) {
+  const { File } = require('expo-file-system');
+  const dir = photoDir();
+  const photos = {};
+  for (const fileName of fileNames) {
+    if (!isSafeFileName(fileName)) continue;
+    const file = new File(dir, fileName);
+    if (file.exists) photos[fileName] = await file.base64();
+  }
+  return photos;
+}
+
+/**
+ * Writes photos from a backup into the photo folder.
+ * Files that already exist are left alone — the same name is the same photo.
+ */
+export function writePhotosBase64(photos) {
+  const { File } = require('expo-file-system');
+  const dir = photoDir();
+  for (const [fileName, base64] of Object.entries(photos)) {
+    if (!isSafeFileName(fileName)) continue;
+    const file = new File(dir, fileName);
+    if (file.exists) continue;
+    file.create();
+    file.write(base64ToBytes(base64));
+  }
+}
+
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
@@ -9,27 +9,38 @@
  * AsyncStorage. The public API (what screens call) is identical —
  * only the persistence layer underneath has changed.
  *
+ * Every change updates React state first (so the UI is instant) and is then
+ * saved through a write queue — see persist() below. If a save fails for
+ * good, the change is rolled back and saveError is set for the banner.
+ *
  * Usage:
  *   1. Wrap your app in <GardenProvider> (done in App.js)
  *   2. In any screen, call useGarden() to get the shared state
  */
 
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useRef } from 'react';
 import {
-  initDatabase,
   loadAllAreas,
   loadAllCustomSeeds,
   insertArea,
+  insertAreaWithPlant,
   updateArea,
   deleteArea as dbDeleteArea,
   insertPlant,
   updatePlantStage as dbUpdatePlantStage,
+  updatePlantedDate as dbUpdatePlantedDate,
+  rollbackPlantStage as dbRollbackPlantStage,
   deletePlant,
   insertJournalEntry,
+  insertJournalEntryWithPhotos,
   deleteJournalEntry,
-  deleteLastStageEntry,
   insertCustomSeed,
+  restoreSnapshot,
 } from '../database/db';
+import { restoreBackup as dbRestoreBackup } from '../database/backup';
+import { importLegacyGarden } from '../database/legacyImport';
+import { savePhotos, cleanUpOrphanPhotos } from '../database/photos';
+import { toLocalISODate } from '../utils/dates';
 
 // The context object — think of it as a "broadcast channel" all screens tune into
 const GardenContext = createContext(null);
@@ -47,8 +58,71 @@ const STAGE_LABELS = {
   done:       '✅ Marked as Done',
 };
 
-function today() {
-  return new Date().toLocaleDateString('en-AU', { day: 'numeric', month: 'short', year: 'numeric' });
+// How long the "Undo" snackbar stays up after a delete
+export const UNDO_TIMEOUT_MS = 6000;
+
+// Returns a copy of list with item put back at index (or at the end if the
+// list has since got shorter). If an item with the same id is already there —
+// e.g. both undo and a failed delete's rollback restored it — nothing changes.
+function insertAt(list, index, item) {
+  if (list.some((x) => x.id === item.id)) return list;
+  const next = [...list];
+  next.splice(Math.min(index, next.length), 0, item);
+  return next;
+}
+
+// Returns a copy of areas with fn applied to one plant
+function mapPlant(areas, areaId, plantId, fn) {
+  return areas.map((a) =>
+    a.id === areaId
+      ? { ...a, plants: a.plants.map((p) => (p.id === plantId ? fn(p) : p)) }
+      : a
+  );
+}
+
+// How long to wait before each retry of a failed write. SQLite can briefly
+// report "database is locked" while another write finishes, so a short
+// pause usually fixes it. After the last retry the write counts as failed.
+const WRITE_RETRY_DELAYS_MS = [300, 1000, 3000];
+
+// Only a busy database is worth waiting for. Anything else — a NOT NULL,
+// FOREIGN KEY or UNIQUE constraint — would fail the same way every time.
+function isDatabaseBusy(err) {
+  return /database is locked|database table is locked|SQLITE_BUSY|SQLITE_LOCKED/i.test(String(err?.message ?? err));
+}
+
+async function withRetry(write) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await write();
+    } catch (err) {
+      if (!isDatabaseBusy(err) || attempt >= WRITE_RETRY_DELAYS_MS.length) throw err;
+      await new Promise((resolve) => setTimeout(resolve, WRITE_RETRY_DELAYS_MS[attempt]));
+    }
+  }
+}
+
+// The stage entry logged when a plant reached its current stage. Found by
+// its label rather than its place in the journal: a backdated stage change
+// isn't the latest entry. Falls back to the last stage entry, or null.
+function currentStageEntry(plant) {
+  const stageEntries = (plant.journal || []).filter((e) => e.type === 'stage');
+  const label = STAGE_LABELS[plant.stage] || plant.stage;
+  return stageEntries.filter((e) => e.text === label).pop() || stageEntries.pop() || null;
+}
+
+// A journal entry's stored date — "YYYY-MM-DD" (defaults to today).
+// Screens format it for display with the device locale.
+function journalDate(date = new Date()) {
+  return toLocalISODate(date);
+}
+
+// Adds an entry to a journal kept in date order, after any entries on the same
+// day — matching the ORDER BY in loadAllAreas(), so a backdated note lands
+// where it will be after the next reload
+function insertByDate(journal, entry) {
+  const index = journal.findIndex((e) => e.date > entry.date);
+  return index === -1 ? [...journal, entry] : insertAt(journal, index, entry);
 }
 
 // ── Provider ───────────────────────────────────────────────────
@@ -59,26 +133,102 @@ export function GardenProvider({ children }) {
   const [loading, setLoading] = useState(true);
   const [customSeeds, setCustomSeeds] = useState([]);
 
-  // Load all data from SQLite when the app first opens.
+  // Recently deleted things that can still be undone, newest last.
+  // Each entry: { id, label, restoreState(prevAreas), snapshot: Promise }
+  const [undoStack, setUndoStack] = useState([]);
+  const undoTimers = useRef({});
+
+  // Writes waiting to be saved, chained one after another (see persist)
+  const writeQueue = useRef(Promise.resolve());
+  // The most recent save that failed for good, or null — shown by <SaveErrorBanner>
+  const [saveError, setSaveError] = useState(null);
+
+  // Clear any pending undo timers if the provider unmounts
+  useEffect(() => () => {
+    Object.values(undoTimers.current).forEach(clearTimeout);
+  }, []);
+
+  // Reads everything from SQLite into React state.
   // Both queries run in parallel for speed, then both results are applied at once.
+  async function reload() {
+    try {
+      const [loadedAreas, loadedSeeds] = await Promise.all([
+        loadAllAreas(),
+        loadAllCustomSeeds(),
+      ]);
+      setAreas(loadedAreas);
+      setCustomSeeds(loadedSeeds);
+    } catch (err) {
+      console.error('DB load error:', err);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  // Load all data when the app first opens
   useEffect(() => {
     async function load() {
+      // Users upgrading from the AsyncStorage build get their old garden copied
+      // in first (a no-op after the first launch). A failed import must not
+      // stop the app from loading — it will try again next launch.
+      try {
+        await importLegacyGarden();
+      } catch (err) {
+        console.error('Legacy import error:', err);
+      }
+      // Photo files outlive their rows so a delete can be undone. Nothing can
+      // be pending on launch, so clear out any that are no longer used — before
+      // the garden loads, so it can't race with a note being added.
       try {
-        const [loadedAreas, loadedSeeds] = await Promise.all([
-          loadAllAreas(),
-          loadAllCustomSeeds(),
-        ]);
-        setAreas(loadedAreas);
-        setCustomSeeds(loadedSeeds);
+        await cleanUpOrphanPhotos();
       } catch (err) {
-        console.error('DB load error:', err);
-      } finally {
-        setLoading(false);
+        console.error('Photo clean-up error:', err);
       }
+      await reload();
     }
     load();
   }, []);
 
+  // ── Saving ────────────────────────────────────────────────────
+
+  // Saves a change in the background. Writes run one at a time in the order
+  // they were made, so a plant is always saved before a note added to it.
+  //   label    — what was being saved, for the error banner ("adding Basil")
+  //   write    — a function that does the db call and returns its promise
+  //   rollback — undoes the optimistic state change if the write fails for good
+  // Returns the write's promise so callers can wait for the saved result.
+  function persist(label, write, rollback) {
+    const result = writeQueue.current.then(() => withRetry(write));
+    // Keep the queue moving even if this write fails
+    writeQueue.current = result.catch(() => {});
+    result.catch((err) => {
+      console.error(`Save failed (${label}):`, err);
+      if (rollback) rollback();
+      setSaveError({
+        id: makeId(),
+        message: `Couldn't save your change (${label}) — it has been undone.`,
+      });
+    });
+    return result;
+  }
+
+  function dismissSaveError() {
+    setSaveError(null);
+  }
+
+  // Restores a backup (see database/backup.js) and re-reads the garden, as
+  // one step in the write queue: saves made before it are in the database
+  // first, so the reload can't drop them, and none can land inside the
+  // restore's transaction. Throws if the restore fails (nothing is changed).
+  function restoreBackup(doc, mode) {
+    const result = writeQueue.current.then(async () => {
+      await dbRestoreBackup(doc, mode);
+      await reload();
+    });
+    writeQueue.current = result.catch(() => {});
+    return result;
+  }
+
   // ── Area operations ───────────────────────────────────────────
 
   function createArea(name, emoji = '🪴') {
@@ -86,43 +236,109 @@ export function GardenProvider({ children }) {
       id: makeId(),
       name: name.trim(),
       emoji,
-      createdAt: new Date().toISOString().slice(0, 10),
+      createdAt: toLocalISODate(new Date()),
       plants: [],
     };
     // Update React state immediately so the UI responds instantly
     setAreas((prev) => [...prev, area]);
     // Persist to the database in the background
-    insertArea(area.id, area.name, area.emoji, area.createdAt).catch(console.error);
+    persist(
+      `creating "${area.name}"`,
+      () => insertArea(area.id, area.name, area.emoji, area.createdAt),
+      () => setAreas((prev) => prev.filter((a) => a.id !== area.id))
+    );
     return area;
   }
 
   function renameArea(areaId, newName, newEmoji) {
+    const before = areas.find((a) => a.id === areaId);
+    if (!before) return;
+    const name = newName.trim();
+    const emoji = newEmoji ?? before.emoji;
+
     setAreas((prev) =>
-      prev.map((a) =>
-        a.id === areaId ? { ...a, name: newName.trim(), emoji: newEmoji ?? a.emoji } : a
+      prev.map((a) => (a.id === areaId ? { ...a, name, emoji } : a))
+    );
+    persist(
+      `renaming "${before.name}"`,
+      () => updateArea(areaId, name, emoji),
+      () => setAreas((prev) =>
+        prev.map((a) => (a.id === areaId ? { ...a, name: before.name, emoji: before.emoji } : a))
       )
     );
-    updateArea(areaId, newName.trim(), newEmoji).catch(console.error);
   }
 
   function deleteArea(areaId) {
+    const index = areas.findIndex((a) => a.id === areaId);
+    if (index === -1) return;
+    const removed = areas[index];
+
+    const restoreState = (prev) => insertAt(prev, index, removed);
+
     setAreas((prev) => prev.filter((a) => a.id !== areaId));
     // The database cascade (ON DELETE CASCADE) auto-removes all plants
-    // and journal entries belonging to this area
-    dbDeleteArea(areaId).catch(console.error);
+    // and journal entries belonging to this area. The snapshot of those
+    // rows is kept so the delete can be undone.
+    let undoId;
+    const saved = persist(
+      `deleting "${removed.name}"`,
+      () => dbDeleteArea(areaId),
+      () => { dismissUndo(undoId); setAreas(restoreState); }
+    );
+    undoId = pushUndo(`Deleted "${removed.name}"`, restoreState, saved);
+  }
+
+  // ── Undo ──────────────────────────────────────────────────────
+
+  // Records a delete that can be undone for the next UNDO_TIMEOUT_MS.
+  // restoreState puts the removed item back into React state;
+  // snapshotPromise is the delete's db call, which resolves to the removed rows.
+  function pushUndo(label, restoreState, snapshotPromise) {
+    const id = makeId();
+    // persist() already reports a failed delete; here it just resolves to
+    // null so undo() has no rows to put back (they were never removed)
+    const snapshot = snapshotPromise.catch(() => null);
+    setUndoStack((prev) => [...prev, { id, label, restoreState, snapshot }]);
+    undoTimers.current[id] = setTimeout(() => dismissUndo(id), UNDO_TIMEOUT_MS);
+    return id;
+  }
+
+  // Drops an undo entry (called when its timer runs out)
+  function dismissUndo(id) {
+    clearTimeout(undoTimers.current[id]);
+    delete undoTimers.current[id];
+    setUndoStack((prev) => prev.filter((u) => u.id !== id));
+  }
+
+  // Reverses the most recent delete: puts it back in state straight away,
+  // then re-inserts the captured rows with their original ids and order
+  function undo() {
+    const entry = undoStack[undoStack.length - 1];
+    if (!entry) return;
+    dismissUndo(entry.id);
+    setAreas(entry.restoreState);
+    // If putting the rows back fails, re-read the database so the screen
+    // matches what's actually saved
+    persist(
+      'undoing the delete',
+      () => entry.snapshot.then((snapshot) => snapshot && restoreSnapshot(snapshot)),
+      () => reload()
+    );
   }
 
   // ── Plant operations ──────────────────────────────────────────
 
-  function addPlantToArea(areaId, seed) {
+  // variety is the seed packet it's sown from (see getVarieties), if one was picked
+  function addPlantToArea(areaId, seed, variety = null) {
     const plantRecord = {
       id: makeId(),
       seedId: seed.id,
-      // crops.json uses "name", custom seeds use "title" — handle both
-      seedTitle: seed.title || seed.name,
+      seedTitle: seed.name,   // a catalog entry (see catalog/index.js)
       seedCategory: seed.category,
-      seedImage: seed.image_url,
-      plantedDate: new Date().toISOString().slice(0, 10),
+      seedImage: variety?.image_url || seed.image_url,
+      varietyId: variety?.id ?? null,
+      varietyTitle: variety?.name ?? null,
+      plantedDate: toLocalISODate(new Date()),
       stage: null,   // starts with no stage — user marks as Planted when ready
       journal: [],   // grows with stage changes and user notes
     };
@@ -131,34 +347,50 @@ export function GardenProvider({ children }) {
         a.id === areaId ? { ...a, plants: [...a.plants, plantRecord] } : a
       )
     );
-    insertPlant(
-      plantRecord.id, areaId, plantRecord.seedId, plantRecord.seedTitle,
-      plantRecord.seedCategory, plantRecord.seedImage,
-      plantRecord.plantedDate, plantRecord.stage
-    ).catch(console.error);
+    persistNewPlant(areaId, plantRecord);
     return plantRecord;
   }
 
+  // Saves a plant that has just been added to state, or removes it again on failure
+  function persistNewPlant(areaId, plantRecord) {
+    persist(
+      `adding ${plantRecord.seedTitle}`,
+      () => insertPlant(
+        plantRecord.id, areaId, plantRecord.seedId, plantRecord.seedTitle,
+        plantRecord.seedCategory, plantRecord.seedImage,
+        plantRecord.plantedDate, plantRecord.stage,
+        plantRecord.varietyId, plantRecord.varietyTitle
+      ),
+      () => setAreas((prev) =>
+        prev.map((a) =>
+          a.id === areaId ? { ...a, plants: a.plants.filter((p) => p.id !== plantRecord.id) } : a
+        )
+      )
+    );
+  }
+
   // Creates an area AND adds a plant in one atomic step.
   // Needed because doing createArea() then addPlantToArea() separately
   // has a race condition — the state update from createArea hasn't
   // applied yet when addPlantToArea runs.
   // Uses a SQLite transaction so both rows are saved together or not at all.
-  function createAreaAndAddPlant(name, emoji = '🪴', seed) {
+  function createAreaAndAddPlant(name, emoji = '🪴', seed, variety = null) {
     const area = {
       id: makeId(),
       name: name.trim(),
       emoji,
-      createdAt: new Date().toISOString().slice(0, 10),
+      createdAt: toLocalISODate(new Date()),
       plants: [],
     };
     const plantRecord = {
       id: makeId(),
       seedId: seed.id,
-      seedTitle: seed.title || seed.name,
+      seedTitle: seed.name,
       seedCategory: seed.category,
-      seedImage: seed.image_url,
-      plantedDate: new Date().toISOString().slice(0, 10),
+      seedImage: variety?.image_url || seed.image_url,
+      varietyId: variety?.id ?? null,
+      varietyTitle: variety?.name ?? null,
+      plantedDate: toLocalISODate(new Date()),
       stage: null,
       journal: [],
     };
@@ -166,25 +398,24 @@ export function GardenProvider({ children }) {
     setAreas((prev) => [...prev, { ...area, plants: [plantRecord] }]);
 
     // Transaction ensures both inserts succeed or both fail together
-    initDatabase().then(async (db) => {
-      await db.withTransactionAsync(async () => {
-        await insertArea(area.id, area.name, area.emoji, area.createdAt);
-        await insertPlant(
-          plantRecord.id, area.id, plantRecord.seedId, plantRecord.seedTitle,
-          plantRecord.seedCategory, plantRecord.seedImage,
-          plantRecord.plantedDate, plantRecord.stage
-        );
-      });
-    }).catch(console.error);
+    persist(
+      `creating "${area.name}"`,
+      () => insertAreaWithPlant(area, plantRecord),
+      () => setAreas((prev) => prev.filter((a) => a.id !== area.id))
+    );
 
     return area;
   }
 
-  function updatePlantStage(areaId, plantId, stage) {
+  // date lets the user log a stage change that happened on an earlier day
+  function updatePlantStage(areaId, plantId, stage, date = new Date()) {
+    const previousStage = areas.find((a) => a.id === areaId)
+      ?.plants.find((p) => p.id === plantId)?.stage ?? null;
+
     // Automatically add a dated journal entry when advancing a stage
     const entry = {
       id: makeId(),
-      date: today(),
+      date: journalDate(date),
       text: STAGE_LABELS[stage] || stage,
       type: 'stage',
     };
@@ -193,70 +424,149 @@ export function GardenProvider({ children }) {
         a.id === areaId
           ? { ...a, plants: a.plants.map((p) =>
               p.id === plantId
-                ? { ...p, stage, journal: [...(p.journal || []), entry] }
+                ? { ...p, stage, journal: insertByDate(p.journal || [], entry) }
                 : p
             )}
           : a
       )
     );
-    // Two writes: update the stage column and insert the journal entry
-    Promise.all([
-      dbUpdatePlantStage(plantId, stage),
-      insertJournalEntry(entry.id, plantId, entry.date, entry.text, entry.type),
-    ]).catch(console.error);
+    // Two writes in one transaction: update the stage column and insert the journal entry
+    persist(
+      'updating the stage',
+      () => dbUpdatePlantStage(plantId, stage, entry),
+      () => setAreas((prev) =>
+        mapPlant(prev, areaId, plantId, (p) => ({
+          ...p,
+          stage: previousStage,
+          journal: (p.journal || []).filter((e) => e.id !== entry.id),
+        }))
+      )
+    );
   }
 
   function rollbackPlantStage(areaId, plantId, stage) {
-    // Going back a stage — remove the last stage-type entry rather than adding one,
-    // so the journal only reflects real-world events the user actually experienced
+    const before = areas.find((a) => a.id === areaId)?.plants.find((p) => p.id === plantId);
+    if (!before) return;
+
+    // Going back a stage — remove the stage entry logged when the plant reached
+    // its current stage rather than adding one, so the journal only reflects
+    // real-world events the user actually experienced
+    const entryId = currentStageEntry(before)?.id ?? null;
     setAreas((prev) =>
-      prev.map((a) =>
-        a.id === areaId
-          ? { ...a, plants: a.plants.map((p) => {
-              if (p.id !== plantId) return p;
-              const journal = p.journal || [];
-              // Find and remove the most recent stage entry
-              const lastStageIndex = [...journal]
-                .map((e, i) => ({ e, i }))
-                .filter(({ e }) => e.type === 'stage')
-                .pop()?.i;
-              const trimmed = lastStageIndex !== undefined
-                ? journal.filter((_, i) => i !== lastStageIndex)
-                : journal;
-              return { ...p, stage, journal: trimmed };
-            })}
-          : a
+      mapPlant(prev, areaId, plantId, (p) => ({
+        ...p,
+        stage,
+        journal: (p.journal || []).filter((e) => e.id !== entryId),
+      }))
+    );
+    persist(
+      'updating the stage',
+      () => dbRollbackPlantStage(plantId, stage, entryId),
+      // Put the stage and the removed stage entry back as they were
+      () => setAreas((prev) =>
+        mapPlant(prev, areaId, plantId, (p) => ({ ...p, stage: before.stage, journal: before.journal }))
       )
     );
-    Promise.all([
-      dbUpdatePlantStage(plantId, stage),
-      deleteLastStageEntry(plantId),
-    ]).catch(console.error);
   }
 
-  function addJournalEntry(areaId, plantId, text) {
-    // Adds a free-text note to a plant's journal, stamped with today's date
+  // Adds a note to a plant's journal, stamped with the given date (default today).
+  // photoUris are images from pickPhotos() — they're copied into the app's
+  // photo folder and attached to the note.
+  function addJournalEntry(areaId, plantId, text, date = new Date(), photoUris = []) {
+    let photos = [];
+    if (photoUris.length > 0) {
+      try {
+        photos = savePhotos(photoUris);
+      } catch (err) {
+        console.error('Photo copy failed:', err);
+        setSaveError({
+          id: makeId(),
+          message: "Couldn't save your photos — the note wasn't added.",
+        });
+        return;
+      }
+    }
+
     const entry = {
       id: makeId(),
-      date: today(),
+      date: journalDate(date),
       text: text.trim(),
       type: 'note',
+      photos,
     };
     setAreas((prev) =>
       prev.map((a) =>
         a.id === areaId
           ? { ...a, plants: a.plants.map((p) =>
               p.id === plantId
-                ? { ...p, journal: [...(p.journal || []), entry] }
+                ? { ...p, journal: insertByDate(p.journal || [], entry) }
                 : p
             )}
           : a
       )
     );
-    insertJournalEntry(entry.id, plantId, entry.date, entry.text, entry.type).catch(console.error);
+    persist(
+      'adding a note',
+      () => (photos.length > 0
+        ? insertJournalEntryWithPhotos(plantId, entry, photos)
+        : insertJournalEntry(entry.id, plantId, entry.date, entry.text, entry.type)),
+      () => setAreas((prev) =>
+        mapPlant(prev, areaId, plantId, (p) => ({
+          ...p,
+          journal: (p.journal || []).filter((e) => e.id !== entry.id),
+        }))
+      )
+    );
+  }
+
+  // Logs a harvest — quantity is a positive number, unit a key from
+  // HARVEST_UNITS in utils/harvest.js. text is an optional note.
+  function addHarvest(areaId, plantId, quantity, unit, text = '', date = new Date()) {
+    const entry = {
+      id: makeId(),
+      date: journalDate(date),
+      text: text.trim(),
+      type: 'harvest',
+      quantity,
+      unit,
+    };
+    setAreas((prev) =>
+      mapPlant(prev, areaId, plantId, (p) => ({ ...p, journal: insertByDate(p.journal || [], entry) }))
+    );
+    persist(
+      'logging a harvest',
+      () => insertJournalEntry(entry.id, plantId, entry.date, entry.text, entry.type, quantity, unit),
+      () => setAreas((prev) =>
+        mapPlant(prev, areaId, plantId, (p) => ({
+          ...p,
+          journal: (p.journal || []).filter((e) => e.id !== entry.id),
+        }))
+      )
+    );
+  }
+
+  // Changes when a plant went in — plantedDate is a "YYYY-MM-DD" string
+  function updatePlantedDate(areaId, plantId, plantedDate) {
+    const before = areas.find((a) => a.id === areaId)?.plants.find((p) => p.id === plantId);
+    if (!before) return;
+
+    setAreas((prev) => mapPlant(prev, areaId, plantId, (p) => ({ ...p, plantedDate })));
+    persist(
+      'changing the planted date',
+      () => dbUpdatePlantedDate(plantId, plantedDate),
+      () => setAreas((prev) =>
+        mapPlant(prev, areaId, plantId, (p) => ({ ...p, plantedDate: before.plantedDate }))
+      )
+    );
   }
 
   function removeJournalEntry(areaId, plantId, entryId) {
+    const plant = areas.find((a) => a.id === areaId)?.plants.find((p) => p.id === plantId);
+    const journal = plant?.journal || [];
+    const index = journal.findIndex((e) => e.id === entryId);
+    if (index === -1) return;
+    const removed = journal[index];
+
     // Deletes a single journal entry by its id
     setAreas((prev) =>
       prev.map((a) =>
@@ -269,10 +579,28 @@ export function GardenProvider({ children }) {
           : a
       )
     );
-    deleteJournalEntry(entryId).catch(console.error);
+    const restoreState = (prev) =>
+      mapPlant(prev, areaId, plantId, (p) => ({
+        ...p,
+        journal: insertAt(p.journal || [], index, removed),
+      }));
+
+    const what = removed.type === 'harvest' ? 'harvest' : 'note';
+    let undoId;
+    const saved = persist(
+      `deleting a ${what}`,
+      () => deleteJournalEntry(entryId),
+      () => { dismissUndo(undoId); setAreas(restoreState); }
+    );
+    undoId = pushUndo(what === 'harvest' ? 'Harvest deleted' : 'Note deleted', restoreState, saved);
   }
 
   function removePlantFromArea(areaId, plantId) {
+    const area = areas.find((a) => a.id === areaId);
+    const index = area ? area.plants.findIndex((p) => p.id === plantId) : -1;
+    if (index === -1) return;
+    const removed = area.plants[index];
+
     setAreas((prev) =>
       prev.map((a) =>
         a.id === areaId
@@ -280,8 +608,19 @@ export function GardenProvider({ children }) {
           : a
       )
     );
+    const name = (removed.seedTitle || 'plant').replace(/\s+seeds?$/i, '');
+    const restoreState = (prev) => prev.map((a) =>
+      a.id === areaId ? { ...a, plants: insertAt(a.plants, index, removed) } : a
+    );
+
     // CASCADE in the schema auto-removes all journal entries for this plant
-    deletePlant(plantId).catch(console.error);
+    let undoId;
+    const saved = persist(
+      `removing ${name}`,
+      () => deletePlant(plantId),
+      () => { dismissUndo(undoId); setAreas(restoreState); }
+    );
+    undoId = pushUndo(`Removed ${name}`, restoreState, saved);
   }
 
   // Adds a plant the user typed manually — not from the seed catalog
@@ -292,7 +631,9 @@ export function GardenProvider({ children }) {
       seedTitle: name.trim(),
       seedCategory: category || 'Other',
       seedImage: null,
-      plantedDate: new Date().toISOString().slice(0, 10),
+      varietyId: null,
+      varietyTitle: null,
+      plantedDate: toLocalISODate(new Date()),
       stage: null,
       journal: [],
     };
@@ -301,11 +642,7 @@ export function GardenProvider({ children }) {
         a.id === areaId ? { ...a, plants: [...a.plants, plantRecord] } : a
       )
     );
-    insertPlant(
-      plantRecord.id, areaId, plantRecord.seedId, plantRecord.seedTitle,
-      plantRecord.seedCategory, plantRecord.seedImage,
-      plantRecord.plantedDate, plantRecord.stage
-    ).catch(console.error);
+    persistNewPlant(areaId, plantRecord);
     return plantRecord;
   }
 
@@ -346,7 +683,11 @@ export function GardenProvider({ children }) {
       drought_tolerant: false,
     };
     setCustomSeeds((prev) => [...prev, seed]);
-    insertCustomSeed(seed).catch(console.error);
+    persist(
+      `adding ${seed.title} to the catalog`,
+      () => insertCustomSeed(seed),
+      () => setCustomSeeds((prev) => prev.filter((s) => s.id !== seed.id))
+    );
     return seed;
   }
 
@@ -357,8 +698,16 @@ export function GardenProvider({ children }) {
     areas, loading, totalPlants,
     createArea, renameArea, deleteArea,
     addPlantToArea, createAreaAndAddPlant, addCustomPlantToArea,
-    updatePlantStage, rollbackPlantStage, addJournalEntry, removeJournalEntry, removePlantFromArea,
+    updatePlantStage, rollbackPlantStage, updatePlantedDate,
+    addJournalEntry, addHarvest, removeJournalEntry, removePlantFromArea,
     customSeeds, addCustomSeedToCatalog,
+    reload,   // re-reads everything from SQLite
+    restoreBackup,
+    // The most recent undoable delete (or null) — shown by <UndoSnackbar>
+    pendingUndo: undoStack[undoStack.length - 1] || null,
+    undo, dismissUndo,
+    // The last save that failed for good (or null) — shown by <SaveErrorBanner>
+    saveError, dismissSaveError,
   };
 
   return (
@@ -1,7 +1,8 @@
 /**
  * SettingsContext.js
  * ─────────────────────────────────────────────
- * Stores user preferences — currently just the watering reminder settings.
+ * Stores user preferences — the watering reminder, weather alert, quiet hours,
+ * weather location and climate zone settings.
  * Works exactly like GardenContext: wrap the app in <SettingsProvider>,
  * then call useSettings() in any screen to read or update settings.
  *
@@ -18,6 +19,20 @@ const DEFAULT_SETTINGS = {
   remindersEnabled: false,  // OFF by default — user must consciously turn it on
   reminderHour: 8,          // 8am
   reminderMinute: 0,        // :00 — so together this is 8:00 AM
+  hotAlertsEnabled: true,   // warn when tomorrow's forecast high is above hotThreshold
+  hotThreshold: 35,         // °C
+  hotAlertHour: 18,         // 6pm
+  frostAlertsEnabled: true, // warn when tonight's forecast low is below frostThreshold
+  frostThreshold: 2,        // °C
+  frostAlertHour: 18,
+  windAlertsEnabled: true,  // warn when tomorrow's wind reaches windThreshold, or storms
+  windThreshold: 50,        // km/h
+  windAlertHour: 18,
+  quietHoursEnabled: false, // no weather alerts between these hours (may run past midnight)
+  quietStartHour: 21,       // 9pm
+  quietEndHour: 7,          // 7am
+  location: null,           // { name, latitude, longitude } chosen in Settings; null = use GPS
+  climateZone: 'temperate', // key from CLIMATE_ZONES (catalog/climate.js) — sets the sowing calendar
 };
 
 // The "broadcast channel" all screens can tune into
@@ -25,18 +40,25 @@ const SettingsContext = createContext(null);
 
 export function SettingsProvider({ children }) {
   const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  // False until saved settings have been read — so e.g. useWeather doesn't
+  // ask for GPS before it knows whether the user picked a location instead
+  const [loaded, setLoaded] = useState(false);
 
-  // Load saved settings from device storage when the app opens
-  useEffect(() => {
-    kvGet(SETTINGS_KEY)
+  // Reads saved settings from device storage
+  function reload() {
+    return kvGet(SETTINGS_KEY)
       .then((raw) => {
-        if (raw) {
-          // Merge with defaults so any new fields added in future updates
-          // still get their default values even on existing installs
-          setSettings({ ...DEFAULT_SETTINGS, ...JSON.parse(raw) });
-        }
+        // Merge with defaults so any new fields added in future updates
+        // still get their default values even on existing installs
+        setSettings(raw ? { ...DEFAULT_SETTINGS, ...JSON.parse(raw) } : DEFAULT_SETTINGS);
       })
-      .catch(console.error);
+      .catch(console.error)
+      .finally(() => setLoaded(true));
+  }
+
+  // Load saved settings when the app opens
+  useEffect(() => {
+    reload();
   }, []);
 
   // Update one or more settings fields without overwriting the rest.
@@ -48,7 +70,7 @@ export function SettingsProvider({ children }) {
   }
 
   return (
-    <SettingsContext.Provider value={{ settings, updateSettings }}>
+    <SettingsContext.Provider value={{ settings, loaded, updateSettings, reload }}>
       {children}
     </SettingsContext.Provider>
   );
@@ -0,0 +1,91 @@
+/**
+ * useWeather.test.js
+ * ─────────────────────────────────────────────
+ * The hook's date handling: which forecast day is "today" on the device's
+ * clock, checked with the clock fixed either side of midnight UTC in
+ * timezones ahead of and behind UTC.
+ */
+
+import { dailyIndex, deviceTimeZone } from '../useWeather';
+
+// Forecast dates as a provider returns them
+const TIMES = ['2026-03-01', '2026-03-02', '2026-03-03', '2026-03-04'];
+
+// Runs fn with the device in `timeZone` and its clock at `isoTime`
+// (setDeviceTimeZone comes from jest.environment.js)
+function at(timeZone, isoTime, fn) {
+  setDeviceTimeZone(timeZone);
+  jest.useFakeTimers({ now: new Date(isoTime) });
+  try {
+    return fn();
+  } finally {
+    jest.useRealTimers();
+    setDeviceTimeZone(undefined);
+  }
+}
+
+describe('dailyIndex', () => {
+  // 23:30 UTC on 2 March: already 3 March in Sydney and Auckland,
+  // still 2 March in Los Angeles
+  it.each([
+    ['Australia/Sydney', 2],      // UTC+11
+    ['Pacific/Auckland', 2],      // UTC+13
+    ['UTC', 1],
+    ['America/Los_Angeles', 1],   // UTC−8
+  ])('finds today in %s just before midnight UTC', (timeZone, expected) => {
+    at(timeZone, '2026-03-02T23:30:00Z', () => {
+      expect(dailyIndex(TIMES, new Date(), -1)).toBe(expected);
+    });
+  });
+
+  // 00:30 UTC on 3 March: 3 March in Sydney, but still 2 March in Los
+  // Angeles — the UTC date would be a day ahead there
+  it.each([
+    ['Australia/Sydney', 2],
+    ['UTC', 2],
+    ['America/Los_Angeles', 1],
+    ['America/New_York', 1],      // UTC−5
+  ])('finds today in %s just after midnight UTC', (timeZone, expected) => {
+    at(timeZone, '2026-03-03T00:30:00Z', () => {
+      expect(dailyIndex(TIMES, new Date(), -1)).toBe(expected);
+    });
+  });
+
+  it("uses the device's midnight, not UTC's", () => {
+    // 13:05 UTC is 00:05 the next day in Sydney (UTC+11)
+    at('Australia/Sydney', '2026-03-01T13:05:00Z', () => {
+      expect(dailyIndex(TIMES, new Date(), -1)).toBe(1);
+    });
+    // 12:55 UTC is still 23:55 the same day
+    at('Australia/Sydney', '2026-03-01T12:55:00Z', () => {
+      expect(dailyIndex(TIMES, new Date(), -1)).toBe(0);
+    });
+  });
+
+  it("returns the fallback when the device's day isn't in the list", () => {
+    at('Pacific/Auckland', '2026-03-04T12:00:00Z', () => {
+      // Already 5 March in Auckland
+      expect(dailyIndex(TIMES, new Date(), 3)).toBe(3);
+    });
+    expect(dailyIndex(null, new Date(), 3)).toBe(3);
+  });
+});
+
+describe('deviceTimeZone', () => {
+  it.each(['Australia/Perth', 'Pacific/Auckland', 'America/Chicago'])('reports %s', (timeZone) => {
+    at(timeZone, '2026-03-02T23:30:00Z', () => {
+      expect(deviceTimeZone()).toBe(timeZone);
+    });
+  });
+
+  it("falls back to 'auto' when the timezone can't be read", () => {
+    const spy = jest.spyOn(Intl, 'DateTimeFormat').mockImplementation(() => {
+      throw new Error('no Intl');
+    });
+    try {
+      expect(deviceTimeZone()).toBe('auto');
+    } finally {
+      spy.mockRestore();
+    }
+  });
+});
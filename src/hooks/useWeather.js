@@ -2,30 +2,55 @@
  * useWeather.js
  * ─────────────────────────────────────────────
  * A React hook that:
- *   1. Loads a cached location from storage so the widget appears instantly
- *   2. Requests GPS permission from the device
- *   3. Gets the current position (lat/lon)
- *   4. Reverse-geocodes it to a suburb/city name
- *   5. Fetches current + forecast weather from Open-Meteo (free, no API key)
- *   6. If tomorrow will be hot (>35°C), schedules a 6pm notification tonight
+ *   1. Shows the last weather it fetched (and refreshes it for the cached
+ *      location) so the widget appears instantly
+ *   2. Uses the location picked in Settings if there is one (this is the only
+ *      way to get weather on web); otherwise requests GPS permission,
+ *   3. gets the current position (lat/lon) and
+ *   4. reverse-geocodes it to a suburb/city name
+ *   5. Fetches current + forecast weather from the weather provider —
+ *      Open-Meteo unless another is set (see weather/index.js)
+ *   6. Schedules today's hot-day, frost and wind/storm alerts from tomorrow's
+ *      forecast, as turned on and set up in Settings (see utils/weatherAlerts.js)
+ *   7. Names the frost-tender plants in the garden for the frost alert
+ *   8. Works out watering advice for today and tomorrow from recent and
+ *      forecast rain (see utils/watering.js), and puts it into the daily
+ *      check-in reminders if they're turned on
+ *   9. Keeps the next seven days for ForecastScreen (state.forecast)
+ *  10. Logs the past few days and today in the weather history
+ *      (weather_daily — see weather/history.js)
  *
  * Usage:
- *   const { loading, error, cityName, currentTemp, ... } = useWeather();
+ *   const { loading, error, cityName, currentTemp, ..., retry } = useWeather();
+ *
+ * If a refresh fails, the last good weather stays on screen with
+ * isCached: true and updatedAt saying how old it is.
  */
 
 import { useState, useEffect } from 'react';
 import { Platform } from 'react-native';
 import { kvGet, kvSet } from '../database/db';
-// expo-location and expo-notifications are required dynamically inside functions
-// — both packages have web issues and must never load at module init time
+import { useGarden } from './GardenContext';
+import { useSettings } from './SettingsContext';
+import { toLocalISODate } from '../utils/dates';
+import { wateringForecast } from '../utils/watering';
+import { scheduleDaily, saveWateringAdvice } from '../utils/reminders';
+import { syncWeatherAlerts, alertSettingsKey } from '../utils/weatherAlerts';
+import { getWeatherProvider } from '../weather';
+import { recordForecastDays } from '../weather/history';
+import { getEntry } from '../catalog';
+// expo-location is required dynamically inside loadWeather — it has web
+// issues and must never load at module init time
 
 const LOCATION_CACHE_KEY  = 'last_known_location';
-const HOT_ALERT_DATE_KEY  = 'last_hot_alert_date';
-const HOT_DAY_THRESHOLD   = 35;   // °C — send a "water tonight" alert above this
+const WEATHER_CACHE_KEY   = 'last_weather';
+
+// Stages where a plant is actually in the ground (not yet started or finished)
+const IN_GROUND_STAGES = ['planted', 'sprouted', 'growing', 'harvesting'];
 
 // ── WMO weather code → human-readable condition ─────────────
-// Open-Meteo uses WMO standard codes. This covers the most common ones.
-function interpretWMO(code) {
+// Weather providers report WMO standard codes. This covers the most common ones.
+export function interpretWMO(code) {
   if (code === 0)                   return { label: 'Clear sky',    emoji: '☀️' };
   if (code <= 2)                    return { label: 'Partly cloudy', emoji: '⛅' };
   if (code === 3)                   return { label: 'Overcast',     emoji: '☁️' };
@@ -38,117 +63,196 @@ function interpretWMO(code) {
   return { label: 'Cloudy', emoji: '🌥️' };
 }
 
-// ── Hot day alert ────────────────────────────────────────────
-// Called after weather loads. Schedules a one-time 6pm notification
-// if tomorrow will be hot AND we haven't already sent one today.
-async function maybeScheduleHotAlert(tomorrowMax) {
-  if (tomorrowMax <= HOT_DAY_THRESHOLD) return;
-
-  const today = new Date().toISOString().slice(0, 10);  // "2026-02-21"
+// ── Dates ────────────────────────────────────────────────────
+// Alerts are scheduled on the device's clock, so the forecast's days must
+// line up with the device's calendar too — not Sydney's, and not UTC's.
 
-  // Check if we already sent the alert today — avoid duplicate notifications
+// The device's IANA timezone (e.g. "Australia/Perth"). Falls back to 'auto',
+// which makes the provider use the forecast location's own timezone.
+export function deviceTimeZone() {
   try {
-    const lastSent = await kvGet(HOT_ALERT_DATE_KEY);
-    if (lastSent === today) return;
-  } catch (_) { /* ignore storage errors */ }
-
-  // Build a Date object for 6pm tonight
-  const sixPmTonight = new Date();
-  sixPmTonight.setHours(18, 0, 0, 0);
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'auto';
+  } catch (_) {
+    return 'auto';
+  }
+}
 
-  // Only schedule if 6pm is still in the future (in case the user opens
-  // the app in the evening — we skip rather than fire immediately)
-  if (sixPmTonight <= new Date()) return;
+// Position of the device's local day in a list of forecast dates
+// ("YYYY-MM-DD" strings). Returns fallback if the day isn't in the list.
+export function dailyIndex(times, date, fallback) {
+  const index = (times || []).indexOf(toLocalISODate(date));
+  return index === -1 ? fallback : index;
+}
 
-  // Notifications are not supported in web browsers — skip silently
-  if (Platform.OS === 'web') return;
+// ── Location ─────────────────────────────────────────────────
 
+// Where the weather is for: the location chosen in Settings, or else the
+// last GPS fix. Returns { latitude, longitude } or null if neither is known.
+export async function weatherLocation(settings) {
+  if (settings.location) return settings.location;
   try {
-    const Notifications = require('expo-notifications');
-    await Notifications.scheduleNotificationAsync({
-      content: {
-        title: 'Hot day tomorrow ☀️',
-        body: `${tomorrowMax}°C forecast — consider watering your plants tonight!`,
-        sound: true,
-      },
-      trigger: sixPmTonight,   // fires once at this exact time
-    });
-
-    // Mark today as done so we don't schedule again if the app is reopened
-    await kvSet(HOT_ALERT_DATE_KEY, today);
+    const cached = await kvGet(LOCATION_CACHE_KEY);
+    return cached ? JSON.parse(cached) : null;
   } catch (_) {
-    // Silently skip if notifications aren't permitted — no crash
+    return null;
+  }
+}
+
+// ── Frost-tender plants ──────────────────────────────────────
+
+/**
+ * Names of the frost-tender plants in the ground, e.g. ['Cherry Tomato', 'Basil'].
+ * Only plants from the built-in catalog can be checked — custom seeds don't
+ * say. Each crop is named once, however many are planted.
+ */
+export function frostTenderPlantNames(areas) {
+  const names = new Set();
+  for (const area of areas) {
+    for (const plant of area.plants) {
+      if (IN_GROUND_STAGES.includes(plant.stage) && getEntry(plant.seedId)?.frost_tolerant === false) {
+        names.add((plant.seedTitle || '').replace(/\s+seeds?$/i, ''));
+      }
+    }
   }
+  return [...names];
 }
 
 // ── Main hook ────────────────────────────────────────────────
 export function useWeather() {
+  const { areas, loading: gardenLoading } = useGarden();
+  const { settings, loaded: settingsLoaded } = useSettings();
+
   const [state, setState] = useState({
     loading: true,
-    error: null,       // null | 'permission_denied' | 'fetch_failed'
+    error: null,       // null | 'permission_denied' | 'fetch_failed' | 'location_needed'
     cityName: null,
     currentTemp: null,
     condition: null,   // { label: string, emoji: string }
     todayHigh: null,
     rainProbability: null,
     tomorrowMax: null,
-    isHotTomorrow: false,
+    tonightMin: null,  // tomorrow's daily minimum — frost forms before dawn
+    watering: [],      // advice for today and tomorrow: [{ date, level, emoji, message }]
+    forecast: [],      // today and the six days after, in the provider's day shape
+    isCached: false,   // true while showing saved weather from an earlier fetch
+    updatedAt: null,   // ISO time the weather shown was fetched
   });
 
+  // Load once settings are known, and again whenever the chosen location changes
+  const location = settings.location;
+  const locationKey = location ? `${location.latitude},${location.longitude}` : 'gps';
   useEffect(() => {
+    if (!settingsLoaded) return;
     loadWeather();
-  }, []);
+  }, [settingsLoaded, locationKey]);
+
+  // Frost-tender plants in the ground, and whether tonight is cold enough to
+  // hurt them or tomorrow hot enough to water tonight (thresholds from Settings)
+  const frostTenderPlants = frostTenderPlantNames(areas);
+  const isFrostTonight = state.tonightMin !== null && state.tonightMin < settings.frostThreshold;
+  const isHotTomorrow = state.tomorrowMax !== null && state.tomorrowMax > settings.hotThreshold;
+
+  // Keep today's weather alerts in step with the forecast, the alert
+  // settings and the garden. Only fresh forecasts count — saved weather may
+  // be days old.
+  const frostKey = frostTenderPlants.join('|');
+  const alertsKey = alertSettingsKey(settings);
+  useEffect(() => {
+    if (state.isCached || !state.updatedAt || gardenLoading) return;
+    syncWeatherAlerts(state.forecast[1], settings, frostTenderPlants);
+  }, [state.updatedAt, state.isCached, gardenLoading, alertsKey, frostKey]);
+
+  // Put fresh watering advice into the daily reminders. Settings reschedules
+  // them itself when the reminder is switched on or its time changes.
+  useEffect(() => {
+    if (state.isCached || !state.updatedAt) return;
+    saveWateringAdvice(state.watering)
+      .then(() => settings.remindersEnabled &&
+        scheduleDaily(settings.reminderHour, settings.reminderMinute))
+      .catch(() => {});   // notifications not permitted — the reminder just stays as it was
+  }, [state.updatedAt, state.isCached]);
+
+  // Today's advice, for the home screen card
+  const todayISO = toLocalISODate(new Date());
+  const wateringToday = state.watering.find((a) => a.date === todayISO) || null;
 
   async function fetchAndApply(latitude, longitude, cityName) {
-    // Open-Meteo free API — no key needed
-    // forecast_days=2 gives us today (index 0) and tomorrow (index 1)
-    const url =
-      `https://api.open-meteo.com/v1/forecast` +
-      `?latitude=${latitude}&longitude=${longitude}` +
-      `&current=temperature_2m,weathercode,precipitation_probability` +
-      `&daily=temperature_2m_max,precipitation_probability_max` +
-      `&timezone=Australia%2FSydney` +
-      `&forecast_days=2`;
-
-    const res = await fetch(url);
-    if (!res.ok) throw new Error('Weather fetch failed');
-    const data = await res.json();
-
-    const currentTemp    = Math.round(data.current.temperature_2m);
-    const condition      = interpretWMO(data.current.weathercode);
-    const rainProbability = data.current.precipitation_probability ?? 0;
-    const todayHigh      = Math.round(data.daily.temperature_2m_max[0]);
-    const tomorrowMax    = Math.round(data.daily.temperature_2m_max[1]);
-    const isHotTomorrow  = tomorrowMax > HOT_DAY_THRESHOLD;
-
-    setState({
-      loading: false,
-      error: null,
+    // Days are cut in the device's timezone. Three past days plus eight
+    // forecast days covers three days ago to a week from today: the past
+    // days feed the watering advice's rain total, and the spare day keeps a
+    // full week in the list even if the 'auto' fallback puts the location a
+    // day ahead of or behind the device.
+    const provider = getWeatherProvider();
+    const place = { latitude, longitude };
+    const timeZone = deviceTimeZone();
+    const [current, days] = await Promise.all([
+      provider.getCurrent(place, { timeZone }),
+      provider.getDailyForecast(place, { timeZone, pastDays: 3, forecastDays: 8 }),
+    ]);
+
+    const currentTemp    = Math.round(current.temperature);
+    const condition      = interpretWMO(current.weatherCode);
+    const rainProbability = current.rainChance ?? 0;
+    // Index 3 is today when the timezones agree (0–2 are the past days)
+    const today          = dailyIndex(days.map((d) => d.date), new Date(), 3);
+    const todayHigh      = Math.round(days[today].maxTemp);
+    const tomorrowMax    = Math.round(days[today + 1].maxTemp);
+    // Tomorrow's minimum is the overnight low, reached around dawn
+    const tonightMin     = Math.round(days[today + 1].minTemp);
+    const watering       = wateringForecast(days, today);
+    const forecast       = days.slice(today, today + 7);
+
+    const weather = {
       cityName,
       currentTemp,
       condition,
       todayHigh,
       rainProbability,
       tomorrowMax,
-      isHotTomorrow,
-    });
+      tonightMin,
+      watering,
+      forecast,
+      updatedAt: new Date().toISOString(),
+    };
+    setState({ loading: false, error: null, isCached: false, ...weather });
 
-    // Schedule a hot-day alert if needed (silently does nothing if not)
-    maybeScheduleHotAlert(tomorrowMax);
+    // Remember it, so next launch (or a failed refresh) has something to show
+    kvSet(WEATHER_CACHE_KEY, JSON.stringify(weather)).catch(() => {});
+    // And log the days so far in the weather history
+    recordForecastDays(place, days).catch(() => {});
   }
 
   async function loadWeather() {
-    // Weather widget is not shown on web — GPS permission dialogs and
-    // expo-location / expo-notifications both have web compatibility issues
+    // ── Step 1: Show the last weather we fetched while we get fresh data ──
+    try {
+      const saved = await kvGet(WEATHER_CACHE_KEY);
+      if (saved) {
+        // Keep loading: true — this is only a placeholder until the refresh lands
+        setState((s) => (s.updatedAt ? s : { ...s, ...JSON.parse(saved), isCached: true }));
+      }
+    } catch (_) { /* ignore */ }
+
+    // ── A location chosen in Settings replaces GPS entirely ──
+    if (location) {
+      try {
+        await fetchAndApply(location.latitude, location.longitude, location.name);
+      } catch (_) {
+        setState((s) => ({ ...s, loading: false, error: 'fetch_failed' }));
+      }
+      return;
+    }
+
+    // No GPS on web — GPS permission dialogs and expo-location both have
+    // web compatibility issues — so web users must pick a location in Settings
     if (Platform.OS === 'web') {
-      setState((s) => ({ ...s, loading: false }));
+      setState((s) => ({ ...s, loading: false, error: 'location_needed' }));
       return;
     }
 
-    // Require here (not at module top) so neither package loads on web
+    // Require here (not at module top) so it never loads on web
     const Location = require('expo-location');
 
-    // ── Step 1: Show cached location instantly while we fetch a fresh one ──
+    // ── Step 1b: Refresh weather for the cached location straight away ──
     try {
       const cached = await kvGet(LOCATION_CACHE_KEY);
       if (cached) {
@@ -189,5 +293,12 @@ export function useWeather() {
     }
   }
 
-  return state;
+  // Tries again after an error (e.g. the user granted permission in
+  // Settings, or came back online). Whatever is on screen stays until then.
+  function retry() {
+    setState((s) => ({ ...s, loading: true, error: null }));
+    loadWeather();
+  }
+
+  return { ...state, isHotTomorrow, isFrostTonight, frostTenderPlants, wateringToday, retry };
 }
@@ -0,0 +1,55 @@
+/**
+ * useWeatherHistory.js
+ * ─────────────────────────────────────────────
+ * Each day's logged weather at the garden from startDate to today, from
+ * the weather_daily table (see weather/history.js). Fills in any missing
+ * days from the weather provider first, so each day is only downloaded
+ * once.
+ *
+ * Usage:
+ *   const weatherByDate = useWeatherHistory('2026-09-01');
+ *   // { "2026-09-01": { date, maxTemp, minTemp, rainMm, weatherCode }, ... }
+ *   // — only what's already logged until the backfill finishes, and
+ *   //   just that when offline
+ */
+
+import { useState, useEffect } from 'react';
+import { loadWeatherDays } from '../database/db';
+import { useSettings } from './SettingsContext';
+import { weatherLocation, deviceTimeZone } from './useWeather';
+import { backfillWeatherHistory } from '../weather/history';
+import { toLocalISODate } from '../utils/dates';
+
+function byDate(days) {
+  return Object.fromEntries(days.map((d) => [d.date, d]));
+}
+
+export function useWeatherHistory(startDate) {
+  const { settings, loaded } = useSettings();
+  const [weatherByDate, setWeatherByDate] = useState({});
+
+  useEffect(() => {
+    if (!loaded || !startDate) return;
+    let cancelled = false;
+    const today = toLocalISODate(new Date());
+
+    async function show() {
+      const days = await loadWeatherDays(startDate, today);
+      if (!cancelled) setWeatherByDate(byDate(days));
+    }
+
+    (async () => {
+      await show();
+      const location = await weatherLocation(settings);
+      if (!location) return;
+      await backfillWeatherHistory(location, startDate, deviceTimeZone());
+      await show();
+    })().catch(() => {
+      // Offline or no history from the provider — carry on with what's logged
+    });
+
+    return () => { cancelled = true; };
+  }, [loaded, startDate, settings.location?.latitude, settings.location?.longitude]);
+
+  return weatherByDate;
+}
@@ -1,9 +1,10 @@
 /**
  * BrowseScreen.js
  * ─────────────────────────────────────────────
- * Shows all crops with:
+ * Shows every plant in the catalog (crops and flowers — see catalog/index.js)
+ * plus the user's custom seeds, with:
  *   - Search bar (filters by name as you type)
- *   - Category filter pills (All / Vegetable / Herb / Legume / etc.)
+ *   - Category filter pills (All / Vegetable / Herb / Legume / … / Flower)
  *   - Scrollable list of plant cards
  *   - "+" button to add a custom plant to the catalog with a full growing guide form
  */
@@ -14,8 +15,9 @@ import {
   StyleSheet, SafeAreaView, Modal, ScrollView,
 } from 'react-native';
 import { COLORS } from '../theme';
-import ALL_CROPS from '../data/crops.json';
+import { getPlants, searchCatalog, customSeedEntry, calendarFor, CATEGORIES } from '../catalog';
 import { useGarden } from '../hooks/GardenContext';
+import { useSettings } from '../hooks/SettingsContext';
 
 // Short month names for displaying sow hints (index 0 unused; 1 = January)
 const MONTH_NAMES = [
@@ -24,13 +26,8 @@ const MONTH_NAMES = [
 ];
 
 const CATEGORY_FILTERS = [
-  { key: 'All',        label: 'All',         emoji: '🌿' },
-  { key: 'Vegetable',  label: 'Vegetables',  emoji: '🥦' },
-  { key: 'Herb',       label: 'Herbs',       emoji: '🌿' },
-  { key: 'Legume',     label: 'Legumes',     emoji: '🫘' },
-  { key: 'Fruit',      label: 'Fruit',       emoji: '🍓' },
-  { key: 'Tree',       label: 'Trees',       emoji: '🌳' },
-  { key: 'Microgreen', label: 'Microgreens', emoji: '🥗' },
+  { key: 'All', label: 'All', emoji: '🌿' },
+  ...CATEGORIES,
 ];
 
 // The blank starting state for the "Add to catalog" form
@@ -79,6 +76,7 @@ export default function BrowseScreen({ navigation, route }) {
   const initialCategory = route.params?.filterCategory || 'All';
 
   const { customSeeds, addCustomSeedToCatalog } = useGarden();
+  const { settings } = useSettings();
 
   const [search, setSearch] = useState('');
   const [activeCategory, setActiveCategory] = useState(initialCategory);
@@ -137,35 +135,25 @@ export default function BrowseScreen({ navigation, route }) {
     }
   }, [route.params?.filterCategory]);
 
-  // Merge built-in catalog with user-added crops
-  const allCrops = useMemo(() => [...ALL_CROPS, ...customSeeds], [customSeeds]);
+  // Merge built-in catalog with user-added seeds, in the same schema
+  const allCrops = useMemo(
+    () => [...getPlants(), ...customSeeds.map(customSeedEntry)],
+    [customSeeds]
+  );
 
   // Filter the combined list whenever search or category changes
   const filtered = useMemo(() => {
-    let results = allCrops;
-
-    // Filter by category
-    if (activeCategory !== 'All') {
-      results = results.filter((s) => s.category === activeCategory);
-    }
-
-    // Filter by search text — uses 'name' (new schema) with 'title' as fallback for custom entries
-    const q = search.trim().toLowerCase();
-    if (q) {
-      results = results.filter((s) =>
-        (s.name || s.title || '').toLowerCase().includes(q) ||
-        (s.scientific_name || '').toLowerCase().includes(q) ||
-        (s.description || '').toLowerCase().includes(q)
-      );
-    }
-
-    return results;
+    const inCategory = activeCategory === 'All'
+      ? allCrops
+      : allCrops.filter((s) => s.category === activeCategory);
+    return searchCatalog(inCategory, search);
   }, [search, activeCategory, allCrops]);
 
   function renderPlant({ item }) {
-    // Show sow months as a season hint (e.g. "Sow: Sep · Oct")
-    const sowHint = item.sow_months?.length > 0
-      ? 'Sow: ' + item.sow_months.slice(0, 3).map((m) => MONTH_NAMES[m]).join(' · ')
+    // Show sow months in the user's climate zone as a season hint (e.g. "Sow: Sep · Oct")
+    const { sow_months: sowMonths } = calendarFor(item, settings.climateZone);
+    const sowHint = sowMonths.length > 0
+      ? 'Sow: ' + sowMonths.slice(0, 3).map((m) => MONTH_NAMES[m]).join(' · ')
       : null;
 
     return (
@@ -174,7 +162,7 @@ export default function BrowseScreen({ navigation, route }) {
         onPress={() => navigation.navigate('PlantDetail', { plant: item })}
         activeOpacity={0.75}
       >
-        {/* Emoji fallback — crops.json uses emoji instead of image URLs */}
+        {/* Emoji fallback — the growing guides use emoji instead of image URLs */}
         <View style={[styles.cardImage, styles.cardImageFallback]}>
           <Text style={{ fontSize: 30 }}>{item.emoji || '🌱'}</Text>
         </View>
@@ -182,7 +170,7 @@ export default function BrowseScreen({ navigation, route }) {
         {/* Plant info */}
         <View style={styles.cardBody}>
           <Text style={styles.cardTitle} numberOfLines={2}>
-            {item.name || item.title}
+            {item.name}
           </Text>
           {item.scientific_name && (
             <Text style={styles.cardScientific} numberOfLines={1}>
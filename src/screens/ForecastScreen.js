@@ -0,0 +1,188 @@
+/**
+ * ForecastScreen.js
+ * ─────────────────────────────────────────────
+ * The week ahead, opened by tapping the weather card on HomeScreen.
+ * One card per day with the high and low, rain, wind and UV, which
+ * garden jobs the day suits (see utils/forecast.js), and — on very hot or
+ * frosty days — the newly planted and sprouted crops to look after.
+ *
+ * route.params: { cityName, forecast } — forecast is useWeather's
+ * state.forecast, so this screen works from saved weather when offline.
+ */
+
+import React from 'react';
+import {
+  View, Text, ScrollView, TouchableOpacity, StyleSheet, SafeAreaView,
+} from 'react-native';
+import { COLORS } from '../theme';
+import { useGarden } from '../hooks/GardenContext';
+import { useSettings } from '../hooks/SettingsContext';
+import { interpretWMO } from '../hooks/useWeather';
+import { ACTIVITIES, daySuitability, dayRisk, youngPlantNames } from '../utils/forecast';
+import { parseISODate, isSameDay } from '../utils/dates';
+
+// "Today", "Tomorrow", then e.g. "Wed 22"
+function dayLabel(isoDate) {
+  const date = parseISODate(isoDate);
+  if (!date) return isoDate;
+  const tomorrow = new Date();
+  tomorrow.setDate(tomorrow.getDate() + 1);
+  if (isSameDay(date, new Date())) return 'Today';
+  if (isSameDay(date, tomorrow)) return 'Tomorrow';
+  return date.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric' });
+}
+
+function DayCard({ day, frostThreshold, youngPlants }) {
+  const condition = interpretWMO(day.weatherCode);
+  const suits = daySuitability(day, frostThreshold);
+  const risk = dayRisk(day, frostThreshold);
+
+  return (
+    <View style={styles.dayCard}>
+      <View style={styles.dayTop}>
+        <Text style={styles.dayEmoji}>{day.weatherCode !== null ? condition.emoji : '🌡️'}</Text>
+        <View style={styles.dayMain}>
+          <Text style={styles.dayName}>{dayLabel(day.date)}</Text>
+          {day.weatherCode !== null && <Text style={styles.dayCondition}>{condition.label}</Text>}
+        </View>
+        <Text style={styles.temps}>
+          {Math.round(day.maxTemp)}°
+          <Text style={styles.tempLow}>  {Math.round(day.minTemp)}°</Text>
+        </Text>
+      </View>
+
+      <View style={styles.stats}>
+        <Text style={styles.stat}>
+          💧 {day.rainMm !== null ? `${Math.round(day.rainMm * 10) / 10} mm` : '—'}
+          {day.rainChance !== null ? ` · ${day.rainChance}%` : ''}
+        </Text>
+        <Text style={styles.stat}>💨 {day.windKmh !== null ? `${Math.round(day.windKmh)} km/h` : '—'}</Text>
+        <Text style={styles.stat}>🔆 UV {day.uvIndex !== null ? Math.round(day.uvIndex) : '—'}</Text>
+      </View>
+
+      <View style={styles.pills}>
+        {ACTIVITIES.map((a) => (
+          <View key={a.key} style={[styles.pill, suits[a.key] && styles.pillGood]}>
+            <Text style={[styles.pillText, suits[a.key] && styles.pillTextGood]}>
+              {a.emoji} {a.label}
+            </Text>
+          </View>
+        ))}
+      </View>
+
+      {risk && youngPlants.length > 0 && (
+        <Text style={risk === 'heat' ? styles.heatNote : styles.frostNote}>
+          {risk === 'heat'
+            ? `☀️ ${Math.round(day.maxTemp)}°C — shade and water young ${youngPlants.join(', ')}.`
+            : `❄️ Low of ${Math.round(day.minTemp)}°C — cover young ${youngPlants.join(', ')}.`}
+        </Text>
+      )}
+    </View>
+  );
+}
+
+export default function ForecastScreen({ navigation, route }) {
+  const { cityName, forecast = [] } = route.params || {};
+  const { areas } = useGarden();
+  const { settings } = useSettings();
+  const youngPlants = youngPlantNames(areas);
+
+  return (
+    <SafeAreaView style={styles.safe}>
+      <TouchableOpacity
+        style={styles.backBtn}
+        onPress={() => { if (navigation.canGoBack()) navigation.goBack(); }}
+        hitSlop={{ top: 12, bottom: 12, left: 12, right: 40 }}
+      >
+        <Text style={styles.backText}>‹ Back</Text>
+      </TouchableOpacity>
+
+      <ScrollView contentContainerStyle={styles.scroll}>
+        <Text style={styles.heading}>7-day forecast</Text>
+        {cityName && <Text style={styles.subheading}>{cityName}</Text>}
+
+        {forecast.length === 0 ? (
+          <Text style={styles.empty}>No forecast yet — check your connection and try again.</Text>
+        ) : (
+          forecast.map((day) => (
+            <DayCard
+              key={day.date}
+              day={day}
+              frostThreshold={settings.frostThreshold}
+              youngPlants={youngPlants}
+            />
+          ))
+        )}
+
+        <Text style={styles.footnote}>
+          Highlighted jobs suit the day's forecast: mild days for sowing, soft and
+          calm days for transplanting, still and dry days for spraying, and warm
+          dry days for watering.
+        </Text>
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  safe: { flex: 1, backgroundColor: COLORS.bg },
+  scroll: { paddingHorizontal: 20, paddingBottom: 40 },
+
+  backBtn: { paddingHorizontal: 16, paddingVertical: 14, alignSelf: 'flex-start' },
+  backText: { fontSize: 17, color: COLORS.primary, fontWeight: '600' },
+
+  heading: { fontSize: 26, fontWeight: '800', color: COLORS.text },
+  subheading: { fontSize: 14, color: COLORS.textLight, marginTop: 2 },
+  empty: { fontSize: 14, color: COLORS.textLight, marginTop: 24 },
+
+  dayCard: {
+    backgroundColor: COLORS.card,
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    padding: 14,
+    marginTop: 14,
+  },
+  dayTop: { flexDirection: 'row', alignItems: 'center', gap: 10 },
+  dayEmoji: { fontSize: 28 },
+  dayMain: { flex: 1 },
+  dayName: { fontSize: 16, fontWeight: '700', color: COLORS.text },
+  dayCondition: { fontSize: 12, color: COLORS.textLight, marginTop: 1 },
+  temps: { fontSize: 22, fontWeight: '800', color: COLORS.text },
+  tempLow: { fontSize: 16, fontWeight: '600', color: COLORS.textLight },
+
+  stats: { flexDirection: 'row', gap: 16, marginTop: 10 },
+  stat: { fontSize: 12, color: COLORS.textLight },
+
+  pills: { flexDirection: 'row', flexWrap: 'wrap', gap: 6, marginTop: 10 },
+  pill: {
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    backgroundColor: '#f0f0f0',
+  },
+  pillGood: { backgroundColor: '#eaf7eb' },
+  pillText: { fontSize: 12, color: '#aaa' },
+  pillTextGood: { color: COLORS.primary, fontWeight: '700' },
+
+  heatNote: {
+    fontSize: 12,
+    color: '#a06a00',
+    fontWeight: '600',
+    backgroundColor: '#fff8e8',
+    borderRadius: 8,
+    padding: 8,
+    marginTop: 10,
+  },
+  frostNote: {
+    fontSize: 12,
+    color: '#2b5d8a',
+    fontWeight: '600',
+    backgroundColor: '#eaf3fb',
+    borderRadius: 8,
+    padding: 8,
+    marginTop: 10,
+  },
+
+  footnote: { fontSize: 12, color: COLORS.textLight, lineHeight: 18, marginTop: 20 },
+});
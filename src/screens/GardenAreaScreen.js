@@ -4,10 +4,15 @@
  * Shows all plants inside a specific garden area (e.g. "Planter Box 1").
  *
  * Users can:
- *   - See each plant, its current stage, and planted date
+ *   - See each plant, its current stage, and planted date (tap the date to change it)
  *   - Tap a stage button to advance it (planted → sprouted → growing → harvesting → done)
- *   - Add notes to any plant
- *   - Remove a plant from the area
+ *   - Add notes to any plant, with photos (tap a thumbnail to see it full-screen)
+ *   - Log harvests (a weight, count or bunches) and see this season's yield
+ *   - See how close each growing plant is to harvest, from the warmth it has
+ *     had since planting (growing degree days)
+ *   - See the weather on the day of each journal entry
+ *   - Pick an earlier date for a note or stage change when logging it late
+ *   - Remove a plant from the area (with a few seconds to undo)
  *   - Tap the plant image/name to view its full detail page
  */
 
@@ -19,7 +24,18 @@ import {
 } from 'react-native';
 import { COLORS } from '../theme';
 import { useGarden } from '../hooks/GardenContext';
-import ALL_CROPS from '../data/crops.json';
+import { useWeatherHistory } from '../hooks/useWeatherHistory';
+import { interpretWMO } from '../hooks/useWeather';
+import UndoSnackbar from '../components/UndoSnackbar';
+import DatePickerModal from '../components/DatePickerModal';
+import PhotoViewer from '../components/PhotoViewer';
+import { PHOTOS_SUPPORTED, pickPhotos, photoUri } from '../database/photos';
+import { toLocalISODate, parseISODate, isSameDay, formatDisplayDate } from '../utils/dates';
+import {
+  HARVEST_UNITS, seasonOf, plantYield, areaYield, isEmptyYield, formatYield, formatQuantity,
+} from '../utils/harvest';
+import { harvestOutlook } from '../utils/degreeDays';
+import { getEntry, customSeedEntry } from '../catalog';
 
 // Ordered list of growth stages
 const STAGES = [
@@ -30,18 +46,60 @@ const STAGES = [
   { key: 'done',       label: 'Done',       emoji: '✅' },
 ];
 
-// Build a lookup map for crops by id, for quick access when tapping a plant card
-const SEED_MAP = Object.fromEntries(ALL_CROPS.map((c) => [String(c.id), c]));
+// Stages where a plant is in the ground but not yet ready — the ones to
+// show harvest progress for
+const GROWING_STAGES = ['planted', 'sprouted', 'growing'];
+
+// The earliest date the area's weather is needed from: the planted date of
+// its growing plants (for degree days) and the date of its journal entries
+function earliestWeatherDate(area) {
+  let earliest = null;
+  for (const plant of area ? area.plants : []) {
+    const dates = plant.journal.map((e) => e.date);
+    if (GROWING_STAGES.includes(plant.stage)) dates.push(plant.plantedDate);
+    for (const date of dates) {
+      if (parseISODate(date) && (!earliest || date < earliest)) earliest = date;
+    }
+  }
+  return earliest;
+}
+
+// A journal entry's weather, e.g. "☀️ 24° 💧6"
+function JournalWeather({ day }) {
+  if (!day || day.maxTemp === null) return null;
+  const emoji = day.weatherCode !== null ? interpretWMO(day.weatherCode).emoji : '🌡️';
+  return (
+    <Text style={styles.journalWeather}>
+      {emoji} {Math.round(day.maxTemp)}°{day.rainMm >= 1 ? ` 💧${Math.round(day.rainMm)}` : ''}
+    </Text>
+  );
+}
+
+// "12 Jan", "12–26 Jan" or "28 Jan – 9 Feb" — in the device locale's
+// order, so "Mar 3 – 10" in the US
+function formatWindow(early, late) {
+  const short = new Intl.DateTimeFormat(undefined, { day: 'numeric', month: 'short' });
+  if (isSameDay(early, late)) return short.format(early);
+  // Not every JS engine has formatRange; both ends in full reads right anywhere
+  if (typeof short.formatRange === 'function') return short.formatRange(early, late);
+  return `${short.format(early)} – ${short.format(late)}`;
+}
+
+// How a harvest reads in the journal, e.g. "🧺 1.2 kg — first of the season"
+function harvestText(entry) {
+  const amount = formatQuantity(entry.quantity, entry.unit);
+  return `🧺 ${amount}${entry.text ? ` — ${entry.text}` : ''}`;
+}
 
 // ── SwipeableNoteRow ─────────────────────────────────────────
-// Renders a single user note (type === 'note') with two ways to delete:
+// Renders a single user note or harvest (type 'note' / 'harvest') with two ways to delete:
 //   1. Swipe left  — drag the row left then release
 //   2. Long press  — hold the row for ~400ms
 // Both reveal an inline "Keep / Delete" confirm row.
 // Stage entries (type === 'stage') are NOT wrapped in this — they're
 // rendered as plain Views and cannot be deleted manually.
 
-function SwipeableNoteRow({ entry, onDelete }) {
+function SwipeableNoteRow({ entry, weather, onDelete, onOpenPhoto }) {
   const [confirmDelete, setConfirmDelete] = useState(false);
 
   // translateX tracks how far the row has been dragged horizontally
@@ -87,7 +145,9 @@ function SwipeableNoteRow({ entry, onDelete }) {
       {confirmDelete ? (
         // ── Confirm state: Keep / Delete ──
         <>
-          <Text style={styles.journalDeleteQuestion}>Delete this note?</Text>
+          <Text style={styles.journalDeleteQuestion}>
+            Delete this {entry.type === 'harvest' ? 'harvest' : 'note'}?
+          </Text>
           <TouchableOpacity
             onPress={() => setConfirmDelete(false)}
             style={styles.deleteNo}
@@ -106,8 +166,27 @@ function SwipeableNoteRow({ entry, onDelete }) {
           delayLongPress={400}
           activeOpacity={0.75}
         >
-          <Text style={styles.journalDate}>{entry.date}</Text>
-          <Text style={styles.journalText}>{entry.text}</Text>
+          <View style={styles.journalDateCol}>
+            <Text style={styles.journalDate}>{formatDisplayDate(entry.date)}</Text>
+            <JournalWeather day={weather} />
+          </View>
+          <View style={styles.journalBody}>
+            {/* A photo-only note has no text */}
+            {(entry.type === 'harvest' || !!entry.text) && (
+              <Text style={[styles.journalText, entry.type === 'harvest' && styles.journalTextHarvest]}>
+                {entry.type === 'harvest' ? harvestText(entry) : entry.text}
+              </Text>
+            )}
+            {entry.photos?.length > 0 && (
+              <View style={styles.photoRow}>
+                {entry.photos.map((photo, i) => (
+                  <TouchableOpacity key={photo.id} onPress={() => onOpenPhoto(i)}>
+                    <Image source={{ uri: photoUri(photo.fileName) }} style={styles.photoThumb} />
+                  </TouchableOpacity>
+                ))}
+              </View>
+            )}
+          </View>
         </TouchableOpacity>
       )}
     </Animated.View>
@@ -116,20 +195,49 @@ function SwipeableNoteRow({ entry, onDelete }) {
 
 export default function GardenAreaScreen({ navigation, route }) {
   const { areaId } = route.params;
-  const { areas, updatePlantStage, rollbackPlantStage, addJournalEntry, removeJournalEntry, removePlantFromArea, addCustomPlantToArea, customSeeds } = useGarden();
+  const {
+    areas, updatePlantStage, rollbackPlantStage, updatePlantedDate,
+    addJournalEntry, addHarvest, removeJournalEntry, removePlantFromArea, addCustomPlantToArea, customSeeds,
+  } = useGarden();
 
   const area = areas.find((a) => a.id === areaId);
 
   // Map of user-added catalog seeds — needed so tapping a custom seed
   // navigates to its detail page the same way a built-in seed does
   const customSeedMap = useMemo(
-    () => Object.fromEntries(customSeeds.map((s) => [String(s.id), s])),
+    () => Object.fromEntries(customSeeds.map((s) => [String(s.id), customSeedEntry(s)])),
     [customSeeds]
   );
 
+  // Logged weather by date — for the harvest progress bars and journal entries
+  const weatherByDate = useWeatherHistory(earliestWeatherDate(area));
+
   // Journal new-note input state (keyed by plant id)
   const [newNoteText, setNewNoteText] = useState({});
 
+  // Photos picked for the next note, keyed by plant id — temporary URIs
+  // until the note is added and they're copied into the photo folder
+  const [pendingPhotos, setPendingPhotos] = useState({});
+  // Which plant's "Take photo / Choose photos" row is open, and any error from it
+  const [photoMenuFor, setPhotoMenuFor] = useState(null);
+  const [photoError, setPhotoError] = useState(null);
+  // Full-screen photo viewer: { photos, index } or null
+  const [viewer, setViewer] = useState(null);
+
+  // Date the next note or stage change is logged on, keyed by plant id.
+  // Missing means today; it resets to today after each use so a backdate
+  // doesn't silently carry over to the next entry.
+  const [entryDates, setEntryDates] = useState({});
+
+  // Which date picker is open: { kind: 'planted' | 'entry', plantId } or null
+  const [datePicker, setDatePicker] = useState(null);
+
+  // Log-harvest sheet — the plant it's for (or null when closed) and the form
+  const [harvestPlantId, setHarvestPlantId] = useState(null);
+  const [harvestQuantity, setHarvestQuantity] = useState('');
+  const [harvestUnit, setHarvestUnit] = useState('g');   // kept between harvests
+  const [harvestNote, setHarvestNote] = useState('');
+
   // Inline delete confirmation — stores the plantId awaiting confirmation
   // (replaces Alert.alert which is unreliable on web)
   const [confirmingRemove, setConfirmingRemove] = useState(null);
@@ -151,7 +259,8 @@ export default function GardenAreaScreen({ navigation, route }) {
     // null stage → index -1, so STAGES[-1+1] = STAGES[0] = 'planted'
     const currentIndex = STAGES.findIndex((s) => s.key === plant.stage);
     if (currentIndex < STAGES.length - 1) {
-      updatePlantStage(areaId, plant.id, STAGES[currentIndex + 1].key);
+      updatePlantStage(areaId, plant.id, STAGES[currentIndex + 1].key, entryDateFor(plant.id));
+      resetEntryDate(plant.id);
     }
   }
 
@@ -166,11 +275,87 @@ export default function GardenAreaScreen({ navigation, route }) {
     }
   }
 
+  // A note needs some text, a photo, or both
+  function canSubmitNote(plantId) {
+    return !!(newNoteText[plantId] || '').trim() || (pendingPhotos[plantId] || []).length > 0;
+  }
+
   function submitNote(plantId) {
+    if (!canSubmitNote(plantId)) return;
     const text = (newNoteText[plantId] || '').trim();
-    if (!text) return;
-    addJournalEntry(areaId, plantId, text);
+    addJournalEntry(areaId, plantId, text, entryDateFor(plantId), pendingPhotos[plantId] || []);
     setNewNoteText((prev) => ({ ...prev, [plantId]: '' }));
+    setPendingPhotos((prev) => ({ ...prev, [plantId]: [] }));
+    setPhotoMenuFor(null);
+    resetEntryDate(plantId);
+  }
+
+  async function addPhotos(plantId, source) {
+    setPhotoError(null);
+    try {
+      const uris = await pickPhotos(source);
+      if (uris.length === 0) return;
+      setPendingPhotos((prev) => ({ ...prev, [plantId]: [...(prev[plantId] || []), ...uris] }));
+      setPhotoMenuFor(null);
+    } catch (err) {
+      setPhotoError(err.message);
+    }
+  }
+
+  function removePendingPhoto(plantId, uri) {
+    setPendingPhotos((prev) => ({
+      ...prev,
+      [plantId]: (prev[plantId] || []).filter((u) => u !== uri),
+    }));
+  }
+
+  function openHarvest(plantId) {
+    setHarvestPlantId(plantId);
+    setHarvestQuantity('');
+    setHarvestNote('');
+  }
+
+  // Accepts "1.5" or "1,5" — a comma is the decimal point in many locales
+  const parsedHarvestQuantity = Number(harvestQuantity.trim().replace(',', '.'));
+  const harvestValid = harvestQuantity.trim() !== '' && parsedHarvestQuantity > 0;
+
+  function submitHarvest() {
+    if (!harvestValid) return;
+    addHarvest(areaId, harvestPlantId, parsedHarvestQuantity, harvestUnit, harvestNote, entryDateFor(harvestPlantId));
+    resetEntryDate(harvestPlantId);
+    setHarvestPlantId(null);
+  }
+
+  function entryDateFor(plantId) {
+    return entryDates[plantId] || new Date();
+  }
+
+  function resetEntryDate(plantId) {
+    setEntryDates((prev) => {
+      const next = { ...prev };
+      delete next[plantId];
+      return next;
+    });
+  }
+
+  function handleDatePicked(date) {
+    const { kind, plantId } = datePicker;
+    setDatePicker(null);
+    if (kind === 'planted') {
+      updatePlantedDate(areaId, plantId, toLocalISODate(date));
+    } else if (isSameDay(date, new Date())) {
+      resetEntryDate(plantId);
+    } else {
+      setEntryDates((prev) => ({ ...prev, [plantId]: date }));
+    }
+  }
+
+  // The value the open picker should start on
+  function datePickerValue() {
+    if (!datePicker) return new Date();
+    if (datePicker.kind === 'entry') return entryDateFor(datePicker.plantId);
+    const plant = area.plants.find((p) => p.id === datePicker.plantId);
+    return parseISODate(plant?.plantedDate) || new Date();
   }
 
   function handleAddCustomPlant() {
@@ -184,16 +369,27 @@ export default function GardenAreaScreen({ navigation, route }) {
   const activePlants = area.plants.filter((p) => p.stage !== 'done');
   const donePlants   = area.plants.filter((p) => p.stage === 'done');
 
+  // Yield totals cover the current season (July–June, see utils/harvest.js)
+  const season = seasonOf(new Date());
+  const areaHarvest = areaYield(area, season);
+  const harvestPlant = area.plants.find((p) => p.id === harvestPlantId);
+
   function renderPlant(plant) {
     // stageIndex is -1 when stage is null (not yet started) — all pips grey
     const stageIndex = STAGES.findIndex((s) => s.key === plant.stage);
     const stage = stageIndex >= 0 ? STAGES[stageIndex] : null;
     const isLast = stageIndex === STAGES.length - 1;
     const journal = plant.journal || [];
+    const entryDate = entryDates[plant.id];   // undefined = today
+    const harvested = plantYield(plant, season);
+    const outlook = GROWING_STAGES.includes(plant.stage)
+      ? harvestOutlook(plant, getEntry(plant.seedId), weatherByDate)
+      : null;
+    const hasHarvests = journal.some((e) => e.type === 'harvest');
 
     // Look up seed data for navigation — check built-in catalog first,
     // then fall back to user-added custom catalog seeds
-    const seed = SEED_MAP[String(plant.seedId)] || customSeedMap[String(plant.seedId)];
+    const seed = getEntry(plant.seedId) || customSeedMap[String(plant.seedId)];
 
     return (
       <View key={plant.id} style={styles.plantCard}>
@@ -220,9 +416,21 @@ export default function GardenAreaScreen({ navigation, route }) {
                 {/* seedTitle is stored at add-time — strip old "Seeds" suffix for any legacy entries */}
                 {(plant.seedTitle || '').replace(/\s+seeds?$/i, '')}
               </Text>
+              {plant.varietyTitle && (
+                <Text style={styles.plantVariety} numberOfLines={1}>{plant.varietyTitle}</Text>
+              )}
               <Text style={styles.plantMeta}>
-                {plant.seedCategory}  ·  Planted {plant.plantedDate}
+                {plant.seedCategory}  ·  {/* Nested onPress takes the tap instead of the card */}
+                <Text
+                  style={styles.plantedLink}
+                  onPress={() => setDatePicker({ kind: 'planted', plantId: plant.id })}
+                >
+                  Planted {formatDisplayDate(plant.plantedDate)} ✎
+                </Text>
               </Text>
+              {!isEmptyYield(harvested) && (
+                <Text style={styles.plantYield}>🧺 {formatYield(harvested)} this season</Text>
+              )}
             </View>
           </TouchableOpacity>
           <TouchableOpacity
@@ -255,6 +463,20 @@ export default function GardenAreaScreen({ navigation, route }) {
           </View>
         )}
 
+        {/* ── Progress toward harvest, in accumulated warmth ── */}
+        {outlook && (
+          <View style={styles.gddBlock}>
+            <View style={styles.gddTrack}>
+              <View style={[styles.gddFill, { width: `${Math.round(outlook.progress * 100)}%` }]} />
+            </View>
+            <Text style={styles.gddText}>
+              🌡️ {outlook.accumulated} of ~{outlook.target} degree days  ·  {outlook.ready
+                ? 'ready to check for harvest'
+                : `harvest ${formatWindow(outlook.early, outlook.late)}`}
+            </Text>
+          </View>
+        )}
+
         {/* ── Stage progress bar (all grey until first stage is set) ── */}
         <View style={styles.stageRow}>
           {STAGES.map((s, i) => (
@@ -296,6 +518,13 @@ export default function GardenAreaScreen({ navigation, route }) {
           </View>
         </View>
 
+        {/* Reminder that the next stage change will be backdated */}
+        {entryDate && !isLast && (
+          <Text style={styles.backdateHint}>
+            Next stage change will be logged on {entryDate.toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' })}
+          </Text>
+        )}
+
         {/* ── Journal ── */}
         <View style={styles.journalSection}>
           <Text style={styles.journalHeading}>Journal</Text>
@@ -305,12 +534,14 @@ export default function GardenAreaScreen({ navigation, route }) {
             <Text style={styles.journalEmpty}>No entries yet — mark a stage or add a note.</Text>
           ) : (
             journal.map((entry) =>
-              entry.type === 'note' ? (
-                // Note entries: swipe left or long press to delete
+              entry.type === 'note' || entry.type === 'harvest' ? (
+                // Notes and harvests: swipe left or long press to delete
                 <SwipeableNoteRow
                   key={entry.id}
                   entry={entry}
+                  weather={weatherByDate[entry.date]}
                   onDelete={() => removeJournalEntry(areaId, plant.id, entry.id)}
+                  onOpenPhoto={(index) => setViewer({ photos: entry.photos, index })}
                 />
               ) : (
                 // Stage entries: read-only, can't be manually deleted
@@ -318,7 +549,10 @@ export default function GardenAreaScreen({ navigation, route }) {
                   key={entry.id}
                   style={[styles.journalEntry, styles.journalEntryStage]}
                 >
-                  <Text style={styles.journalDate}>{entry.date}</Text>
+                  <View style={styles.journalDateCol}>
+                    <Text style={styles.journalDate}>{formatDisplayDate(entry.date)}</Text>
+                    <JournalWeather day={weatherByDate[entry.date]} />
+                  </View>
                   <Text style={[styles.journalText, styles.journalTextStage]}>
                     {entry.text}
                   </Text>
@@ -327,8 +561,37 @@ export default function GardenAreaScreen({ navigation, route }) {
             )
           )}
 
+          {/* Photos waiting to go with the next note */}
+          {(pendingPhotos[plant.id] || []).length > 0 && (
+            <View style={[styles.photoRow, styles.pendingPhotoRow]}>
+              {pendingPhotos[plant.id].map((uri) => (
+                <View key={uri}>
+                  <Image source={{ uri }} style={styles.photoThumb} />
+                  <TouchableOpacity
+                    style={styles.pendingPhotoRemove}
+                    onPress={() => removePendingPhoto(plant.id, uri)}
+                    hitSlop={{ top: 6, bottom: 6, left: 6, right: 6 }}
+                  >
+                    <Text style={styles.pendingPhotoRemoveText}>✕</Text>
+                  </TouchableOpacity>
+                </View>
+              ))}
+            </View>
+          )}
+
           {/* Add note input */}
           <View style={styles.journalInputRow}>
+            {/* Date chip — pick an earlier day for this note or the next stage change */}
+            <TouchableOpacity
+              style={[styles.entryDateChip, entryDate && styles.entryDateChipActive]}
+              onPress={() => setDatePicker({ kind: 'entry', plantId: plant.id })}
+            >
+              <Text style={[styles.entryDateChipText, entryDate && styles.entryDateChipTextActive]}>
+                📅 {entryDate
+                  ? entryDate.toLocaleDateString(undefined, { day: 'numeric', month: 'short' })
+                  : 'Today'}
+              </Text>
+            </TouchableOpacity>
             <TextInput
               style={styles.journalInput}
               placeholder="Add a note..."
@@ -338,17 +601,50 @@ export default function GardenAreaScreen({ navigation, route }) {
               returnKeyType="send"
               onSubmitEditing={() => submitNote(plant.id)}
             />
+            {PHOTOS_SUPPORTED && (
+              <TouchableOpacity
+                style={[styles.entryDateChip, photoMenuFor === plant.id && styles.entryDateChipActive]}
+                onPress={() => {
+                  setPhotoError(null);
+                  setPhotoMenuFor(photoMenuFor === plant.id ? null : plant.id);
+                }}
+              >
+                <Text style={styles.entryDateChipText}>📷</Text>
+              </TouchableOpacity>
+            )}
             <TouchableOpacity
               style={[
                 styles.journalAddBtn,
-                !(newNoteText[plant.id] || '').trim() && { opacity: 0.35 },
+                !canSubmitNote(plant.id) && { opacity: 0.35 },
               ]}
               onPress={() => submitNote(plant.id)}
-              disabled={!(newNoteText[plant.id] || '').trim()}
+              disabled={!canSubmitNote(plant.id)}
             >
               <Text style={styles.journalAddBtnText}>Add</Text>
             </TouchableOpacity>
           </View>
+
+          {/* Where to get a photo from */}
+          {photoMenuFor === plant.id && (
+            <>
+              <View style={styles.photoMenu}>
+                <TouchableOpacity style={styles.photoMenuBtn} onPress={() => addPhotos(plant.id, 'camera')}>
+                  <Text style={styles.photoMenuBtnText}>Take photo</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.photoMenuBtn} onPress={() => addPhotos(plant.id, 'library')}>
+                  <Text style={styles.photoMenuBtnText}>Choose photos</Text>
+                </TouchableOpacity>
+              </View>
+              {photoError && <Text style={styles.photoError}>{photoError}</Text>}
+            </>
+          )}
+
+          {/* Log harvest — once the plant is producing, or if it already has harvests */}
+          {(plant.stage === 'harvesting' || plant.stage === 'done' || hasHarvests) && (
+            <TouchableOpacity style={styles.harvestBtn} onPress={() => openHarvest(plant.id)}>
+              <Text style={styles.harvestBtnText}>🧺  Log a harvest</Text>
+            </TouchableOpacity>
+          )}
         </View>
       </View>
     );
@@ -374,6 +670,7 @@ export default function GardenAreaScreen({ navigation, route }) {
                 ? 'No plants yet'
                 : `${area.plants.length} plant${area.plants.length !== 1 ? 's' : ''}`
               }
+              {!isEmptyYield(areaHarvest) && ` · 🧺 ${formatYield(areaHarvest)} this season`}
             </Text>
           </View>
         </View>
@@ -429,6 +726,94 @@ export default function GardenAreaScreen({ navigation, route }) {
 
       </ScrollView>
 
+      {/* ── Date picker for planted dates and backdated entries ── */}
+      <DatePickerModal
+        visible={!!datePicker}
+        title={datePicker?.kind === 'planted' ? 'When was it planted?' : 'Date for this entry'}
+        value={datePickerValue()}
+        maximumDate={new Date()}
+        onConfirm={handleDatePicked}
+        onCancel={() => setDatePicker(null)}
+      />
+
+      {/* ── "Undo" bar after deleting something ── */}
+      <UndoSnackbar />
+
+      {/* ── Full-screen photos ── */}
+      <PhotoViewer
+        photos={viewer?.photos}
+        startIndex={viewer?.index}
+        onClose={() => setViewer(null)}
+      />
+
+      {/* ── Log harvest modal ── */}
+      <Modal
+        visible={!!harvestPlant}
+        animationType="slide"
+        transparent
+        onRequestClose={() => setHarvestPlantId(null)}
+      >
+        <View style={styles.overlay}>
+          <TouchableOpacity
+            style={StyleSheet.absoluteFill}
+            activeOpacity={1}
+            onPress={() => setHarvestPlantId(null)}
+          />
+          <View style={styles.sheet}>
+            <Text style={styles.sheetTitle}>Log a harvest</Text>
+            <Text style={styles.sheetSub}>
+              {(harvestPlant?.seedTitle || '').replace(/\s+seeds?$/i, '')}
+              {'  ·  '}
+              {harvestPlantId && entryDates[harvestPlantId]
+                ? entryDates[harvestPlantId].toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' })
+                : 'Today'}
+            </Text>
+
+            <TextInput
+              style={styles.sheetInput}
+              placeholder="How much? (e.g. 350)"
+              placeholderTextColor={COLORS.textLight}
+              value={harvestQuantity}
+              onChangeText={setHarvestQuantity}
+              keyboardType="decimal-pad"
+              autoFocus
+            />
+
+            <View style={styles.catPillRow}>
+              {HARVEST_UNITS.map((u) => (
+                <TouchableOpacity
+                  key={u.key}
+                  style={[styles.catPill, harvestUnit === u.key && styles.catPillActive]}
+                  onPress={() => setHarvestUnit(u.key)}
+                >
+                  <Text style={[styles.catPillText, harvestUnit === u.key && styles.catPillTextActive]}>
+                    {u.label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            <TextInput
+              style={styles.sheetInput}
+              placeholder="Note (optional)"
+              placeholderTextColor={COLORS.textLight}
+              value={harvestNote}
+              onChangeText={setHarvestNote}
+              returnKeyType="done"
+              onSubmitEditing={submitHarvest}
+            />
+
+            <TouchableOpacity
+              style={[styles.sheetAddBtn, !harvestValid && { opacity: 0.4 }]}
+              onPress={submitHarvest}
+              disabled={!harvestValid}
+            >
+              <Text style={styles.sheetAddBtnText}>Log harvest</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
+
       {/* ── Add custom plant modal ── */}
       <Modal
         visible={showCustomModal}
@@ -586,7 +971,16 @@ const styles = StyleSheet.create({
   },
   plantInfo: { flex: 1 },
   plantName: { fontSize: 15, fontWeight: '700', color: COLORS.text, lineHeight: 20 },
+  plantVariety: { fontSize: 12, color: COLORS.text, marginTop: 1 },
   plantMeta: { fontSize: 11, color: COLORS.textLight, marginTop: 3 },
+  plantedLink: { color: COLORS.primary, fontWeight: '600' },
+  plantYield: { fontSize: 11, color: COLORS.accent, fontWeight: '700', marginTop: 3 },
+
+  // Growing degree days toward harvest
+  gddBlock: { marginBottom: 10 },
+  gddTrack: { height: 4, borderRadius: 2, backgroundColor: '#f0e8d8', overflow: 'hidden' },
+  gddFill: { height: 4, backgroundColor: '#e0a040' },
+  gddText: { fontSize: 11, color: COLORS.textLight, marginTop: 4 },
   removeBtn: { fontSize: 16, color: '#ccc', paddingHorizontal: 4 },
 
   stageRow: {
@@ -611,6 +1005,14 @@ const styles = StyleSheet.create({
     paddingBottom: 10,
   },
   stageText: { fontSize: 14, fontWeight: '600', color: COLORS.text },
+  backdateHint: {
+    fontSize: 11,
+    color: COLORS.accent,
+    fontStyle: 'italic',
+    paddingHorizontal: 12,
+    marginTop: -4,
+    paddingBottom: 10,
+  },
   stageButtons: { flexDirection: 'row', gap: 6 },
   backStageBtn: {
     backgroundColor: '#f0f0f0',
@@ -657,12 +1059,13 @@ const styles = StyleSheet.create({
   journalEntryStage: {
     opacity: 0.7,
   },
+  journalDateCol: { width: 72 },
   journalDate: {
     fontSize: 11,
     color: COLORS.textLight,
-    width: 72,
     paddingTop: 1,
   },
+  journalWeather: { fontSize: 10, color: COLORS.textLight, marginTop: 2 },
   journalText: {
     flex: 1,
     fontSize: 13,
@@ -673,6 +1076,34 @@ const styles = StyleSheet.create({
     color: COLORS.textLight,
     fontStyle: 'italic',
   },
+  journalTextHarvest: { fontWeight: '600' },
+  journalBody: { flex: 1 },
+  photoRow: { flexDirection: 'row', flexWrap: 'wrap', gap: 6, marginTop: 6 },
+  photoThumb: { width: 56, height: 56, borderRadius: 8, backgroundColor: '#e8f5e9' },
+  pendingPhotoRow: { marginTop: 10, marginBottom: -2 },
+  pendingPhotoRemove: {
+    position: 'absolute',
+    top: -6,
+    right: -6,
+    width: 20,
+    height: 20,
+    borderRadius: 10,
+    backgroundColor: COLORS.text,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  pendingPhotoRemoveText: { color: '#fff', fontSize: 10, fontWeight: '700' },
+  photoMenu: { flexDirection: 'row', gap: 8, marginTop: 8 },
+  photoMenuBtn: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    borderRadius: 8,
+    paddingVertical: 8,
+    alignItems: 'center',
+  },
+  photoMenuBtnText: { fontSize: 13, color: COLORS.primary, fontWeight: '600' },
+  photoError: { fontSize: 12, color: '#c00', marginTop: 6 },
   journalInputRow: {
     flexDirection: 'row',
     gap: 8,
@@ -689,6 +1120,16 @@ const styles = StyleSheet.create({
     fontSize: 13,
     color: COLORS.text,
   },
+  entryDateChip: {
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    borderRadius: 8,
+    paddingHorizontal: 8,
+    paddingVertical: 7,
+  },
+  entryDateChipActive: { borderColor: COLORS.accent, backgroundColor: '#fff8e8' },
+  entryDateChipText: { fontSize: 12, color: COLORS.textLight, fontWeight: '600' },
+  entryDateChipTextActive: { color: '#a06a00' },
   journalAddBtn: {
     backgroundColor: COLORS.primary,
     borderRadius: 8,
@@ -696,6 +1137,16 @@ const styles = StyleSheet.create({
     paddingVertical: 8,
   },
   journalAddBtnText: { color: '#fff', fontWeight: '700', fontSize: 13 },
+  harvestBtn: {
+    marginTop: 10,
+    borderWidth: 1,
+    borderColor: COLORS.accent,
+    borderRadius: 8,
+    paddingVertical: 8,
+    alignItems: 'center',
+    backgroundColor: '#fff8e8',
+  },
+  harvestBtnText: { color: '#a06a00', fontWeight: '700', fontSize: 13 },
 
   emptyState: {
     alignItems: 'center',
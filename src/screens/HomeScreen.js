@@ -1,12 +1,13 @@
 /**
  * HomeScreen.js
  * ─────────────────────────────────────────────
- * Shows month-specific planting suggestions split into two groups:
+ * Shows today's weather and watering advice, then month-specific planting
+ * suggestions split into two groups:
  *   - "Sow from seed" — direct sow in ground, or start in trays
  *   - "Plant seedlings" — transplant established seedlings into beds/pots
  *
- * Uses crops.json sow_months and plant_months arrays for SE Australia
- * (Sydney / Melbourne / Adelaide). Month numbers are 1–12.
+ * Uses the catalog's sow_months and plant_months arrays, converted to the
+ * climate zone chosen in Settings (catalog/climate.js). Month numbers are 1–12.
  */
 
 import React, { useMemo } from 'react';
@@ -15,7 +16,11 @@ import {
   StyleSheet, SafeAreaView,
 } from 'react-native';
 import { COLORS } from '../theme';
-import ALL_CROPS from '../data/crops.json';
+import { useWeather } from '../hooks/useWeather';
+import WeatherCard from '../components/WeatherCard';
+import WateringAdviceCard from '../components/WateringAdviceCard';
+import { useSettings } from '../hooks/SettingsContext';
+import { getPlants, calendarFor, climateZone, zoneLabel, southernMonth, CATEGORIES } from '../catalog';
 
 const MONTH_NAMES = [
   '', 'January', 'February', 'March', 'April', 'May', 'June',
@@ -23,49 +28,102 @@ const MONTH_NAMES = [
 ];
 
 // ── Monthly tips ───────────────────────────────────────────────
-// Plain text advice for each month. Crop suggestions come automatically
-// from sow_months / plant_months arrays in crops.json — no keyword guessing.
+// Plain text advice for each month, per climate. Crop suggestions come
+// automatically from the catalog's sow_months / plant_months arrays — no
+// keyword guessing. Tips are written for the southern hemisphere; northern
+// zones read the tip for the same season (southernMonth).
 const MONTH_TIPS = {
-  1:  'Late summer — direct-sow fast-maturing crops. Too late to start tomatoes or cucumbers from seed (not enough time before autumn).',
-  2:  'Summer winding down — begin autumn crops. Sow broccoli and leafy greens now for a cool-season harvest.',
-  3:  'Autumn begins — ideal for brassicas and root vegetables. Start winding down summer crops.',
-  4:  'Peak autumn planting. Sow peas, garlic, and brassicas. Cooler soil means less watering needed.',
-  5:  'Cooler weather sets in. Great time for garlic, winter leafy greens, and peas.',
-  6:  'Winter — keep sowing cold-hardy crops. Garlic and broad beans thrive in the cold.',
-  7:  'Mid-winter. Sow onions and leeks; plant out autumn-started brassica seedlings.',
-  8:  'Late winter — start tomatoes and capsicum in trays indoors now. Direct-sow early spring crops outside.',
-  9:  "Spring! Start cucumber, pumpkin, and zucchini in trays indoors — it's still too cold at night for them outside.",
-  10: 'Full spring — safe to transplant tomatoes, cucumbers, and zucchini outdoors after the last frost.',
-  11: 'Late spring — keep transplanting summer seedlings and direct-sowing fast croppers.',
-  12: 'Early summer — direct-sow heat-lovers. Keep seedlings well watered in the heat.',
+  temperate: {
+    1:  'Late summer — direct-sow fast-maturing crops. Too late to start tomatoes or cucumbers from seed (not enough time before autumn).',
+    2:  'Summer winding down — begin autumn crops. Sow broccoli and leafy greens now for a cool-season harvest.',
+    3:  'Autumn begins — ideal for brassicas and root vegetables. Start winding down summer crops.',
+    4:  'Peak autumn planting. Sow peas, garlic, and brassicas. Cooler soil means less watering needed.',
+    5:  'Cooler weather sets in. Great time for garlic, winter leafy greens, and peas.',
+    6:  'Winter — keep sowing cold-hardy crops. Garlic and broad beans thrive in the cold.',
+    7:  'Mid-winter. Sow onions and leeks; plant out autumn-started brassica seedlings.',
+    8:  'Late winter — start tomatoes and capsicum in trays indoors now. Direct-sow early spring crops outside.',
+    9:  "Spring! Start cucumber, pumpkin, and zucchini in trays indoors — it's still too cold at night for them outside.",
+    10: 'Full spring — safe to transplant tomatoes, cucumbers, and zucchini outdoors after the last frost.',
+    11: 'Late spring — keep transplanting summer seedlings and direct-sowing fast croppers.',
+    12: 'Early summer — direct-sow heat-lovers. Keep seedlings well watered in the heat.',
+  },
+  cool: {
+    1:  'Peak summer — harvest often and keep watering. Sow carrots, beetroot and lettuce for autumn.',
+    2:  'Late summer. Sow brassicas and winter greens now — the season turns quickly here.',
+    3:  'Autumn — plant out brassica seedlings while the soil is still warm. Sow broad beans and peas.',
+    4:  'Cooling fast. Plant garlic and onions, and cover late crops against the first frosts.',
+    5:  'Frosts begin. Clear spent summer beds and dig in compost for spring.',
+    6:  'Winter — little grows. Plan the spring garden and plant bare-rooted fruit trees.',
+    7:  'Mid-winter frosts. Plant asparagus crowns, rhubarb and strawberries; start onions in trays.',
+    8:  'Late winter — sow peas and broad beans outside. Wait another month before starting tomatoes.',
+    9:  'Early spring, still frosty. Start tomatoes, capsicum and eggplant in trays indoors.',
+    10: 'Spring — direct-sow carrots, beetroot and lettuce. Keep tender seedlings inside until the frosts end.',
+    11: 'Frosts are over in most years — plant out tomatoes, cucumbers, zucchini and pumpkin.',
+    12: 'Early summer — direct-sow beans and corn. Water seedlings through warm spells.',
+  },
+  subtropical: {
+    1:  'Hot, humid and stormy. Stick to heat-lovers like snake beans, okra and sweet potato — most salad greens bolt now.',
+    2:  'Late-summer humidity — watch for mildew and fruit fly. Start brassica seedlings in trays for autumn.',
+    3:  'Autumn arrives, and with it the main growing season. Sow brassicas, beans and salad greens.',
+    4:  'Ideal planting weather. Sow tomatoes and capsicum for a winter crop, plus peas, carrots and beetroot.',
+    5:  'Mild and dry — almost anything grows. Keep sowing leafy greens, onions and broad beans.',
+    6:  'Winter is the best season here. Plant out tomato and brassica seedlings; water in dry spells.',
+    7:  'Mid-winter, mild days. Sow lettuce, peas and root vegetables, and pick winter tomatoes.',
+    8:  'Warming up — start cucumber, zucchini and pumpkin in trays for spring.',
+    9:  "Spring — sow corn, beans and cucurbits, and get them in before summer's heat and humidity.",
+    10: 'Warm and often dry. Plant out summer seedlings and mulch beds before the heat.',
+    11: 'Heat and storms building. Sow heat-lovers and finish harvesting cool-season crops.',
+    12: 'Early summer is hot here — plant tropical crops and give seedlings afternoon shade.',
+  },
+  tropical: {
+    1:  'The wet at its peak. Grow crops that cope with heat and rain — sweet potato, okra, snake beans — in raised, well-drained beds.',
+    2:  'Still hot and humid. Watch for fungal disease; prune for airflow and pick crops often.',
+    3:  'The wet is easing. Start tomatoes, capsicum and eggplant in trays for the dry season.',
+    4:  'The dry season begins — the best growing time of year. Plant out tomatoes and sow beans, cucumber and corn.',
+    5:  'Peak planting. Sow lettuce, Asian greens, carrots and herbs while it is dry and mild.',
+    6:  'Cool, dry nights — as close to winter as it gets. Brassicas and salad greens do well; water regularly.',
+    7:  'Mid dry season. Keep sowing leafy greens and beans, and pick the first tomatoes.',
+    8:  'Dry and warming. Last chance to sow most vegetables before the build-up.',
+    9:  'Heat building. Harvest dry-season crops and mulch deeply to hold moisture.',
+    10: 'The build-up — hot and humid. Plant heat-lovers like okra, sweet potato and rosella; shade young seedlings.',
+    11: 'First storms of the wet. Sow wet-season crops and clear drains before the heavy rain.',
+    12: 'Wet season. Plant tropical perennials and sow green manure to cover bare beds.',
+  },
+  arid: {
+    1:  'Extreme heat — shade cloth and deep early-morning watering keep plants alive. Sow little until it cools.',
+    2:  'Still very hot. Start brassica and lettuce seedlings somewhere shaded for autumn.',
+    3:  'Heat easing — the main sowing season begins. Sow beans, beetroot, carrots and brassicas.',
+    4:  'Ideal autumn weather. Plant out brassica seedlings and sow peas, onions and leafy greens.',
+    5:  'Cool nights arrive. Sow garlic and broad beans, and keep watering in the dry air.',
+    6:  'Winter — frosty nights, sunny days. Cover tender plants at night; cool-season crops thrive.',
+    7:  'Mid-winter. Harvest greens and brassicas, and build up the soil in summer beds.',
+    8:  'Late winter — start tomatoes and capsicum in trays somewhere warm.',
+    9:  'Spring warms quickly. Plant out tomatoes once the frosts stop, and sow corn, beans and cucurbits.',
+    10: 'Hot and dry — mulch heavily and water early. Sow melons, okra and pumpkin.',
+    11: 'Heat building. Harvest spring crops and shade young plants from the afternoon sun.',
+    12: 'Summer heat arrives — water deeply and often. Only heat-lovers will cope now.',
+  },
 };
 
-// ── Category display config ────────────────────────────────────
-// Updated to match the categories used in crops.json
-const CATEGORIES = [
-  { key: 'Vegetable',  label: 'Vegetables',  emoji: '🥦', color: '#d4edda' },
-  { key: 'Herb',       label: 'Herbs',       emoji: '🌿', color: '#d4f0e8' },
-  { key: 'Legume',     label: 'Legumes',     emoji: '🫘', color: '#f5f0d4' },
-  { key: 'Fruit',      label: 'Fruit',       emoji: '🍓', color: '#fde4ec' },
-  { key: 'Tree',       label: 'Trees',       emoji: '🌳', color: '#e8f5d4' },
-  { key: 'Microgreen', label: 'Microgreens', emoji: '🥗', color: '#fffbd4' },
-];
-
 export default function HomeScreen({ navigation }) {
   const now = new Date();
   const month = now.getMonth() + 1;   // 1–12
   const monthName = MONTH_NAMES[month];
+  const weather = useWeather();
+  const { settings } = useSettings();
+  const zoneKey = settings.climateZone;
+  const tip = MONTH_TIPS[climateZone(zoneKey).climate][southernMonth(month, zoneKey)];
 
-  // Crops with sow_months including this month — direct sow or start in trays
+  // Plants with sow_months including this month — direct sow or start in trays
   const sowCrops = useMemo(
-    () => ALL_CROPS.filter((c) => c.sow_months?.includes(month)).slice(0, 14),
-    [month]
+    () => getPlants().filter((c) => calendarFor(c, zoneKey).sow_months.includes(month)).slice(0, 14),
+    [month, zoneKey]
   );
 
-  // Crops with plant_months including this month — transplant seedlings
+  // Plants with plant_months including this month — transplant seedlings
   const plantCrops = useMemo(
-    () => ALL_CROPS.filter((c) => c.plant_months?.includes(month)).slice(0, 14),
-    [month]
+    () => getPlants().filter((c) => calendarFor(c, zoneKey).plant_months.includes(month)).slice(0, 14),
+    [month, zoneKey]
   );
 
   return (
@@ -78,10 +136,20 @@ export default function HomeScreen({ navigation }) {
           <Text style={styles.monthText}>{monthName}</Text>
         </View>
 
+        {/* ── Today's weather ── */}
+        <WeatherCard
+          weather={weather}
+          onSetLocation={() => navigation.navigate('Settings')}
+          onOpenForecast={() =>
+            navigation.navigate('Forecast', { cityName: weather.cityName, forecast: weather.forecast })
+          }
+        />
+        <WateringAdviceCard advice={weather.wateringToday} />
+
         {/* ── Month tip card ── */}
         <View style={styles.tipCard}>
-          <Text style={styles.tipMonth}>{monthName} in Australia</Text>
-          <Text style={styles.tipText}>{MONTH_TIPS[month]}</Text>
+          <Text style={styles.tipMonth}>{monthName} · {zoneLabel(zoneKey)}</Text>
+          <Text style={styles.tipText}>{tip}</Text>
         </View>
 
         {/* ── Sow from seed this month ── */}
@@ -100,7 +168,7 @@ export default function HomeScreen({ navigation }) {
                   style={styles.plantCard}
                   onPress={() => navigation.navigate('PlantDetail', { plant: crop })}
                 >
-                  {/* Use the crop's emoji as the visual — no images in crops.json yet */}
+                  {/* Use the plant's emoji as the visual — growing guides have no images yet */}
                   <View style={[styles.plantImage, styles.plantImageFallback]}>
                     <Text style={{ fontSize: 32 }}>{crop.emoji || '🌱'}</Text>
                   </View>
@@ -147,7 +215,7 @@ export default function HomeScreen({ navigation }) {
         <Text style={[styles.sectionTitle, { marginTop: 20 }]}>Browse by category</Text>
         <View style={styles.categoryGrid}>
           {CATEGORIES.map((cat) => {
-            const count = ALL_CROPS.filter((c) => c.category === cat.key).length;
+            const count = getPlants().filter((c) => c.category === cat.key).length;
             return (
               <TouchableOpacity
                 key={cat.key}
@@ -6,16 +6,26 @@
  * Users can:
  *   - Create new areas with any name and emoji
  *   - Tap an area to see + manage what's planted in it
- *   - Long-press an area to rename or delete it
+ *   - Long-press an area to rename or delete it (with a few seconds to undo)
+ *   - See how much each area and each crop has yielded in a season
+ *   - Compare this season's weather so far with last season's
  */
 
-import React, { useState } from 'react';
+import React, { useState, useMemo } from 'react';
 import {
   View, Text, TouchableOpacity, StyleSheet, SafeAreaView,
   FlatList, Modal, TextInput, KeyboardAvoidingView, Platform, ScrollView,
 } from 'react-native';
 import { COLORS } from '../theme';
 import { useGarden } from '../hooks/GardenContext';
+import { useSettings } from '../hooks/SettingsContext';
+import { useWeatherHistory } from '../hooks/useWeatherHistory';
+import UndoSnackbar from '../components/UndoSnackbar';
+import SeasonWeatherCard from '../components/SeasonWeatherCard';
+import { historyStartDate, compareSeasons } from '../weather/history';
+import {
+  seasonOf, seasonLabel, harvestSeasons, areaYield, cropYields, isEmptyYield, formatYield,
+} from '../utils/harvest';
 
 // Emoji options grouped by theme so they're easier to scan
 const EMOJI_SECTIONS = [
@@ -40,6 +50,28 @@ export default function MyGardenScreen({ navigation }) {
   const [editName, setEditName] = useState('');
   const [editEmoji, setEditEmoji] = useState('🪴');
 
+  // Which season's yields to show — defaults to the current one
+  const [season, setSeason] = useState(() => seasonOf(new Date()));
+
+  // Seasons the user can step through: every season with a harvest, plus the
+  // current one so there's always somewhere to start
+  const seasons = useMemo(() => {
+    const list = harvestSeasons(areas);
+    const current = seasonOf(new Date());
+    if (!list.includes(current)) list.unshift(current);
+    return list.sort((a, b) => b - a);
+  }, [areas]);
+  const crops = useMemo(() => cropYields(areas, season), [areas, season]);
+
+  // This season's weather against last season's, from the weather log
+  const { settings } = useSettings();
+  const weatherByDate = useWeatherHistory(historyStartDate());
+  const weatherComparison = useMemo(
+    () => compareSeasons(Object.values(weatherByDate), settings.frostThreshold),
+    [weatherByDate, settings.frostThreshold]
+  );
+  const seasonIndex = seasons.indexOf(season);
+
   function handleCreate() {
     if (!newName.trim()) return;
     createArea(newName, newEmoji);
@@ -78,6 +110,7 @@ export default function MyGardenScreen({ navigation }) {
     const activeCount = item.plants.filter(
       (p) => p.stage !== 'done'
     ).length;
+    const harvested = areaYield(item, season);
 
     return (
       <TouchableOpacity
@@ -97,6 +130,9 @@ export default function MyGardenScreen({ navigation }) {
                 : `${item.plants.length} plant${item.plants.length !== 1 ? 's' : ''}${activeCount > 0 ? ` · ${activeCount} active` : ''}`
               }
             </Text>
+            {!isEmptyYield(harvested) && (
+              <Text style={styles.areaYield}>🧺 {formatYield(harvested)}</Text>
+            )}
           </View>
         </View>
 
@@ -165,6 +201,51 @@ export default function MyGardenScreen({ navigation }) {
           renderItem={renderArea}
           contentContainerStyle={styles.list}
           showsVerticalScrollIndicator={false}
+          ListHeaderComponent={
+            <>
+              {/* ── Season yield — totals per crop across every area ── */}
+              <View style={styles.yieldCard}>
+                <View style={styles.yieldHeader}>
+                  <Text style={styles.yieldTitle}>🧺 Harvest {seasonLabel(season)}</Text>
+                  <View style={styles.seasonNav}>
+                    {/* seasons is newest first, so "older" moves right through the list */}
+                    <TouchableOpacity
+                      onPress={() => setSeason(seasons[seasonIndex + 1])}
+                      disabled={seasonIndex >= seasons.length - 1}
+                      hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+                    >
+                      <Text style={[styles.seasonArrow, seasonIndex >= seasons.length - 1 && styles.seasonArrowDisabled]}>‹</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      onPress={() => setSeason(seasons[seasonIndex - 1])}
+                      disabled={seasonIndex <= 0}
+                      hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+                    >
+                      <Text style={[styles.seasonArrow, seasonIndex <= 0 && styles.seasonArrowDisabled]}>›</Text>
+                    </TouchableOpacity>
+                  </View>
+                </View>
+                {crops.length === 0 ? (
+                  <Text style={styles.yieldEmpty}>
+                    Nothing harvested yet this season — log a harvest from any plant in the Harvesting stage.
+                  </Text>
+                ) : (
+                  crops.map((crop) => (
+                    <View key={crop.key} style={styles.yieldRow}>
+                      <Text style={styles.yieldCrop} numberOfLines={1}>
+                        {crop.title}
+                        {crop.plantCount > 1 && <Text style={styles.yieldPlants}>  ×{crop.plantCount}</Text>}
+                      </Text>
+                      <Text style={styles.yieldAmount}>{formatYield(crop.totals)}</Text>
+                    </View>
+                  ))
+                )}
+              </View>
+
+              {/* ── Season weather — this season so far vs last ── */}
+              <SeasonWeatherCard comparison={weatherComparison} />
+            </>
+          }
           ListFooterComponent={
             <Text style={styles.longPressHint}>
               Long-press an area to rename or delete it
@@ -173,6 +254,9 @@ export default function MyGardenScreen({ navigation }) {
         />
       )}
 
+      {/* ── "Undo" bar after deleting something ── */}
+      <UndoSnackbar />
+
       {/* ── Create area modal ── */}
       <Modal
         visible={showCreate}
@@ -400,6 +484,38 @@ const styles = StyleSheet.create({
   areaEmoji: { fontSize: 34 },
   areaName: { fontSize: 16, fontWeight: '700', color: COLORS.text },
   areaSubtitle: { fontSize: 12, color: COLORS.textLight, marginTop: 3 },
+  areaYield: { fontSize: 12, color: COLORS.accent, fontWeight: '700', marginTop: 2 },
+
+  yieldCard: {
+    backgroundColor: COLORS.card,
+    borderRadius: 16,
+    marginBottom: 12,
+    padding: 16,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  yieldHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  yieldTitle: { fontSize: 15, fontWeight: '800', color: COLORS.text },
+  seasonNav: { flexDirection: 'row', gap: 18 },
+  seasonArrow: { fontSize: 22, color: COLORS.primary, fontWeight: '700' },
+  seasonArrowDisabled: { color: COLORS.border },
+  yieldEmpty: { fontSize: 12, color: COLORS.textLight, fontStyle: 'italic', lineHeight: 18 },
+  yieldRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 6,
+    borderTopWidth: 1,
+    borderTopColor: '#f0f0f0',
+    gap: 10,
+  },
+  yieldCrop: { flex: 1, fontSize: 13, color: COLORS.text, fontWeight: '600' },
+  yieldPlants: { fontSize: 11, color: COLORS.textLight, fontWeight: '400' },
+  yieldAmount: { fontSize: 13, color: COLORS.accent, fontWeight: '700' },
   areaCardRight: { flexDirection: 'row', alignItems: 'center' },
   stageDots: { flexDirection: 'row', gap: 2, marginRight: 4 },
   stageDot: { fontSize: 14 },
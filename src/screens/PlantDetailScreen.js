@@ -1,19 +1,30 @@
 /**
  * PlantDetailScreen.js
  * ─────────────────────────────────────────────
- * Full detail view for a single plant/seed.
+ * Full detail view for a single catalog entry — a crop, flower, seed packet
+ * or custom seed, all in the catalog schema (see catalog/index.js).
  * Shows: image, description, growing info, and
  * an "Add to Garden" button that lets users pick
  * which of their garden areas to add it to.
+ *
+ * Crops also list the seed packets that are varieties of them (see
+ * getVarieties). Tapping one picks it as the variety to sow, which is
+ * recorded on the plant when it's added; the shop link opens the packet's
+ * page in the browser.
+ *
+ * Sowing, planting and harvest months are shown for the climate zone
+ * chosen in Settings (see catalog/climate.js).
  */
 
 import React, { useState } from 'react';
 import {
   View, Text, ScrollView, TouchableOpacity, Image,
-  StyleSheet, SafeAreaView, Modal, TextInput, KeyboardAvoidingView, Platform,
+  StyleSheet, SafeAreaView, Modal, TextInput, KeyboardAvoidingView, Platform, Linking,
 } from 'react-native';
 import { COLORS } from '../theme';
 import { useGarden } from '../hooks/GardenContext';
+import { useSettings } from '../hooks/SettingsContext';
+import { categoryInfo, getVarieties, calendarFor, zoneLabel } from '../catalog';
 
 // Growing stage labels with emoji
 const STAGES = [
@@ -24,12 +35,6 @@ const STAGES = [
   { key: 'done',       label: 'Done',       emoji: '✅' },
 ];
 
-// Maps category to a fallback emoji (used only if the crop has no emoji field)
-const CAT_EMOJI = {
-  Vegetable: '🥦', Herb: '🌿', Legume: '🫘',
-  Fruit: '🍓', Tree: '🌳', Microgreen: '🥗',
-};
-
 // Short month names for displaying sow/plant/harvest months
 const MONTH_NAMES = [
   '', 'Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
@@ -57,6 +62,40 @@ function InfoRow({ icon, label, value }) {
   );
 }
 
+// One seed packet in the Varieties list
+function VarietyRow({ variety, selected, onPress }) {
+  return (
+    <TouchableOpacity
+      style={[styles.varietyRow, selected && styles.varietyRowSelected]}
+      onPress={onPress}
+    >
+      {variety.image_url ? (
+        <Image source={{ uri: variety.image_url }} style={styles.varietyImage} />
+      ) : (
+        <View style={[styles.varietyImage, styles.heroFallback]}>
+          <Text style={{ fontSize: 22 }}>🌰</Text>
+        </View>
+      )}
+      <View style={styles.infoText}>
+        <Text style={styles.varietyName}>{variety.name}</Text>
+        <Text style={styles.varietyMeta}>
+          {variety.price_aud !== null ? `$${variety.price_aud.toFixed(2)}` : 'Price unknown'}
+          {variety.available === false ? ' · Sold out' : ''}
+          {selected ? ' · ✓ Sowing this' : ''}
+        </Text>
+      </View>
+      {variety.url && (
+        <TouchableOpacity
+          onPress={() => Linking.openURL(variety.url).catch(() => {})}
+          hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+        >
+          <Text style={styles.shopLink}>Shop ›</Text>
+        </TouchableOpacity>
+      )}
+    </TouchableOpacity>
+  );
+}
+
 export default function PlantDetailScreen({ navigation, route }) {
   const { plant } = route.params;
   const { areas, addPlantToArea, createAreaAndAddPlant } = useGarden();
@@ -69,6 +108,12 @@ export default function PlantDetailScreen({ navigation, route }) {
   const [newAreaEmoji, setNewAreaEmoji] = useState('🪴');
   // Brief success banner shown after adding a plant
   const [addedMsg, setAddedMsg] = useState('');
+  // The seed packet picked in Varieties, recorded on the plant when it's added
+  const [variety, setVariety] = useState(null);
+  const varieties = plant.source === 'crop' ? getVarieties(plant.id) : [];
+  // When to grow it where the user lives
+  const { settings } = useSettings();
+  const calendar = calendarFor(plant, settings.climateZone);
 
   const EMOJI_SECTIONS = [
     { label: 'Containers & pots', emojis: ['🪴', '🏺', '🪣', '🫙', '📦', '🧺'] },
@@ -78,7 +123,7 @@ export default function PlantDetailScreen({ navigation, route }) {
   const ALL_AREA_EMOJIS = EMOJI_SECTIONS.flatMap((s) => s.emojis);
 
   function handleAddToArea(area) {
-    addPlantToArea(area.id, plant);
+    addPlantToArea(area.id, plant, variety);
     setShowModal(false);
     // Show a small banner instead of Alert (Alert blocks JavaScript on web)
     setAddedMsg(`Added to "${area.name}" ✓`);
@@ -88,7 +133,7 @@ export default function PlantDetailScreen({ navigation, route }) {
     if (!newAreaName.trim()) return;
     // Use the atomic version — creates the area AND adds the plant
     // in a single state update to avoid a race condition
-    const area = createAreaAndAddPlant(newAreaName, newAreaEmoji, plant);
+    const area = createAreaAndAddPlant(newAreaName, newAreaEmoji, plant, variety);
     setShowNewArea(false);
     setShowModal(false);
     setNewAreaName('');
@@ -96,8 +141,8 @@ export default function PlantDetailScreen({ navigation, route }) {
     setAddedMsg(`Created "${area.name}" and added plant ✓`);
   }
 
-  // Support both new crops.json (plant.name) and custom user-added seeds (plant.title)
-  const plantName = plant.name || (plant.title || '').replace(/\s+seeds?$/i, '');
+  const plantName = plant.name;
+  const isFlower = plant.category === 'Flower';
 
   return (
     <SafeAreaView style={styles.safe}>
@@ -122,8 +167,8 @@ export default function PlantDetailScreen({ navigation, route }) {
           />
         ) : (
           <View style={[styles.heroImage, styles.heroFallback]}>
-            {/* Use the crop's own emoji first, then category fallback */}
-            <Text style={{ fontSize: 72 }}>{plant.emoji || CAT_EMOJI[plant.category] || '🌱'}</Text>
+            {/* Use the plant's own emoji first, then its category's */}
+            <Text style={{ fontSize: 72 }}>{plant.emoji || categoryInfo(plant.category)?.emoji || '🌱'}</Text>
           </View>
         )}
 
@@ -161,26 +206,51 @@ export default function PlantDetailScreen({ navigation, route }) {
             </View>
           ) : null}
 
+          {/* ── Varieties ── */}
+          {varieties.length > 0 && (
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>Varieties</Text>
+              <Text style={styles.fieldCount}>
+                Tap a variety to record it as the one you're sowing.
+              </Text>
+              <View style={styles.infoCard}>
+                {varieties.map((v) => (
+                  <VarietyRow
+                    key={v.id}
+                    variety={v}
+                    selected={variety?.id === v.id}
+                    onPress={() => setVariety(variety?.id === v.id ? null : v)}
+                  />
+                ))}
+              </View>
+            </View>
+          )}
+
           {/* ── Growing info ── */}
           <View style={styles.section}>
             <Text style={styles.sectionTitle}>Growing Guide</Text>
+            <Text style={styles.fieldCount}>
+              {plant.local_calendar
+                ? 'Months as you entered them.'
+                : `Months for your climate zone (${zoneLabel(settings.climateZone)}) — change it in Settings.`}
+            </Text>
             <View style={styles.infoCard}>
               {/* ── When to grow ── */}
-              <InfoRow icon="🌰"  label="Sow from seed"        value={formatMonths(plant.sow_months)} />
-              <InfoRow icon="🌱"  label="Plant seedlings"      value={formatMonths(plant.plant_months)} />
-              <InfoRow icon="🍽️" label="Harvest"              value={formatMonths(plant.harvest_months)} />
+              <InfoRow icon="🌰"  label="Sow from seed"        value={formatMonths(calendar.sow_months)} />
+              <InfoRow icon="🌱"  label="Plant seedlings"      value={formatMonths(calendar.plant_months)} />
+              <InfoRow icon="🍽️" label="Harvest"              value={formatMonths(calendar.harvest_months)} />
 
               {/* ── Basic growing needs ── */}
-              <InfoRow icon="☀️"  label="Sun"                  value={plant.sun || plant.sun_requirements} />
-              <InfoRow icon="💧"  label="Watering"             value={plant.water || plant.watering} />
+              <InfoRow icon="☀️"  label="Sun"                  value={plant.sun} />
+              <InfoRow icon="💧"  label="Watering"             value={plant.water} />
               <InfoRow icon="⭐"  label="Difficulty"           value={plant.difficulty} />
               <InfoRow icon="🔄"  label="Plant life"           value={plant.plant_life} />
 
               {/* ── Timing numbers ── */}
               <InfoRow icon="🌿"  label="Days to germinate"
                 value={plant.days_to_germination ? `${plant.days_to_germination} days` : null} />
-              <InfoRow icon="🗓"  label="Weeks to harvest"
-                value={plant.weeks_to_harvest ? `${plant.weeks_to_harvest} weeks` : plant.days_to_harvest} />
+              <InfoRow icon="🗓"  label={isFlower ? 'Weeks to flowering' : 'Weeks to harvest'}
+                value={plant.weeks_to_harvest ? `${plant.weeks_to_harvest} weeks` : null} />
               {plant.years_to_first_harvest && (
                 <InfoRow icon="🌳" label="Years to first harvest"
                   value={`${plant.years_to_first_harvest} year${plant.years_to_first_harvest > 1 ? 's' : ''}`} />
@@ -188,23 +258,27 @@ export default function PlantDetailScreen({ navigation, route }) {
 
               {/* ── Planting numbers ── */}
               <InfoRow icon="📏"  label="Sowing depth"
-                value={plant.sowing_depth_mm ? `${plant.sowing_depth_mm} mm` : plant.sowing_depth} />
+                value={
+                  plant.sowing_depth_mm === 0 ? 'Sow on the surface'
+                    : plant.sowing_depth_mm ? `${plant.sowing_depth_mm} mm` : null
+                } />
               <InfoRow icon="↔️"  label="Plant spacing"
-                value={plant.spacing_cm ? `${plant.spacing_cm} cm` : plant.spacing} />
+                value={plant.spacing_cm ? `${plant.spacing_cm} cm` : null} />
               <InfoRow icon="📐"  label="Plant height"
-                value={plant.height_cm ? `${plant.height_cm} cm` : plant.plant_height} />
+                value={plant.height_cm ? `${plant.height_cm} cm` : null} />
 
               {/* ── Conditions ── */}
               <InfoRow icon="❄️"  label="Frost tolerance"
                 value={
-                  plant.frost_tolerant !== undefined
+                  plant.frost_note ||
+                  (plant.frost_tolerant !== null
                     ? (plant.frost_tolerant ? 'Frost tolerant' : 'Frost tender — protect from frost')
-                    : plant.frost_tolerance
+                    : null)
                 }
               />
               <InfoRow icon="🪴"  label="Container growing"
                 value={
-                  plant.suitable_for_containers !== undefined
+                  plant.suitable_for_containers !== null
                     ? (plant.suitable_for_containers
                         ? `Suitable for pots${plant.min_pot_size_L ? ` (min ${plant.min_pot_size_L}L)` : ''}`
                         : 'Not recommended for pots')
@@ -218,13 +292,9 @@ export default function PlantDetailScreen({ navigation, route }) {
 
               {/* ── Companions ── */}
               <InfoRow icon="🤝"  label="Companion plants"
-                value={
-                  plant.companions?.join(', ') ||
-                  (Array.isArray(plant.companion_plants) ? plant.companion_plants.join(', ') : plant.companion_plants)
-                }
-              />
+                value={plant.companions.join(', ')} />
               <InfoRow icon="⚠️"  label="Keep away from"
-                value={plant.avoid?.join(', ')} />
+                value={plant.avoid.join(', ')} />
             </View>
           </View>
 
@@ -237,7 +307,7 @@ export default function PlantDetailScreen({ navigation, route }) {
           )}
 
           {/* ── Common problems ── */}
-          {plant.common_problems?.length > 0 && (
+          {plant.common_problems.length > 0 && (
             <View style={styles.section}>
               <Text style={styles.sectionTitle}>Common Problems</Text>
               <View style={styles.infoCard}>
@@ -350,6 +420,7 @@ export default function PlantDetailScreen({ navigation, route }) {
             <View style={styles.modalSheet}>
               <Text style={styles.modalTitle}>Add to which area?</Text>
               <Text style={styles.modalSub}>
+                {variety ? `Variety: ${variety.name}. ` : ''}
                 Choose an existing garden area or create a new one.
               </Text>
 
@@ -477,6 +548,20 @@ const styles = StyleSheet.create({
   infoValue: { fontSize: 14, color: COLORS.text, fontWeight: '500', marginTop: 1 },
   infoValueEmpty: { color: COLORS.textLight, fontStyle: 'italic' },
 
+  varietyRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 10,
+    gap: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.border,
+  },
+  varietyRowSelected: { backgroundColor: '#eaf7eb' },
+  varietyImage: { width: 48, height: 48, borderRadius: 8 },
+  varietyName: { fontSize: 14, color: COLORS.text, fontWeight: '600' },
+  varietyMeta: { fontSize: 12, color: COLORS.textLight, marginTop: 2 },
+  shopLink: { fontSize: 13, color: COLORS.primary, fontWeight: '700' },
+
   fieldCount: {
     fontSize: 12,
     color: COLORS.textLight,
@@ -4,78 +4,141 @@
  * User preferences:
  *   - Toggle daily garden reminder notification (default: OFF)
  *   - Adjust what time the daily reminder fires
- *   - Info note about automatic hot-day alerts
+ *   - Choose where the weather is for, instead of using GPS
+ *   - Pick a climate zone, which sets the sowing calendar across the app
+ *   - Hot-day, frost and wind/storm alerts: each can be turned off, and has
+ *     its own threshold and delivery time
+ *   - Quiet hours, when no weather alerts go out
+ *   - The weather alerts sent lately
+ *   - Back up the whole garden to a JSON file, or restore from one
  */
 
-import React from 'react';
+import React, { useState, useCallback } from 'react';
 import {
-  View, Text, Switch,
+  View, Text, Switch, TouchableOpacity, TextInput,
   StyleSheet, SafeAreaView, ScrollView, Alert, Platform,
 } from 'react-native';
 import DateTimePicker from '@react-native-community/datetimepicker';
-import { kvGet, kvSet, kvRemove } from '../database/db';
+import { useFocusEffect } from '@react-navigation/native';
 // expo-notifications is required dynamically inside functions below
 // so it never loads on web (static imports run regardless of Platform.OS checks)
 import { COLORS } from '../theme';
 import { useSettings } from '../hooks/SettingsContext';
+import { useGarden } from '../hooks/GardenContext';
+import {
+  shareBackup, pickBackup, validateBackup, summariseRestore,
+} from '../database/backup';
+import { searchPlaces, placeLabel, parseCoordinates } from '../utils/places';
+import { CLIMATE_ZONES, climateZone, zoneIn } from '../catalog';
+import { scheduleDaily, cancelDaily } from '../utils/reminders';
+import { deliveryHour, loadAlertHistory } from '../utils/weatherAlerts';
+
+// The weather alerts and the thresholds offered for each
+const ALERT_OPTIONS = [
+  {
+    emoji: '☀️', label: 'Hot days', sub: 'A reminder to water the evening before',
+    enabledKey: 'hotAlertsEnabled', thresholdKey: 'hotThreshold', hourKey: 'hotAlertHour',
+    thresholdLabel: 'When tomorrow is above', min: 28, max: 42, step: 1, unit: '°C',
+  },
+  {
+    emoji: '❄️', label: 'Frost', sub: 'Names the frost-tender plants to cover or bring in',
+    enabledKey: 'frostAlertsEnabled', thresholdKey: 'frostThreshold', hourKey: 'frostAlertHour',
+    thresholdLabel: 'When tonight drops below', hint: 'Frost can form on clear nights even at 2–3°C',
+    min: -3, max: 6, step: 1, unit: '°C',
+  },
+  {
+    emoji: '💨', label: 'Wind and storms', sub: 'Time to stake tall plants and tie down covers',
+    enabledKey: 'windAlertsEnabled', thresholdKey: 'windThreshold', hourKey: 'windAlertHour',
+    thresholdLabel: 'When wind reaches', hint: 'Thunderstorms are always included',
+    min: 30, max: 90, step: 5, unit: ' km/h',
+  },
+];
 
-// Key for storing the daily notification ID (so we can cancel it later)
-const DAILY_NOTIF_ID_KEY = 'daily_notif_id';
+// Alerts are about tonight or tomorrow, so they go out during the day
+const ALERT_HOUR_MIN = 6;
+const ALERT_HOUR_MAX = 22;
+// How many past alerts to list
+const HISTORY_SHOWN = 10;
 
-// ── Notification helpers ─────────────────────────────────────
+// 18 → "6 pm", 0 → "12 am"
+function formatHour(hour) {
+  return `${hour % 12 || 12} ${hour < 12 ? 'am' : 'pm'}`;
+}
 
-// Schedules (or reschedules) the daily garden reminder
-async function scheduleDaily(hour, minute) {
-  if (Platform.OS === 'web') return;   // not supported in browsers
-  await cancelDaily();   // always cancel the old one first to avoid stacking
-  const Notifications = require('expo-notifications');
-  const id = await Notifications.scheduleNotificationAsync({
-    content: {
-      title: 'Garden check-in 🌱',
-      body: 'Time to check your garden!',
-      sound: true,
-    },
-    trigger: {
-      type: 'calendar',   // fires on a repeating calendar schedule
-      repeats: true,
-      hour,
-      minute,
-    },
-  });
-  // Save the notification ID so we can cancel it when the user turns it off
-  await kvSet(DAILY_NOTIF_ID_KEY, id);
+// − 2°C + control
+function Stepper({ value, min, max, step = 1, format, onChange }) {
+  return (
+    <View style={styles.stepper}>
+      <TouchableOpacity
+        style={[styles.stepperBtn, value <= min && { opacity: 0.35 }]}
+        onPress={() => onChange(value - step)}
+        disabled={value <= min}
+      >
+        <Text style={styles.stepperBtnText}>−</Text>
+      </TouchableOpacity>
+      <Text style={styles.stepperValue}>{format(value)}</Text>
+      <TouchableOpacity
+        style={[styles.stepperBtn, value >= max && { opacity: 0.35 }]}
+        onPress={() => onChange(value + step)}
+        disabled={value >= max}
+      >
+        <Text style={styles.stepperBtnText}>+</Text>
+      </TouchableOpacity>
+    </View>
+  );
 }
 
-// Cancels the existing daily reminder (if any)
-async function cancelDaily() {
-  if (Platform.OS === 'web') return;   // not supported in browsers
-  const id = await kvGet(DAILY_NOTIF_ID_KEY);
-  if (id) {
-    const Notifications = require('expo-notifications');
-    await Notifications.cancelScheduledNotificationAsync(id);
-    await kvRemove(DAILY_NOTIF_ID_KEY);
+// Asks for notification permission, explaining how to allow it if refused.
+// Resolves true if notifications can be sent.
+async function requestNotifications() {
+  const Notifications = require('expo-notifications');
+  const { status } = await Notifications.requestPermissionsAsync();
+  if (status !== 'granted') {
+    Alert.alert(
+      'Notifications blocked',
+      'Please allow notifications for this app in your device Settings, then try again.'
+    );
+    return false;
   }
+  return true;
 }
 
 // ── Screen ───────────────────────────────────────────────────
 
 export default function SettingsScreen() {
-  const { settings, updateSettings } = useSettings();
+  const { settings, updateSettings, reload: reloadSettings } = useSettings();
+  const { restoreBackup } = useGarden();
+
+  // Backup / restore state
+  const [backupBusy, setBackupBusy] = useState(false);
+  const [backupMsg, setBackupMsg] = useState(null);        // { text, error }
+  const [restoreDoc, setRestoreDoc] = useState(null);      // parsed backup awaiting confirmation
+  const [restoreMode, setRestoreMode] = useState('merge'); // 'merge' | 'replace'
+  const [restoreSummary, setRestoreSummary] = useState([]);
+
+  // Weather location state
+  const [placeQuery, setPlaceQuery] = useState('');
+  const [showCoords, setShowCoords] = useState(false);
+  const [latText, setLatText] = useState('');
+  const [lonText, setLonText] = useState('');
+  const [coordsError, setCoordsError] = useState(null);
+  const placeResults = searchPlaces(placeQuery);
+
+  // The sowing calendar's climate zone
+  const zone = climateZone(settings.climateZone);
+
+  // Weather alerts sent lately — re-read each time the tab is opened
+  const [alertHistory, setAlertHistory] = useState([]);
+  useFocusEffect(useCallback(() => {
+    loadAlertHistory().then(setAlertHistory);
+  }, []));
 
   // Called when the user flips the reminders toggle
   async function handleToggleReminders(value) {
     if (value) {
-      // Turning ON — request notification permission first
-      const Notifications = require('expo-notifications');
-      const { status } = await Notifications.requestPermissionsAsync();
-      if (status !== 'granted') {
-        // User said no — show a helpful message, leave the toggle OFF
-        Alert.alert(
-          'Notifications blocked',
-          'Please allow notifications for this app in your device Settings, then try again.'
-        );
-        return;
-      }
+      // Turning ON — request notification permission first.
+      // If the user says no, leave the toggle OFF
+      if (!(await requestNotifications())) return;
       // Permission granted — schedule the daily reminder
       await scheduleDaily(settings.reminderHour, settings.reminderMinute);
     } else {
@@ -97,6 +160,93 @@ export default function SettingsScreen() {
     }
   }
 
+  // Called when the user flips one of the weather alert toggles
+  async function handleToggleAlert(enabledKey, value) {
+    if (value && !(await requestNotifications())) return;
+    updateSettings({ [enabledKey]: value });
+  }
+
+  // Writes a backup file and opens the share sheet
+  async function handleExport() {
+    setBackupBusy(true);
+    setBackupMsg(null);
+    try {
+      const doc = await shareBackup();
+      const { areas, plants } = doc.tables;
+      setBackupMsg({
+        text: `Backup created — ${areas.length} area${areas.length !== 1 ? 's' : ''}, ` +
+              `${plants.length} plant${plants.length !== 1 ? 's' : ''}.`,
+      });
+    } catch (err) {
+      setBackupMsg({ text: err.message || 'Could not create the backup.', error: true });
+    } finally {
+      setBackupBusy(false);
+    }
+  }
+
+  // Step 1 of restore: pick a file, validate it and show the dry-run summary
+  async function handlePickRestore() {
+    setBackupMsg(null);
+    try {
+      const doc = await pickBackup();
+      if (!doc) return;   // user cancelled the picker
+      const errors = validateBackup(doc);
+      if (errors.length > 0) {
+        setBackupMsg({ text: errors.join('\n'), error: true });
+        return;
+      }
+      setRestoreDoc(doc);
+      setRestoreMode('merge');
+      setRestoreSummary(await summariseRestore(doc, 'merge'));
+    } catch (err) {
+      setBackupMsg({ text: err.message || 'Could not read the backup.', error: true });
+    }
+  }
+
+  async function handleRestoreMode(mode) {
+    setRestoreMode(mode);
+    setRestoreSummary(await summariseRestore(restoreDoc, mode));
+  }
+
+  // Step 2 of restore: apply it (the garden re-reads itself), then re-read settings
+  async function handleConfirmRestore() {
+    setBackupBusy(true);
+    try {
+      await restoreBackup(restoreDoc, restoreMode);
+      await reloadSettings();
+      setBackupMsg({ text: 'Backup restored ✓' });
+      setRestoreDoc(null);
+    } catch (err) {
+      setBackupMsg({ text: `Restore failed — nothing was changed. ${err.message}`, error: true });
+    } finally {
+      setBackupBusy(false);
+    }
+  }
+
+  // Saves a place from the gazetteer as the weather location
+  function handlePickPlace(place) {
+    updateSettings({
+      location: { name: placeLabel(place), latitude: place.latitude, longitude: place.longitude },
+    });
+    setPlaceQuery('');
+  }
+
+  // Saves typed coordinates as the weather location
+  function handleSaveCoords() {
+    const coords = parseCoordinates(latText, lonText);
+    if (!coords) {
+      setCoordsError('Latitude must be between -90 and 90, and longitude between -180 and 180.');
+      return;
+    }
+    updateSettings({
+      location: { name: `${coords.latitude.toFixed(2)}, ${coords.longitude.toFixed(2)}`, ...coords },
+    });
+    setCoordsError(null);
+    setShowCoords(false);
+    setLatText('');
+    setLonText('');
+  }
+
   // Build a Date object for the picker — it needs a full Date, not just h/m.
   // The actual date doesn't matter (it ignores it in time mode), only the time.
   const pickerValue = new Date();
@@ -124,7 +274,9 @@ export default function SettingsScreen() {
             <View style={styles.row}>
               <View style={styles.rowLeft}>
                 <Text style={styles.rowLabel}>Garden check-in reminder</Text>
-                <Text style={styles.rowSub}>A daily nudge to check on your plants</Text>
+                <Text style={styles.rowSub}>
+                  A daily nudge to check on your plants, with watering advice from the forecast
+                </Text>
               </View>
               <Switch
                 value={settings.remindersEnabled}
@@ -149,17 +301,380 @@ export default function SettingsScreen() {
           )}
         </View>
 
-        {/* ── Hot day alerts ── */}
+        {/* ── Weather location ── */}
         <View style={styles.section}>
-          <Text style={styles.sectionTitle}>Hot Day Alerts</Text>
-          <View style={styles.infoRow}>
-            <Text style={styles.infoEmoji}>☀️</Text>
-            <Text style={styles.infoText}>
-              When tomorrow's forecast exceeds 35°C, you'll automatically get a
-              reminder at 6pm tonight to water your plants. This happens whenever
-              weather loads and notification permission has been granted.
-            </Text>
+          <Text style={styles.sectionTitle}>Weather Location</Text>
+
+          <View style={styles.row}>
+            <View style={styles.rowLeft}>
+              <Text style={styles.rowLabel}>
+                {settings.location
+                  ? settings.location.name
+                  : Platform.OS === 'web' ? 'No location set' : 'Using your phone\'s location'}
+              </Text>
+              <Text style={styles.rowSub}>
+                {settings.location
+                  ? 'Weather and alerts are for this place'
+                  : 'Search below to choose a place instead'}
+              </Text>
+            </View>
+            {settings.location && Platform.OS !== 'web' && (
+              <TouchableOpacity onPress={() => updateSettings({ location: null })}>
+                <Text style={styles.linkText}>Use GPS</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+
+          <View style={styles.rowDivider}>
+            <TextInput
+              style={styles.input}
+              placeholder="Suburb, town or postcode"
+              placeholderTextColor={COLORS.textLight}
+              value={placeQuery}
+              onChangeText={setPlaceQuery}
+              autoCorrect={false}
+            />
+            {placeResults.map((place) => (
+              <TouchableOpacity
+                key={`${place.name}-${place.postcode}`}
+                style={styles.placeRow}
+                onPress={() => handlePickPlace(place)}
+              >
+                <Text style={styles.placeName}>{place.name}</Text>
+                <Text style={styles.rowSub}>{place.state} {place.postcode}</Text>
+              </TouchableOpacity>
+            ))}
+            {placeQuery.trim() !== '' && placeResults.length === 0 && (
+              <Text style={styles.placeEmpty}>
+                No match — try a nearby town, or enter coordinates.
+              </Text>
+            )}
           </View>
+
+          {/* Coordinates, for anywhere the list doesn't cover */}
+          {showCoords ? (
+            <View style={styles.coordsBlock}>
+              <View style={styles.coordsRow}>
+                <TextInput
+                  style={[styles.input, styles.coordInput]}
+                  placeholder="Latitude, e.g. -33.87"
+                  placeholderTextColor={COLORS.textLight}
+                  value={latText}
+                  onChangeText={setLatText}
+                  keyboardType="numbers-and-punctuation"
+                />
+                <TextInput
+                  style={[styles.input, styles.coordInput]}
+                  placeholder="Longitude, e.g. 151.21"
+                  placeholderTextColor={COLORS.textLight}
+                  value={lonText}
+                  onChangeText={setLonText}
+                  keyboardType="numbers-and-punctuation"
+                />
+              </View>
+              {coordsError && <Text style={styles.coordsError}>{coordsError}</Text>}
+              <View style={styles.restoreButtons}>
+                <TouchableOpacity
+                  style={styles.restoreCancel}
+                  onPress={() => { setShowCoords(false); setCoordsError(null); }}
+                >
+                  <Text style={styles.restoreCancelText}>Cancel</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.restoreConfirm} onPress={handleSaveCoords}>
+                  <Text style={styles.restoreConfirmText}>Save</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          ) : (
+            <TouchableOpacity style={[styles.row, styles.rowDivider]} onPress={() => setShowCoords(true)}>
+              <Text style={styles.rowLabel}>Enter coordinates</Text>
+              <Text style={styles.rowArrow}>›</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+
+        {/* ── Climate zone ── */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Climate Zone</Text>
+
+          <View style={styles.modeRow}>
+            {[
+              { key: 'south', label: 'Southern hemisphere' },
+              { key: 'north', label: 'Northern hemisphere' },
+            ].map((h) => (
+              <TouchableOpacity
+                key={h.key}
+                style={[styles.modePill, zone.hemisphere === h.key && styles.modePillActive]}
+                onPress={() => updateSettings({ climateZone: zoneIn(zone.climate, h.key).key })}
+              >
+                <Text style={[styles.modePillText, zone.hemisphere === h.key && styles.modePillTextActive]}>
+                  {h.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          {CLIMATE_ZONES.filter((z) => z.hemisphere === zone.hemisphere).map((z) => (
+            <TouchableOpacity
+              key={z.key}
+              style={[styles.row, styles.rowDivider]}
+              onPress={() => updateSettings({ climateZone: z.key })}
+            >
+              <View style={styles.rowLeft}>
+                <Text style={styles.rowLabel}>{z.label}</Text>
+                <Text style={styles.rowSub}>{z.examples}</Text>
+              </View>
+              {z.key === zone.key && <Text style={styles.zoneCheck}>✓</Text>}
+            </TouchableOpacity>
+          ))}
+          <Text style={styles.zoneHint}>
+            Sowing and planting months on Home, Browse and plant pages follow this zone.
+          </Text>
+        </View>
+
+        {/* ── Weather alerts ── */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Weather Alerts</Text>
+
+          {Platform.OS === 'web' ? (
+            <View style={styles.row}>
+              <Text style={styles.rowSub}>
+                🔔 Weather alerts are only available on iOS and Android devices.
+              </Text>
+            </View>
+          ) : (
+            ALERT_OPTIONS.map((option, i) => {
+              const enabled = settings[option.enabledKey];
+              const hour = settings[option.hourKey];
+              const sentAt = deliveryHour(hour, settings);
+              return (
+                <View key={option.enabledKey} style={i > 0 && styles.rowDivider}>
+                  <View style={styles.row}>
+                    <View style={styles.rowLeft}>
+                      <Text style={styles.rowLabel}>{option.emoji} {option.label}</Text>
+                      <Text style={styles.rowSub}>{option.sub}</Text>
+                    </View>
+                    <Switch
+                      value={enabled}
+                      onValueChange={(value) => handleToggleAlert(option.enabledKey, value)}
+                      trackColor={{ false: '#ccc', true: COLORS.primary }}
+                      thumbColor="#fff"
+                    />
+                  </View>
+
+                  {enabled && (
+                    <>
+                      <View style={styles.subRow}>
+                        <View style={styles.rowLeft}>
+                          <Text style={styles.subRowLabel}>{option.thresholdLabel}</Text>
+                          {option.hint && <Text style={styles.rowSub}>{option.hint}</Text>}
+                        </View>
+                        <Stepper
+                          value={settings[option.thresholdKey]}
+                          min={option.min}
+                          max={option.max}
+                          step={option.step}
+                          format={(v) => `${v}${option.unit}`}
+                          onChange={(v) => updateSettings({ [option.thresholdKey]: v })}
+                        />
+                      </View>
+                      <View style={styles.subRow}>
+                        <View style={styles.rowLeft}>
+                          <Text style={styles.subRowLabel}>Send at</Text>
+                          {sentAt !== hour && (
+                            <Text style={styles.rowSub}>
+                              Sent at {formatHour(sentAt)} instead, before quiet hours
+                            </Text>
+                          )}
+                        </View>
+                        <Stepper
+                          value={hour}
+                          min={ALERT_HOUR_MIN}
+                          max={ALERT_HOUR_MAX}
+                          format={formatHour}
+                          onChange={(v) => updateSettings({ [option.hourKey]: v })}
+                        />
+                      </View>
+                    </>
+                  )}
+                </View>
+              );
+            })
+          )}
+        </View>
+
+        {/* ── Quiet hours ── */}
+        {Platform.OS !== 'web' && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Quiet Hours</Text>
+            <View style={styles.row}>
+              <View style={styles.rowLeft}>
+                <Text style={styles.rowLabel}>No weather alerts overnight</Text>
+                <Text style={styles.rowSub}>
+                  An alert due in quiet hours comes in the hour before they start
+                </Text>
+              </View>
+              <Switch
+                value={settings.quietHoursEnabled}
+                onValueChange={(value) => updateSettings({ quietHoursEnabled: value })}
+                trackColor={{ false: '#ccc', true: COLORS.primary }}
+                thumbColor="#fff"
+              />
+            </View>
+            {settings.quietHoursEnabled && (
+              <>
+                <View style={styles.subRow}>
+                  <Text style={styles.subRowLabel}>From</Text>
+                  <Stepper
+                    value={settings.quietStartHour}
+                    min={0}
+                    max={23}
+                    format={formatHour}
+                    onChange={(v) => updateSettings({ quietStartHour: v })}
+                  />
+                </View>
+                <View style={styles.subRow}>
+                  <Text style={styles.subRowLabel}>Until</Text>
+                  <Stepper
+                    value={settings.quietEndHour}
+                    min={0}
+                    max={23}
+                    format={formatHour}
+                    onChange={(v) => updateSettings({ quietEndHour: v })}
+                  />
+                </View>
+              </>
+            )}
+          </View>
+        )}
+
+        {/* ── Alert history ── */}
+        {Platform.OS !== 'web' && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Recent Alerts</Text>
+            {alertHistory.length === 0 ? (
+              <Text style={styles.placeEmpty}>No weather alerts have been sent yet.</Text>
+            ) : (
+              alertHistory.slice(0, HISTORY_SHOWN).map((entry, i) => (
+                <View key={entry.id} style={[styles.historyRow, i > 0 && styles.rowDivider]}>
+                  <View style={styles.rowLeft}>
+                    <Text style={styles.historyTitle}>{entry.title}</Text>
+                    <Text style={styles.rowSub}>{entry.body}</Text>
+                  </View>
+                  <Text style={styles.historyTime}>
+                    {new Date(entry.at).toLocaleDateString(undefined, { day: 'numeric', month: 'short' })}
+                    {'\n'}{formatHour(new Date(entry.at).getHours())}
+                  </Text>
+                </View>
+              ))
+            )}
+          </View>
+        )}
+
+        {/* ── Backup ── */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Backup</Text>
+
+          {Platform.OS === 'web' ? (
+            <View style={styles.row}>
+              <Text style={styles.rowSub}>
+                💾 Backups are only available on iOS and Android devices.
+              </Text>
+            </View>
+          ) : (
+            <>
+              <TouchableOpacity
+                style={styles.row}
+                onPress={handleExport}
+                disabled={backupBusy}
+              >
+                <View style={styles.rowLeft}>
+                  <Text style={styles.rowLabel}>Export backup</Text>
+                  <Text style={styles.rowSub}>
+                    Save every area, plant, journal entry and custom seed to a file
+                  </Text>
+                </View>
+                <Text style={styles.rowArrow}>›</Text>
+              </TouchableOpacity>
+
+              <TouchableOpacity
+                style={[styles.row, styles.rowDivider]}
+                onPress={handlePickRestore}
+                disabled={backupBusy}
+              >
+                <View style={styles.rowLeft}>
+                  <Text style={styles.rowLabel}>Restore from backup</Text>
+                  <Text style={styles.rowSub}>Pick a backup file — you'll see a summary first</Text>
+                </View>
+                <Text style={styles.rowArrow}>›</Text>
+              </TouchableOpacity>
+
+              {/* Dry-run summary — nothing is changed until "Restore" is tapped */}
+              {restoreDoc && (
+                <View style={styles.restoreCard}>
+                  <Text style={styles.restoreTitle}>
+                    Backup from {new Date(restoreDoc.exportedAt).toLocaleDateString()}
+                  </Text>
+
+                  <View style={styles.modeRow}>
+                    {[
+                      { key: 'merge',   label: 'Merge' },
+                      { key: 'replace', label: 'Replace everything' },
+                    ].map((m) => (
+                      <TouchableOpacity
+                        key={m.key}
+                        style={[styles.modePill, restoreMode === m.key && styles.modePillActive]}
+                        onPress={() => handleRestoreMode(m.key)}
+                      >
+                        <Text style={[styles.modePillText, restoreMode === m.key && styles.modePillTextActive]}>
+                          {m.label}
+                        </Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+
+                  {restoreSummary.map((line) => (
+                    <View key={line.table} style={styles.summaryRow}>
+                      <Text style={styles.summaryLabel}>{line.label}</Text>
+                      <Text style={styles.summaryValue}>
+                        {line.added} new · {line.updated} updated
+                        {line.removed > 0 ? ` · ${line.removed} removed` : ''}
+                      </Text>
+                    </View>
+                  ))}
+
+                  <Text style={styles.rowSub}>
+                    {restoreMode === 'merge'
+                      ? 'Items with the same id are overwritten; everything else is kept.'
+                      : 'Your current garden, custom seeds and settings are deleted first.'}
+                  </Text>
+
+                  <View style={styles.restoreButtons}>
+                    <TouchableOpacity
+                      style={styles.restoreCancel}
+                      onPress={() => setRestoreDoc(null)}
+                      disabled={backupBusy}
+                    >
+                      <Text style={styles.restoreCancelText}>Cancel</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      style={[styles.restoreConfirm, backupBusy && { opacity: 0.5 }]}
+                      onPress={handleConfirmRestore}
+                      disabled={backupBusy}
+                    >
+                      <Text style={styles.restoreConfirmText}>Restore</Text>
+                    </TouchableOpacity>
+                  </View>
+                </View>
+              )}
+
+              {backupMsg && (
+                <Text style={[styles.backupMsg, backupMsg.error && styles.backupMsgError]}>
+                  {backupMsg.text}
+                </Text>
+              )}
+            </>
+          )}
         </View>
 
       </ScrollView>
@@ -218,18 +733,108 @@ const styles = StyleSheet.create({
     width: '100%',
   },
 
-  // Info block for hot-day alerts (read-only)
-  infoRow: {
+  rowArrow: { fontSize: 22, color: COLORS.textLight },
+
+  // Indented setting under a toggle, e.g. an alert's threshold
+  subRow: {
     flexDirection: 'row',
-    gap: 12,
-    paddingBottom: 14,
-    alignItems: 'flex-start',
-  },
-  infoEmoji: { fontSize: 22, marginTop: 1 },
-  infoText: {
-    flex: 1,
-    fontSize: 13,
-    color: COLORS.textLight,
-    lineHeight: 20,
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingVertical: 10,
+    paddingLeft: 12,
+  },
+  subRowLabel: { fontSize: 14, color: COLORS.text },
+
+  // − 2°C + control (Stepper)
+  stepper: { flexDirection: 'row', alignItems: 'center', gap: 10 },
+  stepperBtn: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    backgroundColor: '#eaf7eb',
+    alignItems: 'center',
+    justifyContent: 'center',
   },
+  stepperBtnText: { fontSize: 18, color: COLORS.primary, fontWeight: '700' },
+  stepperValue: { fontSize: 15, fontWeight: '700', color: COLORS.text, minWidth: 56, textAlign: 'center' },
+  rowDivider: { borderTopWidth: 1, borderTopColor: COLORS.border },
+
+  // Weather location search and coordinates
+  input: {
+    backgroundColor: '#f5f9f5',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    paddingHorizontal: 12,
+    paddingVertical: 9,
+    fontSize: 14,
+    color: COLORS.text,
+    marginVertical: 12,
+  },
+  placeRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 9,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.border,
+  },
+  placeName: { fontSize: 14, color: COLORS.text, fontWeight: '500' },
+  placeEmpty: { fontSize: 12, color: COLORS.textLight, paddingBottom: 12 },
+  linkText: { fontSize: 13, color: COLORS.primary, fontWeight: '700' },
+  coordsBlock: { borderTopWidth: 1, borderTopColor: COLORS.border, paddingBottom: 12 },
+  coordsRow: { flexDirection: 'row', gap: 8 },
+  coordInput: { flex: 1, marginBottom: 4 },
+  coordsError: { fontSize: 12, color: '#c00', marginTop: 4 },
+
+  // Climate zone list
+  zoneCheck: { fontSize: 18, color: COLORS.primary, fontWeight: '700' },
+  zoneHint: { fontSize: 12, color: COLORS.textLight, paddingBottom: 12 },
+
+  // Restore dry-run summary
+  restoreCard: {
+    backgroundColor: '#f5f9f5',
+    borderRadius: 10,
+    padding: 12,
+    marginBottom: 12,
+    gap: 6,
+  },
+  restoreTitle: { fontSize: 14, fontWeight: '700', color: COLORS.text },
+  modeRow: { flexDirection: 'row', gap: 8, marginVertical: 4 },
+  modePill: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: '#f0f4f0',
+    borderWidth: 1.5,
+    borderColor: 'transparent',
+  },
+  modePillActive: { borderColor: COLORS.primary, backgroundColor: '#eaf7eb' },
+  modePillText: { fontSize: 12, color: COLORS.text, fontWeight: '500' },
+  modePillTextActive: { color: COLORS.primary, fontWeight: '700' },
+  summaryRow: { flexDirection: 'row', justifyContent: 'space-between' },
+  summaryLabel: { fontSize: 13, color: COLORS.text },
+  summaryValue: { fontSize: 13, color: COLORS.textLight },
+  restoreButtons: { flexDirection: 'row', justifyContent: 'flex-end', gap: 8, marginTop: 6 },
+  restoreCancel: {
+    paddingHorizontal: 14,
+    paddingVertical: 7,
+    borderRadius: 8,
+    backgroundColor: '#eee',
+  },
+  restoreCancelText: { fontSize: 13, color: COLORS.text, fontWeight: '600' },
+  restoreConfirm: {
+    paddingHorizontal: 14,
+    paddingVertical: 7,
+    borderRadius: 8,
+    backgroundColor: COLORS.primary,
+  },
+  restoreConfirmText: { fontSize: 13, color: '#fff', fontWeight: '700' },
+  backupMsg: { fontSize: 12, color: COLORS.primary, paddingBottom: 12 },
+  backupMsgError: { color: '#c00' },
+
+  // Recent alerts list
+  historyRow: { flexDirection: 'row', alignItems: 'flex-start', paddingVertical: 10 },
+  historyTitle: { fontSize: 14, fontWeight: '600', color: COLORS.text },
+  historyTime: { fontSize: 12, color: COLORS.textLight, textAlign: 'right' },
 });
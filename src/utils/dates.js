@@ -0,0 +1,65 @@
+/**
+ * dates.js
+ * ─────────────────────────────────────────────
+ * Small helpers for the plain "YYYY-MM-DD" dates stored in the database
+ * (plants.planted_date, journal_entries.date).
+ *
+ * These always work in the device's LOCAL time. new Date('2026-03-03') and
+ * toISOString() both use UTC, which shifts the day by one for anyone east or
+ * west of Greenwich depending on the time of day.
+ */
+
+// Date object → "2026-03-03" (local calendar day)
+export function toLocalISODate(date) {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, '0');
+  const d = String(date.getDate()).padStart(2, '0');
+  return `${y}-${m}-${d}`;
+}
+
+// "2026-03-03" → Date at local midnight, or null if the string isn't a valid date
+export function parseISODate(str) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(str || '');
+  if (!match) return null;
+  const [, y, m, d] = match.map(Number);
+  const date = new Date(y, m - 1, d);
+  // Reject impossible dates like 2026-02-31 (which JS would roll into March)
+  if (date.getMonth() !== m - 1 || date.getDate() !== d) return null;
+  return date;
+}
+
+// True if two Date objects fall on the same local calendar day
+export function isSameDay(a, b) {
+  return toLocalISODate(a) === toLocalISODate(b);
+}
+
+// Formats a stored date for display in the device's own locale,
+// e.g. "3 Mar 2026" in Australia or "Mar 3, 2026" in the US.
+// Anything that isn't a "YYYY-MM-DD" date is shown as-is.
+export function formatDisplayDate(str, options = { day: 'numeric', month: 'short', year: 'numeric' }) {
+  const date = parseISODate(str);
+  return date ? date.toLocaleDateString(undefined, options) : (str || '');
+}
+
+const MONTH_ABBREVIATIONS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Converts a journal date written by older versions of the app
+ * (toLocaleDateString('en-AU') — "3 Mar 2026", "3 Sept 2026", "3 March 2026")
+ * into "2026-03-03". Dates that are already ISO are returned unchanged.
+ * Returns null if the string can't be understood.
+ */
+export function legacyDateToISO(str) {
+  const trimmed = (str || '').trim();
+  if (parseISODate(trimmed)) return trimmed.slice(0, 10);
+
+  const match = /^(\d{1,2})\s+([A-Za-z]+)\.?,?\s+(\d{4})$/.exec(trimmed);
+  if (!match) return null;
+  const [, day, monthName, year] = match;
+  const month = MONTH_ABBREVIATIONS.indexOf(monthName.slice(0, 3).toLowerCase());
+  if (month === -1) return null;
+
+  const date = new Date(Number(year), month, Number(day));
+  if (date.getDate() !== Number(day)) return null;   // e.g. "31 Feb 2026"
+  return toLocalISODate(date);
+}
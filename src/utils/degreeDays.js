@@ -0,0 +1,103 @@
+/**
+ * degreeDays.js
+ * ─────────────────────────────────────────────
+ * Growing degree days (GDD): a plant's progress toward harvest measured in
+ * warmth rather than weeks. Each day adds how far its average temperature
+ * was above the crop's base temperature (gdd_base_c in crops.json — below
+ * that, the crop barely grows). A warm week moves a tomato along much
+ * further than a cool one.
+ *
+ * crops.json only says how many weeks a crop usually takes, so the warmth
+ * it needs is estimated as those weeks at a typical growing-season day in
+ * SE Australia, where the crop data comes from. The harvest window is then
+ * the days left at the warmth the plant has actually been getting:
+ * it starts wide and tightens as more days are measured and as harvest gets
+ * closer.
+ */
+
+import { parseISODate, toLocalISODate } from './dates';
+
+// Days are capped here — growth doesn't keep speeding up in the heat
+const MAX_TEMP_CAP_C = 30;
+
+// Degree days a typical growing-season day gives, by base temperature:
+// warm-season crops (base 10°C) in summer, cool-season crops (base 5°C)
+// in autumn to spring
+const TYPICAL_DAILY_GDD = { warm: 11, cool: 8 };
+
+// Days of measurements after which the plant's own rate of warming is trusted
+const FULL_CONFIDENCE_DAYS = 28;
+
+function typicalDaily(base) {
+  return base >= 8 ? TYPICAL_DAILY_GDD.warm : TYPICAL_DAILY_GDD.cool;
+}
+
+// Degree days for one day's { maxTemp, minTemp }. Temperatures below the
+// base count as the base, so a cold night doesn't undo a warm afternoon.
+export function dailyDegreeDays(day, base) {
+  const max = Math.max(Math.min(day.maxTemp, MAX_TEMP_CAP_C), base);
+  const min = Math.max(Math.min(day.minTemp, max), base);
+  return (max + min) / 2 - base;
+}
+
+// Degree days a crop needs from planting to harvest, or null if
+// crops.json doesn't give enough to work it out (e.g. fruit trees)
+export function expectedDegreeDays(crop) {
+  if (!crop?.weeks_to_harvest || typeof crop.gdd_base_c !== 'number') return null;
+  return Math.round(crop.weeks_to_harvest * 7 * typicalDaily(crop.gdd_base_c));
+}
+
+/**
+ * How far a plant is toward harvest.
+ *   temps — { "YYYY-MM-DD": { maxTemp, minTemp } } of past days at the
+ *           garden; days missing from it are estimated
+ * Returns null if the plant has no planted date or its crop has no GDD data,
+ * otherwise { accumulated, target, progress, measuredDays, ready, early, late }
+ * where early and late are Dates bounding the expected harvest window.
+ */
+export function harvestOutlook(plant, crop, temps, today = new Date()) {
+  const target = expectedDegreeDays(crop);
+  const planted = parseISODate(plant.plantedDate);
+  if (!target || !planted) return null;
+  const base = crop.gdd_base_c;
+
+  // Add up the measured days since planting, up to yesterday
+  let measured = 0;
+  let measuredDays = 0;
+  let missingDays = 0;
+  const todayISO = toLocalISODate(today);
+  for (const day = new Date(planted); toLocalISODate(day) < todayISO; day.setDate(day.getDate() + 1)) {
+    const temp = temps[toLocalISODate(day)];
+    if (temp && temp.maxTemp !== null && temp.minTemp !== null) {
+      measured += dailyDegreeDays(temp, base);
+      measuredDays += 1;
+    } else {
+      missingDays += 1;
+    }
+  }
+
+  // Until there's a few days of data, assume a typical day
+  const rate = measuredDays >= 7 ? Math.max(measured / measuredDays, 1) : typicalDaily(base);
+  const accumulated = Math.round(measured + missingDays * rate);
+  const remaining = Math.max(0, target - accumulated);
+
+  // ±40% with no data, narrowing to ±15% once the plant's own rate is known
+  const confidence = Math.min(measuredDays, FULL_CONFIDENCE_DAYS) / FULL_CONFIDENCE_DAYS;
+  const spread = 0.15 + 0.25 * (1 - confidence);
+  const daysLeft = remaining / rate;
+
+  const early = new Date(today);
+  early.setDate(early.getDate() + Math.round(daysLeft * (1 - spread)));
+  const late = new Date(today);
+  late.setDate(late.getDate() + Math.round(daysLeft * (1 + spread)));
+
+  return {
+    accumulated,
+    target,
+    progress: Math.min(1, accumulated / target),
+    measuredDays,
+    ready: remaining === 0,
+    early,
+    late,
+  };
+}
@@ -0,0 +1,78 @@
+/**
+ * forecast.js
+ * ─────────────────────────────────────────────
+ * Rules of thumb for what a day's weather is good for in the garden, used
+ * by ForecastScreen. Each rule only looks at that day's forecast (see the
+ * day shape in weather/index.js) — a missing value never rules a day out.
+ *
+ *   Sowing        mild (12–30°C), no frost, not a downpour, not windy
+ *   Transplanting mild (max ≤ 28°C), above the frost threshold, calm, and
+ *                 not harsh sun — seedlings settle in best on a soft day
+ *   Spraying      calm (< 15 km/h, so it doesn't drift), dry, under 30°C
+ *                 (sprays scorch leaves in heat)
+ *   Watering      little rain due and a warm or drying day
+ */
+
+const HEAT_DAY_C = 35;   // seedlings wilt and scorch above this
+
+// Planting stages where a plant is still young enough to be set back by a
+// single hot or frosty day
+const YOUNG_STAGES = ['planted', 'sprouted'];
+
+export const ACTIVITIES = [
+  { key: 'sowing',        label: 'Sow',        emoji: '🌰' },
+  { key: 'transplanting', label: 'Transplant', emoji: '🌱' },
+  { key: 'spraying',      label: 'Spray',      emoji: '🧴' },
+  { key: 'watering',      label: 'Water',      emoji: '🪣' },
+];
+
+// value < limit, treating a missing value as fine
+function below(value, limit) {
+  return value === null || value === undefined || value < limit;
+}
+
+/**
+ * What the day is good for: { sowing, transplanting, spraying, watering },
+ * each true or false. frostThreshold is the °C set in Settings.
+ */
+export function daySuitability(day, frostThreshold) {
+  const frosty = day.minTemp < frostThreshold;
+  return {
+    sowing:
+      !frosty && day.maxTemp >= 12 && day.maxTemp <= 30 &&
+      below(day.rainMm, 15) && below(day.windKmh, 30),
+    transplanting:
+      !frosty && day.maxTemp <= 28 &&
+      below(day.rainMm, 20) && below(day.windKmh, 25) && below(day.uvIndex, 9),
+    spraying:
+      day.maxTemp < 30 && below(day.windKmh, 15) &&
+      below(day.rainMm, 1) && below(day.rainChance, 40),
+    watering:
+      below(day.rainMm, 3) && below(day.rainChance, 50) &&
+      (day.maxTemp >= 24 || (day.evaporationMm ?? 0) >= 4),
+  };
+}
+
+// 'heat', 'frost' or null — days that can set back young plants
+export function dayRisk(day, frostThreshold) {
+  if (day.maxTemp >= HEAT_DAY_C) return 'heat';
+  if (day.minTemp < frostThreshold) return 'frost';
+  return null;
+}
+
+/**
+ * Names of the plants in the Planted or Sprouted stage, e.g. ['Basil',
+ * 'Cherry Tomato'] — the ones to call out on heat and frost days. Each crop
+ * is named once, however many are planted.
+ */
+export function youngPlantNames(areas) {
+  const names = new Set();
+  for (const area of areas) {
+    for (const plant of area.plants) {
+      if (YOUNG_STAGES.includes(plant.stage)) {
+        names.add((plant.seedTitle || 'Unnamed plant').replace(/\s+seeds?$/i, ''));
+      }
+    }
+  }
+  return [...names].sort();
+}
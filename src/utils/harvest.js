@@ -0,0 +1,155 @@
+/**
+ * harvest.js
+ * ─────────────────────────────────────────────
+ * Units, seasons and yield totals for harvest journal entries
+ * (journal entries with type 'harvest', a quantity and a unit).
+ *
+ * Totals are kept per kind of unit rather than converted into one number:
+ * weights are added up in grams, while counts ("12 tomatoes") and bunches
+ * ("2 bunches of basil") can't be turned into a weight, so they're added
+ * up separately and shown side by side — e.g. "2.4 kg · 12 pcs".
+ */
+
+import { parseISODate } from './dates';
+
+// Units offered when logging a harvest. grams is set for weights only.
+export const HARVEST_UNITS = [
+  { key: 'g',     label: 'g',       kind: 'weight', grams: 1 },
+  { key: 'kg',    label: 'kg',      kind: 'weight', grams: 1000 },
+  { key: 'count', label: 'pcs',     kind: 'count' },
+  { key: 'bunch', label: 'bunches', kind: 'bunch' },
+];
+
+const UNIT_MAP = Object.fromEntries(HARVEST_UNITS.map((u) => [u.key, u]));
+
+// ── Seasons ──────────────────────────────────────────────────
+// A season runs from July to June, so a summer's harvest isn't split across
+// two years in the southern hemisphere (where the app's crop data comes from).
+// Seasons are identified by the year they start in: 2025 → "2025–26".
+const SEASON_START_MONTH = 6;   // July, as a 0-based month
+
+// The season a Date falls in
+export function seasonOf(date = new Date()) {
+  return date.getMonth() >= SEASON_START_MONTH ? date.getFullYear() : date.getFullYear() - 1;
+}
+
+// 2025 → "2025–26"
+export function seasonLabel(season) {
+  return `${season}–${String(season + 1).slice(-2)}`;
+}
+
+// True if a stored "YYYY-MM-DD" date is inside the season
+function inSeason(isoDate, season) {
+  const date = parseISODate(isoDate);
+  return !!date && seasonOf(date) === season;
+}
+
+// ── Totals ───────────────────────────────────────────────────
+
+// An empty set of totals
+function emptyTotals() {
+  return { grams: 0, count: 0, bunch: 0 };
+}
+
+function addEntry(totals, entry) {
+  const unit = UNIT_MAP[entry.unit];
+  const quantity = Number(entry.quantity);
+  if (!unit || !(quantity > 0)) return;
+  if (unit.kind === 'weight') totals.grams += quantity * unit.grams;
+  else totals[unit.kind] += quantity;
+}
+
+function addTotals(into, totals) {
+  into.grams += totals.grams;
+  into.count += totals.count;
+  into.bunch += totals.bunch;
+}
+
+// True if nothing has been harvested
+export function isEmptyYield(totals) {
+  return totals.grams === 0 && totals.count === 0 && totals.bunch === 0;
+}
+
+// Totals for one plant's harvests in the season
+export function plantYield(plant, season) {
+  const totals = emptyTotals();
+  for (const entry of plant.journal || []) {
+    if (entry.type === 'harvest' && inSeason(entry.date, season)) addEntry(totals, entry);
+  }
+  return totals;
+}
+
+// Totals for every plant in an area, in the season
+export function areaYield(area, season) {
+  const totals = emptyTotals();
+  for (const plant of area.plants) addTotals(totals, plantYield(plant, season));
+  return totals;
+}
+
+/**
+ * Totals per crop across the whole garden for the season, heaviest first.
+ * Plants of the same crop in different areas are added together — they're
+ * matched by seed id, or by name for plants added manually.
+ * Returns [{ key, title, plantCount, totals }], skipping crops with no harvest.
+ */
+export function cropYields(areas, season) {
+  const crops = new Map();
+  for (const area of areas) {
+    for (const plant of area.plants) {
+      const totals = plantYield(plant, season);
+      if (isEmptyYield(totals)) continue;
+
+      const title = (plant.seedTitle || 'Unnamed plant').replace(/\s+seeds?$/i, '');
+      const key = plant.seedId ? String(plant.seedId) : title.toLowerCase();
+      if (!crops.has(key)) crops.set(key, { key, title, plantCount: 0, totals: emptyTotals() });
+      const crop = crops.get(key);
+      crop.plantCount += 1;
+      addTotals(crop.totals, totals);
+    }
+  }
+  return [...crops.values()].sort(
+    (a, b) => b.totals.grams - a.totals.grams || b.totals.count - a.totals.count
+  );
+}
+
+// Every season that has at least one harvest, newest first
+export function harvestSeasons(areas) {
+  const seasons = new Set();
+  for (const area of areas) {
+    for (const plant of area.plants) {
+      for (const entry of plant.journal || []) {
+        const date = entry.type === 'harvest' && parseISODate(entry.date);
+        if (date) seasons.add(seasonOf(date));
+      }
+    }
+  }
+  return [...seasons].sort((a, b) => b - a);
+}
+
+// ── Formatting ───────────────────────────────────────────────
+
+// Drops trailing zeros: 2.50 → "2.5", 3.0 → "3"
+function formatNumber(n) {
+  return String(Math.round(n * 10) / 10);
+}
+
+// One harvest entry, e.g. "1.2 kg" or "6 pcs"
+export function formatQuantity(quantity, unitKey) {
+  const unit = UNIT_MAP[unitKey];
+  return `${formatNumber(Number(quantity))} ${unit ? unit.label : unitKey || ''}`.trim();
+}
+
+// A set of totals, e.g. "2.4 kg · 12 pcs · 2 bunches" ('' if empty)
+export function formatYield(totals) {
+  const parts = [];
+  if (totals.grams > 0) {
+    parts.push(totals.grams >= 1000
+      ? `${formatNumber(totals.grams / 1000)} kg`
+      : `${formatNumber(totals.grams)} g`);
+  }
+  if (totals.count > 0) parts.push(`${formatNumber(totals.count)} pcs`);
+  if (totals.bunch > 0) {
+    parts.push(`${formatNumber(totals.bunch)} bunch${totals.bunch === 1 ? '' : 'es'}`);
+  }
+  return parts.join(' · ');
+}
@@ -0,0 +1,58 @@
+/**
+ * places.js
+ * ─────────────────────────────────────────────
+ * Finds a weather location without GPS or a network connection, for users
+ * who turned location access off or are on the web.
+ *
+ * Searches a small gazetteer bundled with the app (data/places_australia.json):
+ * capital cities, their larger suburbs and the main regional towns, each with
+ * a postcode and coordinates. Anyone not near one of those can type their
+ * latitude and longitude instead — see parseCoordinates().
+ */
+
+import PLACES from '../data/places_australia.json';
+
+const MAX_RESULTS = 8;
+
+// "Fitzroy VIC 3065"
+export function placeLabel(place) {
+  return `${place.name} ${place.state} ${place.postcode}`;
+}
+
+/**
+ * Places matching what the user typed, best matches first.
+ *   - digits   → postcodes starting with them ("30" finds every 30xx)
+ *   - anything else → names (or regions like "Gold Coast") starting with it,
+ *     then names containing it
+ */
+export function searchPlaces(query) {
+  const q = (query || '').trim().toLowerCase();
+  if (!q) return [];
+
+  if (/^\d+$/.test(q)) {
+    return PLACES.filter((p) => p.postcode.startsWith(q)).slice(0, MAX_RESULTS);
+  }
+
+  const starts = [];
+  const contains = [];
+  for (const place of PLACES) {
+    const name = place.name.toLowerCase();
+    const region = (place.region || '').toLowerCase();
+    if (name.startsWith(q) || region.startsWith(q)) starts.push(place);
+    else if (name.includes(q)) contains.push(place);
+  }
+  return [...starts, ...contains].slice(0, MAX_RESULTS);
+}
+
+/**
+ * Reads typed coordinates. Returns { latitude, longitude } or null if either
+ * isn't a number in range. Accepts "-33.87" as well as "-33,87" (comma decimals).
+ */
+export function parseCoordinates(latText, lonText) {
+  const latitude  = Number(String(latText).trim().replace(',', '.'));
+  const longitude = Number(String(lonText).trim().replace(',', '.'));
+  if (String(latText).trim() === '' || String(lonText).trim() === '') return null;
+  if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90) return null;
+  if (!Number.isFinite(longitude) || longitude < -180 || longitude > 180) return null;
+  return { latitude, longitude };
+}
@@ -0,0 +1,94 @@
+/**
+ * reminders.js
+ * ─────────────────────────────────────────────
+ * The daily garden check-in reminder, turned on in Settings.
+ *
+ * Rather than one repeating notification that always says the same thing,
+ * the reminder is a run of one-off notifications, one a day for the next
+ * two weeks. That lets each day's text follow the forecast: when useWeather
+ * has watering advice for that day, the reminder carries it ("Skip watering
+ * today — 18 mm of rain yesterday"); otherwise it's the plain check-in.
+ *
+ * The run is rebuilt every time fresh weather loads and whenever the
+ * reminder time changes, so it only runs out if the app isn't opened
+ * for two weeks.
+ */
+
+import { Platform } from 'react-native';
+import { kvGet, kvSet, kvRemove } from '../database/db';
+// expo-notifications is required dynamically inside functions below
+// so it never loads on web (static imports run regardless of Platform.OS checks)
+import { toLocalISODate } from './dates';
+
+// Ids of the scheduled reminders, as a JSON list — older versions stored a
+// single repeating reminder's id as a plain string
+const DAILY_NOTIF_ID_KEY = 'daily_notif_id';
+// The latest watering advice from useWeather: [{ date, message, ... }]
+const WATERING_ADVICE_KEY = 'watering_advice';
+
+const DAYS_AHEAD = 14;
+const DEFAULT_BODY = 'Time to check your garden!';
+
+// Scheduling and cancelling both read and rewrite the saved ids, so they run
+// one at a time — Settings and useWeather can ask at the same moment
+let queue = Promise.resolve();
+function serially(task) {
+  const run = queue.then(task, task);
+  queue = run.catch(() => {});
+  return run;
+}
+
+async function cancelScheduled() {
+  const raw = await kvGet(DAILY_NOTIF_ID_KEY);
+  if (!raw) return;
+  const ids = raw.startsWith('[') ? JSON.parse(raw) : [raw];
+  const Notifications = require('expo-notifications');
+  for (const id of ids) {
+    await Notifications.cancelScheduledNotificationAsync(id).catch(() => {});
+  }
+  await kvRemove(DAILY_NOTIF_ID_KEY);
+}
+
+// Schedules (or reschedules) the daily garden reminder at hour:minute
+export function scheduleDaily(hour, minute) {
+  if (Platform.OS === 'web') return Promise.resolve();   // not supported in browsers
+  return serially(async () => {
+    await cancelScheduled();   // always cancel the old ones first to avoid stacking
+    const Notifications = require('expo-notifications');
+
+    const advice = JSON.parse((await kvGet(WATERING_ADVICE_KEY)) || '[]');
+    const adviceByDate = new Map(advice.map((a) => [a.date, a]));
+
+    const ids = [];
+    const when = new Date();
+    when.setHours(hour, minute, 0, 0);
+    if (when <= new Date()) when.setDate(when.getDate() + 1);   // today's has passed
+
+    for (let day = 0; day < DAYS_AHEAD; day++) {
+      const id = await Notifications.scheduleNotificationAsync({
+        content: {
+          title: 'Garden check-in 🌱',
+          body: adviceByDate.get(toLocalISODate(when))?.message || DEFAULT_BODY,
+          sound: true,
+        },
+        trigger: new Date(when),   // fires once at this exact time
+      });
+      ids.push(id);
+      when.setDate(when.getDate() + 1);
+    }
+    // Save the ids so we can cancel them when the user turns reminders off
+    await kvSet(DAILY_NOTIF_ID_KEY, JSON.stringify(ids));
+  });
+}
+
+// Cancels the daily reminders (if any)
+export function cancelDaily() {
+  if (Platform.OS === 'web') return Promise.resolve();   // not supported in browsers
+  return serially(cancelScheduled);
+}
+
+// Stores the advice the next reminders should carry. Call scheduleDaily()
+// afterwards to put it into the ones already scheduled.
+export function saveWateringAdvice(advice) {
+  return kvSet(WATERING_ADVICE_KEY, JSON.stringify(advice));
+}
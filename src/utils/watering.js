@@ -0,0 +1,81 @@
+/**
+ * watering.js
+ * ─────────────────────────────────────────────
+ * Turns the daily rain and evaporation figures from the weather provider
+ * (see weather/index.js) into a one-line watering tip, e.g. "Skip watering
+ * today — 18 mm of rain yesterday" or "Dry and 30°C — water pots first,
+ * then beds".
+ *
+ * The soil-moisture estimate is deliberately rough: rain over the last three
+ * days minus what the sun and wind took back out (FAO reference
+ * evapotranspiration, et0). Above zero the soil has had more water than it
+ * lost; below zero it's drying out. It can't know about sprinklers, mulch or
+ * how sandy the soil is, so the tips stay cautious — "check before watering"
+ * rather than "don't water".
+ */
+
+const MOISTURE_DAYS = 3;      // days of rain and evaporation the estimate looks back over
+const SOAKING_RAIN_MM = 10;   // a day with this much rain waters the garden for you
+const LIGHT_RAIN_MM = 3;      // enough to wet beds, not enough to reach pots under eaves
+const HOT_DAY_C = 30;         // pots dry out fastest above this
+
+function mm(value) {
+  return Math.round(value * 10) / 10;
+}
+
+// Rain minus evaporation over the days before `index`, in mm
+function moistureBalance(days, index) {
+  let balance = 0;
+  for (let i = Math.max(0, index - MOISTURE_DAYS); i < index; i++) {
+    balance += (days[i].rainMm ?? 0) - (days[i].evaporationMm ?? 0);
+  }
+  return mm(balance);
+}
+
+/**
+ * Watering advice for one day of a daily forecast — `index` is that day's
+ * position in the list, and there should be at least one day before it.
+ *
+ * Returns { date, level, emoji, message, moistureMm }, where level is
+ *   'skip'  — it has rained (or will) enough that watering isn't needed
+ *   'check' — soil should still be damp, or light rain is coming
+ *   'water' — dry, so water as usual
+ */
+export function wateringAdvice(days, index) {
+  const rainBefore = mm(days[index - 1]?.rainMm ?? 0);
+  const rainToday  = mm(days[index].rainMm ?? 0);
+  const high       = Math.round(days[index].maxTemp);
+  const moistureMm = moistureBalance(days, index);
+
+  const advice = (level, emoji, message) => ({
+    date: days[index].date, level, emoji, message, moistureMm,
+  });
+
+  if (rainBefore >= SOAKING_RAIN_MM) {
+    return advice('skip', '🌧️', `Skip watering today — ${rainBefore} mm of rain yesterday.`);
+  }
+  if (rainToday >= SOAKING_RAIN_MM) {
+    return advice('skip', '☔', `Skip watering today — ${rainToday} mm of rain on the way.`);
+  }
+  if (moistureMm >= 0) {
+    return advice('check', '💧', 'Soil should still be damp from recent rain — check before watering.');
+  }
+  if (rainToday >= LIGHT_RAIN_MM) {
+    return advice('check', '🌦️', `Only ${rainToday} mm of rain due — water pots, let it do the beds.`);
+  }
+  if (high >= HOT_DAY_C) {
+    return advice('water', '🥵', `Dry and ${high}°C — water pots first, then beds.`);
+  }
+  return advice('water', '🪣', 'No rain lately — give the beds a deep soak.');
+}
+
+/**
+ * Advice for today and tomorrow, for the home screen card and the daily
+ * reminder (which may next go off tomorrow). `today` is today's position
+ * in the list.
+ */
+export function wateringForecast(days, today) {
+  return [today, today + 1]
+    .filter((i) => i > 0 && i < days.length)
+    .map((i) => wateringAdvice(days, i));
+}
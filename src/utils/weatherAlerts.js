@@ -0,0 +1,208 @@
+/**
+ * weatherAlerts.js
+ * ─────────────────────────────────────────────
+ * The hot-day, frost and wind/storm alerts. Each can be switched on or off
+ * in Settings and has its own threshold and delivery time; all three are
+ * about the night ahead or tomorrow, so they go out the same day.
+ *
+ * useWeather calls syncWeatherAlerts() whenever a fresh forecast loads or
+ * the alert settings change. At most one of each alert is scheduled a day,
+ * and it's rescheduled if its text or time would change (e.g. the user
+ * lowered the frost threshold or planted more tomatoes), or cancelled if
+ * the risk goes away.
+ *
+ * Quiet hours: an alert timed inside them goes out in the hour before they
+ * start instead — a frost warning is no use the next morning.
+ *
+ * Every alert scheduled is also logged, so Settings can list the ones that
+ * have gone out. One cancelled before its time is taken off the log again.
+ */
+
+import { Platform } from 'react-native';
+import { kvGet, kvSet, kvRemove } from '../database/db';
+// expo-notifications is required dynamically inside functions below
+// so it never loads on web (static imports run regardless of Platform.OS checks)
+import { toLocalISODate } from './dates';
+
+// { date, title, body, at, id } of each alert scheduled today, under
+// 'hot_alert', 'frost_alert' and 'wind_alert'
+const alertKey = (kind) => `${kind}_alert`;
+// Every alert scheduled, oldest first: [{ id, kind, title, body, at }]
+const ALERT_HISTORY_KEY = 'alert_history';
+const HISTORY_LIMIT = 50;
+
+// WMO codes 95–99 are thunderstorms
+const THUNDERSTORM_CODE = 95;
+
+// "Tomato", "Tomato and Basil", "Tomato, Basil and 3 more"
+function listPlants(names) {
+  if (names.length === 1) return names[0];
+  if (names.length <= 3) return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+  return `${names.slice(0, 2).join(', ')} and ${names.length - 2} more`;
+}
+
+// Each alert's settings and what it says. message() gets tomorrow's forecast
+// day and returns { title, body }, or null if there's nothing to warn about.
+const ALERTS = [
+  {
+    kind: 'hot',
+    enabledKey: 'hotAlertsEnabled',
+    hourKey: 'hotAlertHour',
+    message(tomorrow, settings) {
+      const max = Math.round(tomorrow.maxTemp);
+      if (!(max > settings.hotThreshold)) return null;
+      return {
+        title: 'Hot day tomorrow ☀️',
+        body: `${max}°C forecast — consider watering your plants tonight!`,
+      };
+    },
+  },
+  {
+    kind: 'frost',
+    enabledKey: 'frostAlertsEnabled',
+    hourKey: 'frostAlertHour',
+    // Tomorrow's minimum is the overnight low, reached around dawn
+    message(tomorrow, settings, frostPlants) {
+      const min = Math.round(tomorrow.minTemp);
+      if (!(min < settings.frostThreshold) || frostPlants.length === 0) return null;
+      return {
+        title: 'Frost tonight ❄️',
+        body: `Low of ${min}°C tonight — cover or bring in ${listPlants(frostPlants)}.`,
+      };
+    },
+  },
+  {
+    kind: 'wind',
+    enabledKey: 'windAlertsEnabled',
+    hourKey: 'windAlertHour',
+    message(tomorrow, settings) {
+      const wind = Math.round(tomorrow.windKmh ?? 0);
+      if (tomorrow.weatherCode >= THUNDERSTORM_CODE) {
+        return {
+          title: 'Storms tomorrow ⛈️',
+          body: 'Thunderstorms forecast — stake tall plants and put pots and covers somewhere sheltered.',
+        };
+      }
+      if (!(wind >= settings.windThreshold)) return null;
+      return {
+        title: 'Windy day tomorrow 💨',
+        body: `Winds up to ${wind} km/h forecast — stake tall plants and tie down covers.`,
+      };
+    },
+  },
+];
+
+// ── Quiet hours ──────────────────────────────────────────────
+
+// Whether an hour (0–23) falls inside quiet hours, which may run past midnight
+export function inQuietHours(hour, settings) {
+  if (!settings.quietHoursEnabled) return false;
+  const start = settings.quietStartHour;
+  const end = settings.quietEndHour;
+  if (start === end) return false;
+  return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+}
+
+// The hour an alert set for `hour` actually goes out
+export function deliveryHour(hour, settings) {
+  return inQuietHours(hour, settings) ? (settings.quietStartHour + 23) % 24 : hour;
+}
+
+// ── Scheduling ───────────────────────────────────────────────
+
+// Alerts and the log are read and rewritten together, so syncs run one at
+// a time — a forecast and a settings change can land at the same moment
+let queue = Promise.resolve();
+function serially(task) {
+  const run = queue.then(task, task);
+  queue = run.catch(() => {});
+  return run;
+}
+
+async function readHistory() {
+  return JSON.parse((await kvGet(ALERT_HISTORY_KEY)) || '[]');
+}
+
+async function writeHistory(history) {
+  await kvSet(ALERT_HISTORY_KEY, JSON.stringify(history.slice(-HISTORY_LIMIT)));
+}
+
+// Brings one alert in line with what it should be today
+async function syncAlert(Notifications, alert, tomorrow, settings, frostPlants, now) {
+  const today = toLocalISODate(now);
+  const at = new Date(now);
+  at.setHours(deliveryHour(settings[alert.hourKey], settings), 0, 0, 0);
+
+  const message = settings[alert.enabledKey] ? alert.message(tomorrow, settings, frostPlants) : null;
+  const saved = JSON.parse((await kvGet(alertKey(alert.kind))) || 'null');
+
+  if (saved?.date === today) {
+    // Already scheduled (or already nothing)
+    if (saved.body === message?.body && saved.at === at.toISOString()) return;
+    // Too late to change one that has already gone off. Frost alerts saved
+    // by older versions have no time — they were always at 6pm.
+    const savedAt = new Date(saved.at || new Date(now).setHours(18, 0, 0, 0));
+    if (savedAt <= now) return;
+    if (saved.id) {
+      await Notifications.cancelScheduledNotificationAsync(saved.id);
+      await writeHistory((await readHistory()).filter((entry) => entry.id !== saved.id));
+    }
+  }
+
+  if (!message || at <= now) {
+    await kvRemove(alertKey(alert.kind));
+    return;
+  }
+
+  const id = await Notifications.scheduleNotificationAsync({
+    content: { title: message.title, body: message.body, sound: true },
+    trigger: at,   // fires once at this exact time
+  });
+  await kvSet(alertKey(alert.kind), JSON.stringify({ date: today, ...message, at: at.toISOString(), id }));
+  await writeHistory([
+    ...(await readHistory()),
+    { id, kind: alert.kind, ...message, at: at.toISOString() },
+  ]);
+}
+
+/**
+ * Schedules, reschedules or cancels today's alerts.
+ *   tomorrow    — tomorrow's forecast day (the weather provider's day shape)
+ *   frostPlants — names of the frost-tender plants in the ground
+ */
+export function syncWeatherAlerts(tomorrow, settings, frostPlants) {
+  if (Platform.OS === 'web' || !tomorrow) return Promise.resolve();
+  return serially(async () => {
+    const Notifications = require('expo-notifications');
+    const now = new Date();
+    for (const alert of ALERTS) {
+      try {
+        await syncAlert(Notifications, alert, tomorrow, settings, frostPlants, now);
+      } catch (_) {
+        // Silently skip if notifications aren't permitted — no crash
+      }
+    }
+  });
+}
+
+// The settings syncWeatherAlerts() depends on, as one string for an effect's deps
+export function alertSettingsKey(settings) {
+  return [
+    ...ALERTS.flatMap((a) => [settings[a.enabledKey], settings[a.hourKey]]),
+    settings.hotThreshold, settings.frostThreshold, settings.windThreshold,
+    settings.quietHoursEnabled, settings.quietStartHour, settings.quietEndHour,
+  ].join('|');
+}
+
+/**
+ * Alerts that have gone out, newest first: [{ id, kind, title, body, at }]
+ * where at is the ISO time it was delivered.
+ */
+export async function loadAlertHistory() {
+  const now = new Date().toISOString();
+  try {
+    return (await readHistory()).filter((entry) => entry.at <= now).reverse();
+  } catch (_) {
+    return [];
+  }
+}
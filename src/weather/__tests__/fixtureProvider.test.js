@@ -0,0 +1,235 @@
+/**
+ * fixtureProvider.test.js
+ * ─────────────────────────────────────────────
+ * Runs the forecast, watering and alert logic useWeather uses on known
+ * weather from the fixture provider — no network, and a fixed clock so
+ * "tomorrow" is always the fixture's offset 1. The last block renders the
+ * hook itself with the fixture provider set, as the app does with
+ * EXPO_PUBLIC_WEATHER_PROVIDER=fixture.
+ */
+
+import * as Notifications from 'expo-notifications';
+import { renderHook, waitFor } from '@testing-library/react-native';
+import { createFixtureProvider } from '../fixtureProvider';
+import { getWeatherProvider, setWeatherProvider } from '../index';
+import { recordForecastDays } from '../history';
+import { dailyIndex, useWeather } from '../../hooks/useWeather';
+import { useGarden } from '../../hooks/GardenContext';
+import { useSettings } from '../../hooks/SettingsContext';
+import { saveWateringAdvice, scheduleDaily } from '../../utils/reminders';
+import { wateringForecast } from '../../utils/watering';
+import { syncWeatherAlerts, loadAlertHistory } from '../../utils/weatherAlerts';
+
+// kv_store in memory — the alerts remember what they scheduled there
+jest.mock('../../database/db', () => {
+  const kv = new Map();
+  return {
+    kvGet: jest.fn(async (key) => (kv.has(key) ? kv.get(key) : null)),
+    kvSet: jest.fn(async (key, value) => { kv.set(key, value); }),
+    kvRemove: jest.fn(async (key) => { kv.delete(key); }),
+    clearKv: () => kv.clear(),
+  };
+});
+
+jest.mock('expo-notifications', () => ({
+  scheduleNotificationAsync: jest.fn(async () => `notification-${Math.random()}`),
+  cancelScheduledNotificationAsync: jest.fn(async () => {}),
+}));
+
+// What useWeather reads and writes besides the weather — set per test
+jest.mock('../../hooks/GardenContext', () => ({ useGarden: jest.fn() }));
+jest.mock('../../hooks/SettingsContext', () => ({ useSettings: jest.fn() }));
+jest.mock('../../utils/reminders', () => ({
+  saveWateringAdvice: jest.fn(async () => {}),
+  scheduleDaily: jest.fn(async () => {}),
+}));
+jest.mock('../history', () => ({ recordForecastDays: jest.fn(async () => {}) }));
+
+const PLACE = { latitude: -33.87, longitude: 151.21 };
+// 10am on 2 March, local time — before the alerts' 6pm delivery
+const NOW = new Date(2026, 2, 2, 10, 0, 0);
+
+// The alert settings as they come out of the box
+const SETTINGS = {
+  hotAlertsEnabled: true, hotThreshold: 35, hotAlertHour: 18,
+  frostAlertsEnabled: true, frostThreshold: 2, frostAlertHour: 18,
+  windAlertsEnabled: true, windThreshold: 50, windAlertHour: 18,
+  quietHoursEnabled: false, quietStartHour: 21, quietEndHour: 7,
+};
+
+// What useWeather's fetchAndApply does with a provider's forecast
+async function loadForecast(provider) {
+  const days = await provider.getDailyForecast(PLACE, { timeZone: 'auto', pastDays: 3, forecastDays: 8 });
+  const today = dailyIndex(days.map((d) => d.date), new Date(), 3);
+  return { days, today, tomorrow: days[today + 1] };
+}
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: NOW });
+  require('../../database/db').clearKv();
+  jest.clearAllMocks();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('the sample fixture', () => {
+  const provider = createFixtureProvider(undefined, { today: NOW });
+
+  it('gives three past days, today and the week ahead, dated from the clock', async () => {
+    const { days, today, tomorrow } = await loadForecast(provider);
+
+    expect(days).toHaveLength(10);
+    expect(days[0].date).toBe('2026-02-27');
+    expect(days[today].date).toBe('2026-03-02');
+    expect(today).toBe(3);
+    expect(tomorrow).toMatchObject({ date: '2026-03-03', maxTemp: 36, minTemp: 1 });
+  });
+
+  it('works out watering advice for today and tomorrow', async () => {
+    const { days, today } = await loadForecast(provider);
+    const advice = wateringForecast(days, today);
+
+    expect(advice.map((a) => a.date)).toEqual(['2026-03-02', '2026-03-03']);
+    // 36°C and no rain tomorrow
+    expect(advice[1]).toMatchObject({ level: 'water', message: 'Dry and 36°C — water pots first, then beds.' });
+  });
+
+  it("schedules tomorrow's hot-day and frost alerts for 6pm today", async () => {
+    const { tomorrow } = await loadForecast(provider);
+    await syncWeatherAlerts(tomorrow, SETTINGS, ['Cherry Tomato', 'Basil']);
+
+    const scheduled = Notifications.scheduleNotificationAsync.mock.calls.map(([request]) => request);
+    expect(scheduled.map((r) => r.content.title)).toEqual(['Hot day tomorrow ☀️', 'Frost tonight ❄️']);
+    expect(scheduled[0].content.body).toBe('36°C forecast — consider watering your plants tonight!');
+    expect(scheduled[1].content.body).toBe('Low of 1°C tonight — cover or bring in Cherry Tomato and Basil.');
+    expect(scheduled.every((r) => r.trigger.getTime() === new Date(2026, 2, 2, 18).getTime())).toBe(true);
+  });
+
+  it('skips the frost alert when nothing frost-tender is planted, and alerts turned off', async () => {
+    const { tomorrow } = await loadForecast(provider);
+    await syncWeatherAlerts(tomorrow, { ...SETTINGS, hotAlertsEnabled: false }, []);
+
+    expect(Notifications.scheduleNotificationAsync).not.toHaveBeenCalled();
+  });
+
+  it("doesn't schedule the same alerts twice in a day", async () => {
+    const { tomorrow } = await loadForecast(provider);
+    await syncWeatherAlerts(tomorrow, SETTINGS, ['Basil']);
+    await syncWeatherAlerts(tomorrow, SETTINGS, ['Basil']);
+
+    expect(Notifications.scheduleNotificationAsync).toHaveBeenCalledTimes(2);
+    expect(Notifications.cancelScheduledNotificationAsync).not.toHaveBeenCalled();
+  });
+
+  it('logs the alerts once they have gone out', async () => {
+    const { tomorrow } = await loadForecast(provider);
+    await syncWeatherAlerts(tomorrow, SETTINGS, ['Basil']);
+    expect(await loadAlertHistory()).toEqual([]);
+
+    jest.setSystemTime(new Date(2026, 2, 2, 18, 30));
+    expect((await loadAlertHistory()).map((a) => a.kind)).toEqual(['frost', 'hot']);
+  });
+});
+
+describe('a custom fixture', () => {
+  it('warns about storms tomorrow', async () => {
+    const provider = createFixtureProvider({
+      current: { temperature: 24, weatherCode: 3 },
+      days: [
+        { offset: 0, maxTemp: 28, minTemp: 18 },
+        { offset: 1, maxTemp: 26, minTemp: 17, weatherCode: 95, windKmh: 20 },
+      ],
+    }, { today: NOW });
+    const { today, tomorrow } = await loadForecast(provider);
+    // No past days in this fixture, so today is the first day listed
+    expect(today).toBe(0);
+
+    await syncWeatherAlerts(tomorrow, SETTINGS, []);
+    const [[request]] = Notifications.scheduleNotificationAsync.mock.calls;
+    expect(request.content.title).toBe('Storms tomorrow ⛈️');
+  });
+
+  it('rejects like a failed request when told to fail', async () => {
+    const provider = createFixtureProvider(undefined, { today: NOW, fail: true });
+    await expect(provider.getCurrent(PLACE)).rejects.toThrow('Weather fetch failed');
+    await expect(loadForecast(provider)).rejects.toThrow('Weather fetch failed');
+  });
+});
+
+describe('useWeather on the fixture provider', () => {
+  const appProvider = getWeatherProvider();
+
+  // A bed with tomatoes in, frost-hardy lettuce, and basil not planted yet
+  const AREAS = [{
+    id: 'area1',
+    plants: [
+      { id: 'p1', seedId: 'cherry-tomato', seedTitle: 'Cherry Tomato', stage: 'growing' },
+      { id: 'p2', seedId: 'cos-lettuce', seedTitle: 'Cos Lettuce', stage: 'growing' },
+      { id: 'p3', seedId: 'sweet-basil', seedTitle: 'Sweet Basil', stage: null },
+    ],
+  }];
+
+  beforeEach(() => {
+    useGarden.mockReturnValue({ areas: AREAS, loading: false });
+    useSettings.mockReturnValue({
+      settings: {
+        ...SETTINGS,
+        location: { ...PLACE, name: 'Sydney' },
+        remindersEnabled: true, reminderHour: 8, reminderMinute: 0,
+      },
+      loaded: true,
+    });
+  });
+
+  afterEach(() => {
+    setWeatherProvider(appProvider);
+  });
+
+  it("shows the fixture's weather and schedules its alerts", async () => {
+    setWeatherProvider(createFixtureProvider(undefined, { today: NOW }));
+    const { result } = renderHook(() => useWeather());
+    await waitFor(() => expect(result.current.loading).toBe(false));
+
+    expect(result.current).toMatchObject({
+      error: null,
+      cityName: 'Sydney',
+      currentTemp: 17,
+      todayHigh: 19,
+      tomorrowMax: 36,
+      tonightMin: 1,
+      isCached: false,
+      isHotTomorrow: true,
+      isFrostTonight: true,
+      frostTenderPlants: ['Cherry Tomato'],
+    });
+    expect(result.current.forecast.map((d) => d.date)).toEqual([
+      '2026-03-02', '2026-03-03', '2026-03-04', '2026-03-05', '2026-03-06', '2026-03-07', '2026-03-08',
+    ]);
+    expect(result.current.wateringToday).toMatchObject({ date: '2026-03-02' });
+
+    await waitFor(() => expect(Notifications.scheduleNotificationAsync).toHaveBeenCalledTimes(2));
+    const scheduled = Notifications.scheduleNotificationAsync.mock.calls.map(([request]) => request);
+    expect(scheduled.map((r) => r.content.title)).toEqual(['Hot day tomorrow ☀️', 'Frost tonight ❄️']);
+    expect(scheduled[1].content.body).toBe('Low of 1°C tonight — cover or bring in Cherry Tomato.');
+    expect(scheduled.every((r) => r.trigger.getTime() === new Date(2026, 2, 2, 18).getTime())).toBe(true);
+
+    // The watering advice goes into the daily reminder, and the days into the history
+    await waitFor(() => expect(scheduleDaily).toHaveBeenCalledWith(8, 0));
+    expect(saveWateringAdvice).toHaveBeenCalledWith(result.current.watering);
+    expect(recordForecastDays).toHaveBeenCalledWith(PLACE, expect.arrayContaining([
+      expect.objectContaining({ date: '2026-03-02', maxTemp: 19 }),
+    ]));
+  });
+
+  it('reports a failed fetch and schedules nothing', async () => {
+    setWeatherProvider(createFixtureProvider(undefined, { today: NOW, fail: true }));
+    const { result } = renderHook(() => useWeather());
+    await waitFor(() => expect(result.current.loading).toBe(false));
+
+    expect(result.current).toMatchObject({ error: 'fetch_failed', currentTemp: null, forecast: [] });
+    expect(Notifications.scheduleNotificationAsync).not.toHaveBeenCalled();
+    expect(saveWateringAdvice).not.toHaveBeenCalled();
+  });
+});
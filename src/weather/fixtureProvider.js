@@ -0,0 +1,71 @@
+/**
+ * fixtureProvider.js
+ * ─────────────────────────────────────────────
+ * A weather provider that reads from a fixture file instead of the network,
+ * for working offline and for exercising useWeather and its alerts with
+ * known weather (see __tests__/fixtureProvider.test.js).
+ *
+ * A fixture (see fixtures/sample.json) gives the current conditions and a
+ * list of days, each with an `offset` from today instead of a date — so
+ * { "offset": 1, "minTemp": -1 } is always a frost tomorrow, whenever the
+ * fixture is used.
+ *
+ * Usage:
+ *   import { setWeatherProvider } from './index';
+ *   setWeatherProvider(createFixtureProvider(frostFixture));
+ */
+
+import { toLocalISODate } from '../utils/dates';
+import SAMPLE_FIXTURE from './fixtures/sample.json';
+
+// Fields a fixture day may leave out
+const EMPTY_DAY = {
+  weatherCode: null, rainChance: null, rainMm: null, evaporationMm: null, windKmh: null, uvIndex: null,
+};
+
+/**
+ * fixture — { current: {...}, days: [{ offset, ...day }] }
+ * options.today — the Date that offset 0 means (defaults to the real today)
+ * options.fail  — true to make every call reject, like a failed request
+ */
+export function createFixtureProvider(fixture = SAMPLE_FIXTURE, options = {}) {
+  function days() {
+    const today = options.today || new Date();
+    return fixture.days
+      .map(({ offset, ...day }) => {
+        const date = new Date(today.getFullYear(), today.getMonth(), today.getDate() + offset);
+        return {
+          offset,
+          day: { ...EMPTY_DAY, ...day, date: toLocalISODate(date) },
+        };
+      })
+      .sort((a, b) => a.offset - b.offset);
+  }
+
+  async function check() {
+    if (options.fail) throw new Error('Weather fetch failed');
+  }
+
+  return {
+    name: 'Fixture',
+
+    async getCurrent() {
+      await check();
+      return { rainChance: null, ...fixture.current };
+    },
+
+    async getDailyForecast(_location, { pastDays = 0, forecastDays = 7 } = {}) {
+      await check();
+      return days()
+        .filter(({ offset }) => offset >= -pastDays && offset < forecastDays)
+        .map(({ day }) => day);
+    },
+
+    async getHistory(_location, { startDate, endDate }) {
+      await check();
+      return days()
+        .map(({ day }) => day)
+        .filter((day) => day.date >= startDate && day.date <= endDate);
+    },
+  };
+}
@@ -0,0 +1,135 @@
+/**
+ * history.js
+ * ─────────────────────────────────────────────
+ * The weather log: each day's weather at the garden, kept in the
+ * weather_daily table.
+ *
+ * Days are added two ways:
+ *   - every successful forecast fetch records the past few days and today
+ *     (useWeather calls recordForecastDays)
+ *   - backfillWeatherHistory() fetches whatever is missing since a start
+ *     date from the weather provider's history (useWeatherHistory calls it)
+ *
+ * The log follows the garden's location. If that moves (a new location in
+ * Settings, or GPS somewhere else), the old days no longer describe this
+ * garden and are cleared. Days from before last season are deleted too —
+ * nothing looks back further than comparing this season with last.
+ *
+ * Also works out the season summary (this season so far vs the same part
+ * of last season).
+ */
+
+import {
+  upsertWeatherDays, loadWeatherDays, loadWeatherLocation, deleteWeatherDays,
+} from '../database/db';
+import { getWeatherProvider } from './index';
+import { toLocalISODate, parseISODate } from '../utils/dates';
+import { seasonOf } from '../utils/harvest';
+
+// Locations closer than this (in degrees, ~10 km) share a log
+const SAME_PLACE_DEGREES = 0.1;
+const HOT_DAY_C = 35;
+
+// Writes run one at a time — several screens may backfill at once
+let queue = Promise.resolve();
+function serially(task) {
+  const run = queue.then(task, task);
+  queue = run.catch(() => {});
+  return run;
+}
+
+// The first day worth keeping: 1 July of last season (seasons as in utils/harvest.js)
+export function historyStartDate(today = new Date()) {
+  return `${seasonOf(today) - 1}-07-01`;
+}
+
+// Clears the log if it's for somewhere else, and drops days nothing needs
+async function prepareFor(location) {
+  const stored = await loadWeatherLocation();
+  if (stored && (
+    Math.abs(stored.latitude - location.latitude) >= SAME_PLACE_DEGREES ||
+    Math.abs(stored.longitude - location.longitude) >= SAME_PLACE_DEGREES
+  )) {
+    await deleteWeatherDays();
+  } else {
+    await deleteWeatherDays(historyStartDate());
+  }
+}
+
+/**
+ * Records days from a forecast fetch — only today and before; future days
+ * are still forecasts, not weather that happened.
+ */
+export function recordForecastDays(location, days) {
+  const today = toLocalISODate(new Date());
+  const past = days.filter((d) => d.date <= today);
+  if (past.length === 0) return Promise.resolve();
+  return serially(async () => {
+    await prepareFor(location);
+    await upsertWeatherDays(location, past);
+  });
+}
+
+/**
+ * Fetches any days missing from the log between startDate and yesterday.
+ * startDate is clamped to historyStartDate(). Rejects if the fetch fails.
+ */
+export function backfillWeatherHistory(location, startDate, timeZone) {
+  return serially(async () => {
+    await prepareFor(location);
+
+    const yesterday = new Date();
+    yesterday.setDate(yesterday.getDate() - 1);
+    const endDate = toLocalISODate(yesterday);
+    const from = startDate > historyStartDate() ? startDate : historyStartDate();
+    if (from > endDate) return;
+
+    const have = new Set((await loadWeatherDays(from, endDate)).map((d) => d.date));
+    let firstMissing = null;
+    for (const day = parseISODate(from); toLocalISODate(day) <= endDate; day.setDate(day.getDate() + 1)) {
+      if (!have.has(toLocalISODate(day))) {
+        firstMissing = toLocalISODate(day);
+        break;
+      }
+    }
+    if (!firstMissing) return;
+
+    const fetched = await getWeatherProvider().getHistory(location, {
+      timeZone, startDate: firstMissing, endDate,
+    });
+    await upsertWeatherDays(location, fetched.filter((d) => !have.has(d.date)));
+  });
+}
+
+// ── Season summary ────────────────────────────────────────────
+
+// Totals for the logged days from startDate to endDate inclusive
+function summarise(days, startDate, endDate, frostThreshold) {
+  const inRange = days.filter((d) => d.date >= startDate && d.date <= endDate);
+  const highs = inRange.filter((d) => d.maxTemp !== null).map((d) => d.maxTemp);
+  return {
+    days:        inRange.length,
+    rainMm:      Math.round(inRange.reduce((sum, d) => sum + (d.rainMm ?? 0), 0)),
+    rainyDays:   inRange.filter((d) => d.rainMm >= 1).length,
+    averageHigh: highs.length ? Math.round(highs.reduce((a, b) => a + b, 0) / highs.length * 10) / 10 : null,
+    frostNights: inRange.filter((d) => d.minTemp !== null && d.minTemp < frostThreshold).length,
+    hotDays:     inRange.filter((d) => d.maxTemp !== null && d.maxTemp >= HOT_DAY_C).length,
+  };
+}
+
+/**
+ * This season so far (1 July to today) against the same stretch of last
+ * season, from a list of logged days.
+ * Returns { season, thisSeason, lastSeason } — each side's totals from
+ * summarise() above — or null if last season has no days to compare with.
+ */
+export function compareSeasons(days, frostThreshold, today = new Date()) {
+  const season = seasonOf(today);
+  const todayISO = toLocalISODate(today);
+  const sameDayLastYear = `${today.getFullYear() - 1}${todayISO.slice(4)}`;
+
+  const thisSeason = summarise(days, `${season}-07-01`, todayISO, frostThreshold);
+  const lastSeason = summarise(days, `${season - 1}-07-01`, sameDayLastYear, frostThreshold);
+  if (thisSeason.days === 0 || lastSeason.days === 0) return null;
+  return { season, thisSeason, lastSeason };
+}
@@ -0,0 +1,50 @@
+/**
+ * weather/index.js
+ * ─────────────────────────────────────────────
+ * Where useWeather gets its weather from. The app only talks to a
+ * "provider", so Open-Meteo can be swapped for another source (BOM, say)
+ * or for a fixture file when there's no network.
+ *
+ * A provider is an object with:
+ *   name
+ *   getCurrent(location, { timeZone })
+ *     → { temperature, weatherCode, rainChance }
+ *   getDailyForecast(location, { timeZone, pastDays, forecastDays })
+ *     → [day], from pastDays ago to forecastDays − 1 days ahead (0 = today only)
+ *   getHistory(location, { timeZone, startDate, endDate })
+ *     → [day] for each date in the range, inclusive — observed weather, as
+ *       far back as the source keeps it
+ *
+ * where location is { latitude, longitude }, timeZone is an IANA name (or
+ * 'auto' for the location's own), dates are "YYYY-MM-DD" days in that
+ * timezone, and each day is
+ *   { date, weatherCode, maxTemp, minTemp, rainChance, rainMm, evaporationMm,
+ *     windKmh, uvIndex }
+ * Temperatures are °C, rain and evaporation mm, chances 0–100, wind the
+ * day's strongest (sustained, not gusts) in km/h and UV the day's peak index.
+ * Anything but the date and temperatures may be null if the source doesn't
+ * give it. weatherCode is a WMO weather code — a provider whose source uses
+ * its own codes must map them. Every method rejects if the weather can't be
+ * fetched.
+ *
+ * The provider defaults to Open-Meteo. Start the app with
+ * EXPO_PUBLIC_WEATHER_PROVIDER=fixture to use fixtures/sample.json instead.
+ */
+
+import openMeteo from './openMeteo';
+import { createFixtureProvider } from './fixtureProvider';
+
+let provider = process.env.EXPO_PUBLIC_WEATHER_PROVIDER === 'fixture'
+  ? createFixtureProvider()
+  : openMeteo;
+
+export function getWeatherProvider() {
+  return provider;
+}
+
+// Replaces the provider, e.g. with createFixtureProvider(someFixture)
+export function setWeatherProvider(next) {
+  provider = next;
+}
+
+export { openMeteo, createFixtureProvider };
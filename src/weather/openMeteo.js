@@ -0,0 +1,121 @@
+/**
+ * openMeteo.js
+ * ─────────────────────────────────────────────
+ * The default weather provider: Open-Meteo (https://open-meteo.com) —
+ * free, no API key, worldwide. See weather/index.js for the provider
+ * interface this implements.
+ */
+
+import { toLocalISODate } from '../utils/dates';
+
+const FORECAST_URL = 'https://api.open-meteo.com/v1/forecast';
+const ARCHIVE_URL  = 'https://archive-api.open-meteo.com/v1/archive';
+
+// The archive (reanalysis of observations) runs a few days behind, so the
+// most recent days of a history request come from the forecast API instead
+const ARCHIVE_DELAY_DAYS = 6;
+
+const DAILY_FIELDS = [
+  'weather_code',
+  'temperature_2m_max',
+  'temperature_2m_min',
+  'precipitation_probability_max',
+  'precipitation_sum',
+  'et0_fao_evapotranspiration',
+  'wind_speed_10m_max',
+  'uv_index_max',
+].join(',');
+
+// The archive has no rain chance or UV — those are forecasts, not observations
+const ARCHIVE_FIELDS = [
+  'weather_code',
+  'temperature_2m_max',
+  'temperature_2m_min',
+  'precipitation_sum',
+  'et0_fao_evapotranspiration',
+  'wind_speed_10m_max',
+].join(',');
+
+async function getJSON(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error('Weather fetch failed');
+  return res.json();
+}
+
+function baseUrl({ latitude, longitude }, timeZone, url = FORECAST_URL) {
+  return `${url}?latitude=${latitude}&longitude=${longitude}` +
+    `&timezone=${encodeURIComponent(timeZone || 'auto')}`;
+}
+
+// "2026-03-03" shifted by a number of days
+function addDays(isoDate, days) {
+  const [y, m, d] = isoDate.split('-').map(Number);
+  const date = new Date(Date.UTC(y, m - 1, d + days));
+  return date.toISOString().slice(0, 10);
+}
+
+// Open-Meteo's parallel daily arrays → one object per day
+function toDays(daily) {
+  return daily.time.map((date, i) => ({
+    date,
+    weatherCode:   daily.weather_code?.[i] ?? null,
+    maxTemp:       daily.temperature_2m_max[i],
+    minTemp:       daily.temperature_2m_min[i],
+    rainChance:    daily.precipitation_probability_max?.[i] ?? null,
+    rainMm:        daily.precipitation_sum?.[i] ?? null,
+    evaporationMm: daily.et0_fao_evapotranspiration?.[i] ?? null,
+    windKmh:       daily.wind_speed_10m_max?.[i] ?? null,
+    uvIndex:       daily.uv_index_max?.[i] ?? null,
+  }));
+}
+
+const openMeteo = {
+  name: 'Open-Meteo',
+
+  async getCurrent(location, { timeZone } = {}) {
+    const data = await getJSON(
+      `${baseUrl(location, timeZone)}&current=temperature_2m,weathercode,precipitation_probability`
+    );
+    return {
+      temperature: data.current.temperature_2m,
+      weatherCode: data.current.weathercode,   // already a WMO code
+      rainChance:  data.current.precipitation_probability ?? null,
+    };
+  },
+
+  async getDailyForecast(location, { timeZone, pastDays = 0, forecastDays = 7 } = {}) {
+    const data = await getJSON(
+      `${baseUrl(location, timeZone)}&daily=${DAILY_FIELDS}` +
+      `&past_days=${pastDays}&forecast_days=${forecastDays}`
+    );
+    return toDays(data.daily);
+  },
+
+  // Older days from the archive, the last few from the forecast API
+  async getHistory(location, { timeZone, startDate, endDate }) {
+    // The device's today — callers pass dates in the device's timezone
+    const today = toLocalISODate(new Date());
+    const lastArchived = addDays(today, -ARCHIVE_DELAY_DAYS);
+    const requests = [];
+
+    if (startDate <= lastArchived) {
+      const end = endDate < lastArchived ? endDate : lastArchived;
+      requests.push(getJSON(
+        `${baseUrl(location, timeZone, ARCHIVE_URL)}&daily=${ARCHIVE_FIELDS}` +
+        `&start_date=${startDate}&end_date=${end}`
+      ));
+    }
+    if (endDate > lastArchived) {
+      const start = startDate > lastArchived ? startDate : addDays(lastArchived, 1);
+      requests.push(getJSON(
+        `${baseUrl(location, timeZone)}&daily=${DAILY_FIELDS}` +
+        `&start_date=${start}&end_date=${endDate}`
+      ));
+    }
+
+    const results = await Promise.all(requests);
+    return results.flatMap((data) => toDays(data.daily));
+  },
+};
+
+export default openMeteo;